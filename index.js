@@ -1,205 +1,77 @@
 #!/usr/bin/env node
 
-const scanner = require('./src/scanner');
-const analyzer = require('./src/analyzer');
-const comparator = require('./src/comparator');
-const updater = require('./src/updater');
-const goAnalyzer = require('./src/go-analyzer');
-const goUpdater = require('./src/go-updater');
-const reporter = require('./src/reporter');
-const documentGenerator = require('./src/document');
-const config = require('./src/config');
+const dotenv = require('dotenv');
+const { createAutomator } = require('./src/automator');
+const cli = require('./src/cli');
 
 /**
- * Process an npm repository
- * @param {Object} repository - Repository object
- * @param {Array} repositoryReports - Array to store repository reports
+ * Main function to run the package automator
+ * @param {Array} argv - Command line arguments after the script name
+ * @returns {Promise<number>} Exit code
  */
-async function processNpmRepository(repository, repositoryReports) {
-  console.log('Reading package.json...');
-  const packageJson = await analyzer.readPackageJson(repository.packageJsonPath);
-  
-  // Read package-lock.json if available
-  let packageLock = null;
-  if (repository.packageLockPath) {
-    console.log('Reading package-lock.json...');
-    packageLock = await analyzer.readPackageLock(repository.packageLockPath);
-  }
-  
-  // Extract dependencies
-  console.log('Extracting dependencies...');
-  const dependencies = analyzer.extractDependencies(packageJson);
-  const packageNames = Object.keys(dependencies);
-  
-  if (packageNames.length === 0) {
-    console.log('No dependencies found in this repository.');
-    return;
+async function main(argv) {
+  let args;
+  try {
+    args = cli.parseArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${cli.getUsage()}`);
+    return cli.EXIT_CODES.error;
   }
   
-  console.log(`Found ${packageNames.length} dependencies`);
-  
-  // Get installed versions
-  console.log('Getting installed versions...');
-  const installedVersions = analyzer.getInstalledVersions(packageLock, dependencies);
-  
-  // Fetch latest versions from npm
-  console.log('Fetching latest versions from npm...');
-  const latestVersions = await analyzer.fetchLatestVersions(packageNames);
-  
-  // Compare versions
-  console.log('Comparing versions...');
-  const comparisonResults = comparator.compareVersions(installedVersions, latestVersions);
-  
-  // Get packages that can be automatically updated
-  const autoUpdatePackages = comparator.getAutoUpdatePackages(comparisonResults);
-  const autoUpdateCount = Object.keys(autoUpdatePackages).length;
-  
-  // Get packages that need manual updates
-  const manualUpdatePackages = comparator.getManualUpdatePackages(comparisonResults);
-  const manualUpdateCount = Object.keys(manualUpdatePackages).length;
-  
-  console.log(`Found ${autoUpdateCount} packages that can be automatically updated`);
-  console.log(`Found ${manualUpdateCount} packages that need manual updates`);
-  
-  // Update packages if there are any to update
-  let updateResults = null;
-  if (autoUpdateCount > 0) {
-    console.log('Updating packages...');
-    updateResults = await updater.updatePackages(repository, autoUpdatePackages);
-    
-    if (updateResults.updated) {
-      console.log('Packages updated successfully');
-    } else {
-      console.log(`Failed to update packages: ${updateResults.error || 'Unknown error'}`);
-    }
+  if (args.help) {
+    console.log(cli.getUsage());
+    return cli.EXIT_CODES.current;
   }
   
-  // Generate repository report
-  const repoReport = reporter.generateRepositoryReport(repository, comparisonResults, updateResults);
-  repositoryReports.push(repoReport);
-}
-
-/**
- * Process a Go repository
- * @param {Object} repository - Repository object
- * @param {Array} repositoryReports - Array to store repository reports
- */
-async function processGoRepository(repository, repositoryReports) {
-  console.log('Reading go.mod...');
-  const goMod = await goAnalyzer.readGoMod(repository.goModPath);
-  
-  console.log(`Module: ${goMod.module}`);
-  console.log(`Go version: ${goMod.go}`);
-  
-  // Get latest Go version
-  console.log('Fetching latest Go version...');
-  const latestGoVersion = await goAnalyzer.getLatestGoVersion();
+  // With --json, stdout carries only the result and progress goes to stderr
+  const print = args.json
+    ? result => process.stdout.write(`${JSON.stringify(result, null, 2)}\n`)
+    : result => process.stdout.write(`${result}\n`);
+  const logger = args.json ? { log: console.error, warn: console.warn, error: console.error } : console;
+  
+  // Flags override environment variables, which override the .env file
+  dotenv.config({ quiet: true });
+  
+  // check and report never change a repository, and check writes no report, documents or
+  // diffs. The command line caches registry metadata unless REGISTRY_CACHE=false.
+  const automator = createAutomator({
+    cacheEnabled: process.env.REGISTRY_CACHE !== 'false',
+    ...args.overrides,
+    apply: args.command === 'update',
+    writeReports: args.command !== 'check',
+    writeDiffs: args.command !== 'check',
+    logger
+  });
   
-  // Compare versions
-  console.log('Comparing Go versions...');
-  const versionComparison = goAnalyzer.checkGoVersionUpdate(goMod.go, latestGoVersion);
-  
-  // Create comparison results object similar to npm packages
-  const comparisonResults = {
-    'go': {
-      installed: goMod.go,
-      latest: latestGoVersion,
-      updateType: versionComparison.updateType,
-      canAutoUpdate: versionComparison.canAutoUpdate
-    }
-  };
-  
-  // Update Go version if it's a patch update
-  let updateResults = null;
-  if (versionComparison.canAutoUpdate) {
-    console.log(`Updating Go version from ${goMod.go} to ${latestGoVersion}...`);
-    updateResults = await goUpdater.updateGoVersion(repository, latestGoVersion);
-    
-    if (updateResults.updated) {
-      console.log('Go version updated successfully');
-    } else {
-      console.log(`Failed to update Go version: ${updateResults.error || 'Unknown error'}`);
-    }
-  } else if (versionComparison.updateType !== 'current') {
-    console.log(`Go version ${latestGoVersion} available, but requires manual update (${versionComparison.updateType})`);
-  } else {
-    console.log('Go version is already at the latest version');
-  }
-  
-  // Generate repository report
-  const repoReport = reporter.generateRepositoryReport(repository, comparisonResults, updateResults);
-  repositoryReports.push(repoReport);
-}
-
-/**
- * Main function to run the package automator
- */
-async function main() {
   try {
-    console.log('Package Automator starting...');
-    console.log(`Using configuration: ${JSON.stringify(config, null, 2)}`);
-    
-    // Find repositories
-    console.log('Scanning for repositories...');
-    const repositories = await scanner.findRepositories();
-    console.log(`Found ${repositories.length} repositories`);
-    
-    if (repositories.length === 0) {
-      console.error('No repositories found. Please check your configuration.');
-      process.exit(1);
-    }
-    
-    // Process each repository
-    const repositoryReports = [];
+    logger.log('Package Automator starting...');
     
-    for (const repository of repositories) {
-      console.log(`\nProcessing repository: ${repository.path}`);
-      
-      try {
-        if (repository.type === 'npm') {
-          // Process npm repository
-          await processNpmRepository(repository, repositoryReports);
-        } else if (repository.type === 'go') {
-          // Process Go repository
-          await processGoRepository(repository, repositoryReports);
-        }
-        
-      } catch (error) {
-        console.error(`Error processing repository ${repository.path}: ${error.message}`);
-        repositoryReports.push({
-          path: repository.path,
-          name: require('path').basename(repository.path),
-          error: error.message
-        });
-      }
+    if (args.command === 'scan') {
+      const summaries = cli.describeRepositories(await automator.scan());
+      print(args.json ? { repositories: summaries } : cli.formatRepositories(summaries));
+      return cli.EXIT_CODES.current;
     }
     
-    // Generate consolidated report
-    console.log('\nGenerating consolidated report...');
-    const consolidatedReport = reporter.generateConsolidatedReport(repositoryReports);
-    
-    // Write report to file
-    const reportPath = await reporter.writeReport(consolidatedReport);
-    console.log(`Report saved to: ${reportPath}`);
+    const consolidatedReport = await automator.run();
     
-    // Generate formatted documents
-    console.log('Generating formatted documents...');
-    const documentPaths = await documentGenerator.generateDocument(consolidatedReport);
-    console.log(`Main document saved to: ${documentPaths[0]}`);
-    
-    if (documentPaths.length > 1) {
-      console.log(`Generated ${documentPaths.length - 1} individual repository reports`);
-    }
-    
-    console.log('\nPackage Automator completed successfully');
+    logger.log('\nPackage Automator completed successfully');
+    print(args.json ? consolidatedReport : `\n${cli.formatSummary(args.command, consolidatedReport)}`);
+    return cli.getExitCode(args.command, consolidatedReport);
     
   } catch (error) {
     console.error(`Error: ${error.message}`);
-    process.exit(1);
+    return cli.EXIT_CODES.error;
   }
 }
 
-// Run the main function
-main().catch(console.error);
+// Run the main function when started from the command line; requiring this file only
+// exposes the library entry point
+if (require.main === module) {
+  main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = { createAutomator };
 
 // Made with Bob
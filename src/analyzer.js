@@ -1,6 +1,24 @@
 const fs = require('fs-extra');
-const axios = require('axios');
+const path = require('path');
 const semver = require('semver');
+const registry = require('./registry');
+const lockfile = require('./lockfile');
+const logger = require('./logger');
+
+// First release of each Node LTS line, for lts/<codename> aliases in .nvmrc
+const LTS_RELEASES = {
+  argon: '4.2.0',
+  boron: '6.9.0',
+  carbon: '8.9.0',
+  dubnium: '10.13.0',
+  erbium: '12.13.0',
+  fermium: '14.15.0',
+  gallium: '16.13.0',
+  hydrogen: '18.12.0',
+  iron: '20.9.0',
+  jod: '22.11.0',
+  krypton: '24.11.0'
+};
 
 /**
  * Package analyzer module
@@ -21,9 +39,9 @@ const analyzer = {
   },
   
   /**
-   * Read and parse package-lock.json file
-   * @param {string} packageLockPath - Path to package-lock.json file
-   * @returns {Promise<Object>} Parsed package-lock.json content
+   * Read and parse a lockfile (package-lock.json, npm-shrinkwrap.json, yarn.lock or pnpm-lock.yaml)
+   * @param {string} packageLockPath - Path to the lockfile
+   * @returns {Promise<Object>} Parsed lockfile content
    */
   async readPackageLock(packageLockPath) {
     if (!packageLockPath) {
@@ -32,9 +50,9 @@ const analyzer = {
     
     try {
       const content = await fs.readFile(packageLockPath, 'utf8');
-      return JSON.parse(content);
+      return lockfile.parse(packageLockPath, content);
     } catch (error) {
-      console.warn(`Warning: Failed to read package-lock.json at ${packageLockPath}: ${error.message}`);
+      logger.warn(`Warning: Failed to read ${path.basename(packageLockPath)} at ${packageLockPath}: ${error.message}`);
       return null;
     }
   },
@@ -66,44 +84,136 @@ const analyzer = {
   },
   
   /**
-   * Get exact installed versions from package-lock.json
-   * @param {Object} packageLock - Parsed package-lock.json content
+   * Get the dependency type (dependencies, devDependencies, optionalDependencies) of each package
+   * @param {Object} packageJson - Parsed package.json content
+   * @returns {Object} Object with dependency types
+   */
+  getDependencyTypes(packageJson) {
+    const dependencyTypes = {};
+    
+    // Later sections win, matching extractDependencies
+    for (const type of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+      for (const name in packageJson[type] || {}) {
+        dependencyTypes[name] = type;
+      }
+    }
+    
+    return dependencyTypes;
+  },
+  
+  /**
+   * Read the Node version a repository targets, from the first of volta's pin in
+   * package.json, .nvmrc, .node-version and engines.node that names a usable version
+   * @param {string} repoPath - Repository path
+   * @param {Object} packageJson - Parsed package.json content
+   * @returns {Promise<Object|null>} Target ({ version, spec, source }) or null if none is declared
+   */
+  async readNodeTarget(repoPath, packageJson) {
+    const sources = [['volta', () => (packageJson.volta || {}).node]];
+    for (const fileName of ['.nvmrc', '.node-version']) {
+      sources.push([fileName, async () => {
+        const filePath = path.join(repoPath, fileName);
+        if (!(await fs.pathExists(filePath))) {
+          return null;
+        }
+        const line = (await fs.readFile(filePath, 'utf8')).split(/\r?\n/).map(text => text.replace(/#.*/, '').trim()).find(Boolean);
+        return line || null;
+      }]);
+    }
+    sources.push(['engines.node', () => (packageJson.engines || {}).node]);
+    
+    for (const [source, read] of sources) {
+      const spec = await read();
+      if (typeof spec !== 'string' || !spec.trim()) {
+        continue;
+      }
+      
+      const version = this.resolveNodeVersion(spec);
+      if (version) {
+        return { version, spec: spec.trim(), source };
+      }
+      logger.warn(`Warning: Cannot tell which Node version ${source} "${spec.trim()}" means; ignoring it`);
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Resolve a Node version spec to the lowest version it allows: an exact version stays
+   * as it is, a partial version or range gives its minimum and lts/<codename> the line's
+   * first LTS release. Aliases that move over time (lts/*, node, stable) give null.
+   * @param {string} spec - Version spec (e.g. "v18.17.0", "18", ">=18.12", "lts/hydrogen")
+   * @returns {string|null} Node version
+   */
+  resolveNodeVersion(spec) {
+    const trimmed = spec.trim().toLowerCase();
+    
+    const lts = trimmed.match(/^lts\/([a-z]+)$/);
+    if (lts) {
+      return LTS_RELEASES[lts[1]] || null;
+    }
+    
+    const exact = semver.valid(trimmed.replace(/^v/, ''));
+    if (exact) {
+      return exact;
+    }
+    
+    const range = semver.validRange(trimmed.replace(/^v/, ''));
+    const minimum = range ? semver.minVersion(range) : null;
+    return minimum ? minimum.version : null;
+  },
+  
+  /**
+   * Get exact installed versions from the lockfile
+   * @param {Object} packageLock - Parsed lockfile content from readPackageLock
    * @param {Object} dependencies - Dependencies from package.json
+   * @param {string} memberPath - Workspace member path relative to the lockfile ('' for the root)
    * @returns {Object} Object with exact installed versions
    */
-  getInstalledVersions(packageLock, dependencies) {
+  getInstalledVersions(packageLock, dependencies, memberPath = '') {
     const installedVersions = {};
     const packageNames = Object.keys(dependencies);
     
     // If no package-lock.json, use the versions from package.json
     if (!packageLock) {
       for (const name of packageNames) {
-        // Remove version range indicators (^, ~, etc.)
-        installedVersions[name] = dependencies[name].replace(/[\^~>=<]/g, '');
+        installedVersions[name] = this.getVersionFromRange(dependencies[name]);
       }
       return installedVersions;
     }
     
-    // Use package-lock.json for exact versions
-    // Handle different package-lock.json formats (v1 vs v2+)
-    if (packageLock.dependencies) {
+    // yarn.lock and pnpm-lock.yaml
+    if (packageLock.lockfileType) {
       for (const name of packageNames) {
-        if (packageLock.dependencies[name] && packageLock.dependencies[name].version) {
-          installedVersions[name] = packageLock.dependencies[name].version;
-        } else {
-          // Fallback to package.json version if not found in package-lock
-          installedVersions[name] = dependencies[name].replace(/[\^~>=<]/g, '');
-        }
+        installedVersions[name] = lockfile.getInstalledVersion(packageLock, name, dependencies[name], memberPath) ||
+          this.getVersionFromRange(dependencies[name]);
       }
-    } else if (packageLock.packages) {
+      return installedVersions;
+    }
+    
+    // Use package-lock.json for exact versions
+    // Handle different package-lock.json formats (v2+ files keep the v1 dependencies section
+    // for older npm, but only packages has the workspace members' own copies)
+    if (packageLock.packages) {
       // Handle npm v7+ package-lock format
       for (const name of packageNames) {
-        const pkgInfo = packageLock.packages[`node_modules/${name}`];
+        // Workspace members may have their own copy; otherwise the hoisted one is used
+        const pkgInfo = (memberPath && packageLock.packages[`${memberPath}/node_modules/${name}`]) ||
+          packageLock.packages[`node_modules/${name}`];
         if (pkgInfo && pkgInfo.version) {
           installedVersions[name] = pkgInfo.version;
         } else {
           // Fallback to package.json version
-          installedVersions[name] = dependencies[name].replace(/[\^~>=<]/g, '');
+          installedVersions[name] = this.getVersionFromRange(dependencies[name]);
+        }
+      }
+    } else if (packageLock.dependencies) {
+      for (const name of packageNames) {
+        if (packageLock.dependencies[name] && packageLock.dependencies[name].version) {
+          installedVersions[name] = packageLock.dependencies[name].version;
+        } else {
+          // Fallback to package.json version if not found in package-lock
+          installedVersions[name] = this.getVersionFromRange(dependencies[name]);
         }
       }
     }
@@ -112,49 +222,214 @@ const analyzer = {
   },
   
   /**
-   * Fetch latest versions from npm registry
+   * Get the version a declared range resolves to when nothing is locked,
+   * i.e. the lowest version the range allows
+   * @param {string} range - Declared version range
+   * @returns {string} Version (the range itself if it is not a semver range)
+   */
+  getVersionFromRange(range) {
+    if (semver.valid(range)) {
+      return semver.clean(range);
+    }
+    
+    if (semver.validRange(range)) {
+      const minVersion = semver.minVersion(range);
+      if (minVersion) {
+        return minVersion.version;
+      }
+    }
+    
+    return range;
+  },
+  
+  /**
+   * Fetch package information for several packages from the npm registry
    * @param {Array} packageNames - Array of package names
-   * @returns {Promise<Object>} Object with latest versions
+   * @param {Object} registryConfig - Registry configuration from registry.loadConfig
+   * @param {Object} distTags - Dist-tag to follow per package (latest when not listed)
+   * @returns {Promise<Object>} Object with package information (null when a lookup failed)
    */
-  async fetchLatestVersions(packageNames) {
-    const latestVersions = {};
+  async fetchPackageInfos(packageNames, registryConfig, distTags = {}) {
+    const packageInfos = {};
     
     // Process in batches to avoid overwhelming the npm registry
     const batchSize = 10;
     for (let i = 0; i < packageNames.length; i += batchSize) {
       const batch = packageNames.slice(i, i + batchSize);
-      const promises = batch.map(name => this.fetchPackageInfo(name));
+      const promises = batch.map(name => this.fetchPackageInfo(name, registryConfig, distTags[name]));
       
       const results = await Promise.allSettled(promises);
       
       results.forEach((result, index) => {
         const packageName = batch[index];
         if (result.status === 'fulfilled' && result.value) {
-          latestVersions[packageName] = result.value;
+          packageInfos[packageName] = result.value;
         } else {
-          console.warn(`Warning: Failed to fetch info for ${packageName}: ${result.reason}`);
-          latestVersions[packageName] = null;
+          logger.warn(`Warning: Failed to fetch info for ${packageName}: ${result.reason}`);
+          packageInfos[packageName] = null;
         }
       });
       
-      // Add a small delay between batches
-      if (i + batchSize < packageNames.length) {
+      // Add a small delay between batches that actually hit the registry
+      const hitRegistry = results.some(result => result.status !== 'fulfilled' || result.value.source !== 'cache');
+      if (hitRegistry && i + batchSize < packageNames.length) {
         await new Promise(resolve => setTimeout(resolve, 500));
       }
     }
     
+    return packageInfos;
+  },
+  
+  /**
+   * Fetch latest versions from npm registry
+   * @param {Array} packageNames - Array of package names
+   * @param {Object} registryConfig - Registry configuration from registry.loadConfig
+   * @returns {Promise<Object>} Object with latest versions
+   */
+  async fetchLatestVersions(packageNames, registryConfig) {
+    const packageInfos = await this.fetchPackageInfos(packageNames, registryConfig);
+    return this.getLatestVersions(packageInfos);
+  },
+  
+  /**
+   * Get latest versions from fetched package information
+   * @param {Object} packageInfos - Results from fetchPackageInfos
+   * @returns {Object} Object with latest versions
+   */
+  getLatestVersions(packageInfos) {
+    const latestVersions = {};
+    
+    for (const packageName in packageInfos) {
+      const info = packageInfos[packageName];
+      latestVersions[packageName] = info ? info.latest : null;
+    }
+    
     return latestVersions;
   },
   
+  /**
+   * Get all published versions from fetched package information
+   * @param {Object} packageInfos - Results from fetchPackageInfos
+   * @returns {Object} Object with arrays of published versions
+   */
+  getAvailableVersions(packageInfos) {
+    const availableVersions = {};
+    
+    for (const packageName in packageInfos) {
+      const info = packageInfos[packageName];
+      availableVersions[packageName] = info && info.packument.versions
+        ? Object.keys(info.packument.versions)
+        : [];
+    }
+    
+    return availableVersions;
+  },
+  
+  /**
+   * Get the publish time of each version from fetched package or module information
+   * @param {Object} packageInfos - Results from fetchPackageInfos (or goProxy module information)
+   * @returns {Object} Publish times per package and version (ISO strings)
+   */
+  getReleaseTimes(packageInfos) {
+    const releaseTimes = {};
+    
+    for (const packageName in packageInfos) {
+      const info = packageInfos[packageName];
+      releaseTimes[packageName] = info && info.time ? info.time : {};
+    }
+    
+    return releaseTimes;
+  },
+  
+  /**
+   * Get the engines.node range of each published version from fetched package information
+   * @param {Object} packageInfos - Results from fetchPackageInfos
+   * @returns {Object} engines.node ranges per package and version (versions without one are left out)
+   */
+  getNodeEngines(packageInfos) {
+    const nodeEngines = {};
+    
+    for (const packageName in packageInfos) {
+      const info = packageInfos[packageName];
+      nodeEngines[packageName] = {};
+      for (const [version, manifest] of Object.entries((info && info.packument.versions) || {})) {
+        if (manifest && manifest.engines && typeof manifest.engines.node === 'string') {
+          nodeEngines[packageName][version] = manifest.engines.node;
+        }
+      }
+    }
+    
+    return nodeEngines;
+  },
+  
+  /**
+   * Find deprecated and abandoned packages from fetched package information: the installed
+   * or latest version carries a deprecation message, or nothing was published for a while
+   * @param {Object} packageInfos - Results from fetchPackageInfos
+   * @param {Object} installedVersions - Installed version per package
+   * @param {number} abandonedMonths - Months without a publish after which a package counts as abandoned (0 disables)
+   * @param {Date} now - Current time
+   * @returns {Object} Maintenance status ({ deprecated, latestDeprecated, lastPublished, abandoned })
+   *   for each flagged package
+   */
+  getMaintenanceStatus(packageInfos, installedVersions, abandonedMonths, now = new Date()) {
+    const maintenanceStatus = {};
+    const cutoff = new Date(now);
+    cutoff.setMonth(cutoff.getMonth() - abandonedMonths);
+    
+    for (const packageName in packageInfos) {
+      const info = packageInfos[packageName];
+      if (!info || !info.packument.versions) {
+        continue;
+      }
+      
+      const getDeprecation = version => {
+        const manifest = info.packument.versions[version];
+        return manifest && typeof manifest.deprecated === 'string' && manifest.deprecated ? manifest.deprecated : null;
+      };
+      const deprecated = getDeprecation(installedVersions[packageName]);
+      const latestDeprecated = getDeprecation(info.latest);
+      
+      // "created" and "modified" change with metadata edits; only version publishes count
+      const time = info.packument.time || {};
+      const publishTimes = Object.keys(info.packument.versions)
+        .map(version => time[version])
+        .filter(Boolean)
+        .sort();
+      const lastPublished = publishTimes.length > 0 ? publishTimes[publishTimes.length - 1] : null;
+      const abandoned = abandonedMonths > 0 && lastPublished !== null && new Date(lastPublished) < cutoff;
+      
+      if (deprecated || latestDeprecated || abandoned) {
+        maintenanceStatus[packageName] = { deprecated, latestDeprecated, lastPublished, abandoned };
+      }
+    }
+    
+    return maintenanceStatus;
+  },
+  
   /**
    * Fetch package information from npm registry
    * @param {string} packageName - Package name
-   * @returns {Promise<string>} Latest version
+   * @param {Object} registryConfig - Registry configuration from registry.loadConfig
+   * @param {string} distTag - Dist-tag to follow; its version is reported as the latest version
+   * @returns {Promise<Object>} Package information (latest version, followed dist-tag, publish times, packument, cache source and stale flag)
    */
-  async fetchPackageInfo(packageName) {
+  async fetchPackageInfo(packageName, registryConfig, distTag = 'latest') {
     try {
-      const response = await axios.get(`https://registry.npmjs.org/${packageName}`);
-      return response.data['dist-tags'].latest;
+      const { packument, source, stale } = await registry.fetchPackument(packageName, registryConfig);
+      const distTags = packument['dist-tags'] || {};
+      if (!distTags[distTag]) {
+        logger.warn(`Warning: ${packageName} has no "${distTag}" dist-tag; following latest`);
+        distTag = 'latest';
+      }
+      return {
+        latest: distTags[distTag],
+        distTag,
+        time: packument.time || {},
+        packument,
+        source,
+        stale
+      };
     } catch (error) {
       throw new Error(`Failed to fetch info for ${packageName}: ${error.message}`);
     }
@@ -162,4 +437,3 @@ const analyzer = {
 };
 
 module.exports = analyzer;
-
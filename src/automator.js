@@ -0,0 +1,730 @@
+const EventEmitter = require('events');
+const path = require('path');
+const scanner = require('./scanner');
+const analyzer = require('./analyzer');
+const registry = require('./registry');
+const policy = require('./policy');
+const verifier = require('./verifier');
+const git = require('./git');
+const pullRequest = require('./pull-request');
+const comparator = require('./comparator');
+const updater = require('./updater');
+const goAnalyzer = require('./go-analyzer');
+const goUpdater = require('./go-updater');
+const goProxy = require('./go-proxy');
+const workspace = require('./workspace');
+const peerDependencies = require('./peer-dependencies');
+const dependencyTree = require('./dependency-tree');
+const vulnerabilities = require('./vulnerabilities');
+const releaseNotes = require('./release-notes');
+const reporter = require('./reporter');
+const documentGenerator = require('./document');
+const config = require('./config');
+const context = require('./context');
+const logger = require('./logger');
+
+/**
+ * Process an npm repository
+ * @param {Object} repository - Repository object
+ * @param {Array} repositoryReports - Array to store repository reports
+ * @param {EventEmitter} events - Automator receiving the lifecycle events
+ */
+async function processNpmRepository(repository, repositoryReports, events) {
+  logger.log('Reading package.json...');
+  const packageJson = await analyzer.readPackageJson(repository.packageJsonPath);
+  
+  // Read the lockfile if available
+  let packageLock = null;
+  if (repository.packageManager) {
+    logger.log(`Package manager: ${repository.packageManager.name}${repository.packageManager.berry ? ' (berry)' : ''}`);
+  }
+  if (repository.packageLockPath) {
+    logger.log(`Reading ${path.basename(repository.packageLockPath)}...`);
+    packageLock = await analyzer.readPackageLock(repository.packageLockPath);
+  }
+  
+  // Load the update policy (global file plus repository override)
+  const updatePolicy = await policy.loadPolicy(repository.path);
+  
+  // Extract dependencies (a workspace's root and members share one lockfile)
+  logger.log('Extracting dependencies...');
+  let dependencies;
+  let dependencyTypes;
+  let installedVersions;
+  let declarations = null;
+  if (repository.workspace) {
+    ({ dependencies, dependencyTypes, installedVersions, declarations } =
+      await workspace.collectDependencies(repository, packageLock));
+  } else {
+    dependencies = analyzer.extractDependencies(packageJson);
+    dependencyTypes = analyzer.getDependencyTypes(packageJson);
+  }
+  const packageNames = Object.keys(dependencies);
+  
+  if (packageNames.length === 0) {
+    logger.log('No dependencies found in this repository.');
+    return;
+  }
+  
+  logger.log(`Found ${packageNames.length} dependencies${repository.workspace ? ` across ${repository.workspace.members.length + 1} workspace packages` : ''}`);
+  
+  // Get installed versions
+  if (!installedVersions) {
+    logger.log('Getting installed versions...');
+    installedVersions = analyzer.getInstalledVersions(packageLock, dependencies);
+  }
+  
+  // Fetch latest versions from the configured registries
+  const registryConfig = await registry.loadConfig(repository.path);
+  logger.log(`Fetching latest versions from ${config.maskCredentials(registryConfig.registry)}...`);
+  const lookupNames = packageNames.filter(name => !policy.resolve(updatePolicy, name, dependencyTypes[name]).ignore);
+  const distTags = Object.fromEntries(lookupNames.map(name => [name, policy.resolve(updatePolicy, name, dependencyTypes[name]).distTag]));
+  const packageInfos = await analyzer.fetchPackageInfos(lookupNames, registryConfig, distTags);
+  const latestVersions = analyzer.getLatestVersions(packageInfos);
+  
+  // Match the installed versions against OSV advisories
+  const vulnerabilityResults = await scanVulnerabilities('npm', lookupNames, installedVersions);
+  
+  // Candidate versions must support the Node version the repository runs on
+  const nodeTarget = await analyzer.readNodeTarget(repository.path, packageJson);
+  if (nodeTarget) {
+    logger.log(`Target Node version: ${nodeTarget.version} (from ${nodeTarget.source})`);
+  }
+  
+  // Compare versions
+  logger.log('Comparing versions...');
+  const comparisonResults = comparator.compareVersions(installedVersions, latestVersions, {
+    ranges: dependencies,
+    availableVersions: analyzer.getAvailableVersions(packageInfos),
+    dependencyTypes,
+    policy: updatePolicy,
+    vulnerabilities: vulnerabilityResults,
+    nodeTarget,
+    nodeEngines: analyzer.getNodeEngines(packageInfos),
+    releaseTimes: analyzer.getReleaseTimes(packageInfos)
+  });
+  
+  // Record which workspace packages declare each dependency
+  if (declarations) {
+    workspace.annotateResults(comparisonResults, declarations);
+  }
+  
+  // Flag results answered from expired cache entries (offline mode) and record followed dist-tags
+  for (const packageName in comparisonResults) {
+    if (packageInfos[packageName] && packageInfos[packageName].stale) {
+      comparisonResults[packageName].stale = true;
+    }
+    if (packageInfos[packageName]) {
+      comparisonResults[packageName].distTag = packageInfos[packageName].distTag;
+    }
+  }
+  
+  // Flag deprecated packages and packages with no recent publish
+  const maintenanceStatus = analyzer.getMaintenanceStatus(packageInfos, installedVersions, config.abandonedMonths);
+  for (const packageName in maintenanceStatus) {
+    Object.assign(comparisonResults[packageName], maintenanceStatus[packageName]);
+  }
+  const unmaintainedCount = Object.keys(maintenanceStatus).length;
+  if (unmaintainedCount > 0) {
+    logger.log(`Found ${unmaintainedCount} deprecated or unmaintained packages`);
+  }
+  
+  // Hold back updates whose peer dependencies conflict with the rest of the batch and repository
+  const resolvedVersions = peerDependencies.getResolvedVersions(packageLock, installedVersions);
+  const peerConflicts = peerDependencies.findConflicts(
+    comparator.getAutoUpdatePackages(comparisonResults),
+    resolvedVersions,
+    packageInfos
+  );
+  for (const packageName in peerConflicts) {
+    const result = comparisonResults[packageName];
+    result.canAutoUpdate = false;
+    result.held = true;
+    result.heldReason = `peer dependency conflict: ${peerConflicts[packageName].map(conflict => peerDependencies.describeConflict(conflict)).join('; ')}`;
+    result.peerConflicts = peerConflicts[packageName];
+    result.rule = null;
+    logger.warn(`Warning: Holding back ${packageName}@${result.target || result.latest}: ${result.heldReason}`);
+  }
+  emitComparisons(events, repository, comparisonResults);
+  
+  // Analyze transitive dependencies in the lockfile as it is before any updates
+  const transitiveResults = config.deepAnalysis
+    ? await analyzeTransitiveDependencies(packageLock, dependencies, packageInfos, registryConfig)
+    : null;
+  
+  // Get packages that can be automatically updated
+  const autoUpdatePackages = comparator.getAutoUpdatePackages(comparisonResults);
+  const autoUpdateCount = Object.keys(autoUpdatePackages).length;
+  
+  // Get packages that need manual updates
+  const manualUpdatePackages = comparator.getManualUpdatePackages(comparisonResults);
+  const manualUpdateCount = Object.keys(manualUpdatePackages).length;
+  
+  logger.log(`Found ${autoUpdateCount} packages that can be automatically updated`);
+  logger.log(`Found ${manualUpdateCount} packages that need manual updates`);
+  
+  // Update packages if there are any to update
+  let updateResults = null;
+  if (autoUpdateCount > 0) {
+    logger.log(config.dryRun ? 'Planning package updates (dry run)...' : 'Updating packages...');
+    const updateOptions = {
+      inRangePackages: comparator.getInRangeUpdatePackages(comparisonResults),
+      installedVersions,
+      policy: updatePolicy,
+      dependencyTypes,
+      packageInfos,
+      resolvedVersions,
+      dryRun: config.dryRun
+    };
+    const verification = policy.getVerification(updatePolicy, 'npm');
+    const files = [...updater.getManifests(repository).map(manifest => manifest.packageJsonPath), repository.packageLockPath];
+    const apply = names => updater.updatePackages(
+      repository,
+      Object.fromEntries(names.map(name => [name, autoUpdatePackages[name]])),
+      updateOptions
+    );
+    const changes = {};
+    for (const packageName in autoUpdatePackages) {
+      changes[packageName] = {
+        from: comparisonResults[packageName].installed,
+        to: autoUpdatePackages[packageName],
+        updateType: comparisonResults[packageName].updateType,
+        dependencyType: dependencyTypes[packageName]
+      };
+    }
+    
+    const branch = await prepareUpdateBranch(repository, changes, files);
+    const snapshot = branch ? await verifier.snapshotFiles(files) : null;
+    
+    try {
+      updateResults = await verifier.updateWithVerification({
+        repository,
+        names: Object.keys(autoUpdatePackages),
+        apply,
+        files,
+        install: () => updater.updatePackageLock(repository.path, repository.packageManager),
+        commands: verification.commands,
+        timeout: verification.timeout
+      });
+      
+      await commitAppliedUpdates({ repository, branch, changes, files, snapshot, apply, updateResults });
+    } finally {
+      // Leave the repository on the branch the run started from
+      if (branch) {
+        await git.restoreBaseBranch(repository.path, branch);
+      }
+    }
+    
+    if (updateResults.updated) {
+      logger.log('Packages updated successfully');
+      events.emit('update:applied', { repository, changes: getAppliedChanges(changes, updateResults), updateResults });
+    } else if (updateResults.dryRun && !updateResults.error) {
+      logger.log('Dry run: no files were changed');
+    } else {
+      logger.log(`Failed to update packages: ${updateResults.error || 'Unknown error'}`);
+    }
+  }
+  
+  // Generate repository report
+  const repoReport = reporter.generateRepositoryReport(repository, comparisonResults, updateResults);
+  if (nodeTarget) {
+    repoReport.nodeTarget = nodeTarget;
+  }
+  if (transitiveResults) {
+    repoReport.transitive = transitiveResults;
+  }
+  await collectReleaseNotes(repoReport, (packageName, pkg) =>
+    releaseNotes.collectNpm(packageName, pkg.from, pkg.to, packageInfos[packageName].packument, registryConfig));
+  await reportPlannedChanges(repoReport);
+  await publishUpdates(repository, repoReport);
+  repositoryReports.push(repoReport);
+}
+
+/**
+ * Match installed versions against OSV advisories when vulnerability scanning is enabled
+ * @param {string} ecosystem - OSV ecosystem ("npm" or "Go")
+ * @param {Array} names - Package names or module paths to check
+ * @param {Object} installedVersions - Installed version per package
+ * @returns {Promise<Object>} Scan results for the vulnerable packages
+ */
+async function scanVulnerabilities(ecosystem, names, installedVersions) {
+  if (!config.vulnerabilityScan || names.length === 0) {
+    return {};
+  }
+  
+  logger.log(`Checking ${names.length} ${ecosystem === 'Go' ? 'modules' : 'packages'} for known vulnerabilities (${config.osvDir || config.maskCredentials(config.osvUrl)})...`);
+  const vulnerabilityResults = await vulnerabilities.scan(
+    ecosystem,
+    Object.fromEntries(names.map(name => [name, installedVersions[name]]))
+  );
+  
+  const vulnerableNames = Object.keys(vulnerabilityResults);
+  if (vulnerableNames.length > 0) {
+    logger.log(`Found known vulnerabilities in ${vulnerableNames.length} packages: ${vulnerableNames.map(name => `${name} (${vulnerabilityResults[name].severity})`).join(', ')}`);
+  }
+  return vulnerabilityResults;
+}
+
+/**
+ * Gather release notes for the updates left for a person, one package at a time
+ * @param {Object} repoReport - Repository report
+ * @param {Function} collect - Called with each package name and manual update entry;
+ *   resolves to the release notes or null
+ */
+async function collectReleaseNotes(repoReport, collect) {
+  const packageNames = Object.keys(repoReport.manualUpdatePackages);
+  if (!config.releaseNotes || config.offline || packageNames.length === 0) {
+    return;
+  }
+  
+  logger.log(`Collecting release notes for ${packageNames.length} manual updates...`);
+  for (const packageName of packageNames) {
+    const pkg = repoReport.manualUpdatePackages[packageName];
+    try {
+      const notes = await collect(packageName, pkg);
+      if (notes) {
+        pkg.releaseNotes = notes;
+      }
+    } catch (error) {
+      logger.warn(`Warning: Failed to collect release notes for ${packageName}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Analyze transitive dependencies (deep mode): outdated and duplicated packages below the
+ * direct dependencies, with the paths that pull them in
+ * @param {Object|null} packageLock - Parsed lockfile
+ * @param {Object} dependencies - Direct dependencies
+ * @param {Object} packageInfos - Package information already fetched for the direct dependencies
+ * @param {Object} registryConfig - Registry configuration
+ * @returns {Promise<Object|null>} Transitive analysis, or null when the lockfile has no dependency tree
+ */
+async function analyzeTransitiveDependencies(packageLock, dependencies, packageInfos, registryConfig) {
+  const nodes = dependencyTree.buildTree(packageLock, dependencies);
+  if (!nodes) {
+    logger.log('Skipping transitive analysis: it needs a package-lock.json or npm-shrinkwrap.json');
+    return null;
+  }
+  
+  const transitiveNames = dependencyTree.getTransitiveNames(nodes, dependencyTree.walk(nodes));
+  const lookupNames = transitiveNames.filter(name => !(name in packageInfos));
+  logger.log(`Fetching latest versions for ${lookupNames.length} transitive dependencies...`);
+  const allPackageInfos = {
+    ...packageInfos,
+    ...await analyzer.fetchPackageInfos(lookupNames, registryConfig)
+  };
+  
+  const transitiveResults = dependencyTree.analyze(nodes, allPackageInfos);
+  logger.log(`Found ${transitiveResults.outdated.length} outdated and ${transitiveResults.duplicated.length} duplicated transitive dependencies`);
+  return transitiveResults;
+}
+
+/**
+ * Switch to a new update branch when committing is enabled
+ * @param {Object} repository - Repository object
+ * @param {Object} changes - Planned changes keyed by package name
+ * @param {Array} files - Files the updates change and commit
+ * @returns {Promise<Object|null>} Branch information, or null when not committing
+ */
+async function prepareUpdateBranch(repository, changes, files) {
+  if (!config.gitCommit || config.dryRun) {
+    return null;
+  }
+  
+  const branchName = git.getBranchName(changes, config.gitBranchPrefix);
+  logger.log(`Creating branch ${branchName}...`);
+  return git.prepareBranch(repository.path, branchName, { force: config.force, files });
+}
+
+/**
+ * Get the planned changes that were applied, leaving out updates that were not applied
+ * or that verification reverted
+ * @param {Object} changes - Planned changes keyed by package name
+ * @param {Object} updateResults - Update results
+ * @returns {Object} Applied changes keyed by package name
+ */
+function getAppliedChanges(changes, updateResults) {
+  const applied = updateResults.updatedDependencies;
+  const reverted = updateResults.verification ? updateResults.verification.revertedPackages : {};
+  const appliedChanges = {};
+  for (const name in changes) {
+    if ((!applied || applied[name]) && !reverted[name]) {
+      appliedChanges[name] = changes[name];
+    }
+  }
+  return appliedChanges;
+}
+
+/**
+ * Commit the updates that were kept on the update branch
+ * @param {Object} options - Options
+ * @param {Object} options.repository - Repository object
+ * @param {Object|null} options.branch - Branch information from prepareUpdateBranch
+ * @param {Object} options.changes - Planned changes keyed by package name
+ * @param {Array} options.files - Manifest and lockfile paths
+ * @param {Object} options.snapshot - File snapshot taken before the updates
+ * @param {Function} options.apply - Applies updates for a subset of names
+ * @param {Object} options.updateResults - Update results (receives the git results)
+ */
+async function commitAppliedUpdates({ repository, branch, changes, files, snapshot, apply, updateResults }) {
+  if (!branch) {
+    return;
+  }
+  
+  const keptChanges = getAppliedChanges(changes, updateResults);
+  
+  let gitResults = null;
+  if (updateResults.updated && Object.keys(keptChanges).length > 0) {
+    gitResults = await git.commitUpdates({
+      repository,
+      branch: branch.branch,
+      changes: keptChanges,
+      files,
+      strategy: config.commitStrategy,
+      snapshot,
+      apply
+    });
+  }
+  
+  if (!gitResults || gitResults.commits.length === 0) {
+    logger.log(`Nothing to commit; returning to ${branch.baseBranch}`);
+    await git.abandonBranch(repository.path, branch);
+    return;
+  }
+  
+  updateResults.git = { ...gitResults, baseBranch: branch.baseBranch };
+  logger.log(`Committed ${gitResults.commits.length} commit(s) on ${branch.branch}`);
+}
+
+/**
+ * Push the update branch and open or update its pull/merge request
+ * @param {Object} repository - Repository object
+ * @param {Object} repoReport - Repository report (receives the pull request details)
+ */
+async function publishUpdates(repository, repoReport) {
+  if (!config.pullRequest || !repoReport.git) {
+    return;
+  }
+  
+  try {
+    logger.log(`Pushing ${repoReport.git.branch} to ${config.gitRemote}...`);
+    await git.push(repository.path, config.gitRemote, repoReport.git.branch);
+    
+    const remoteUrl = await git.getRemoteUrl(repository.path, config.gitRemote);
+    repoReport.git.pullRequest = await pullRequest.openPullRequest(repoReport, remoteUrl);
+    logger.log(`Pull request ${repoReport.git.pullRequest.created ? 'opened' : 'updated'}: ${repoReport.git.pullRequest.url}`);
+  } catch (error) {
+    // Keep the rest of the report; the branch and commits are still useful locally
+    logger.error(error.message);
+    repoReport.git.pullRequest = { error: error.message };
+  }
+}
+
+/**
+ * Print and save the unified diff of a dry run
+ * @param {Object} repoReport - Repository report
+ */
+async function reportPlannedChanges(repoReport) {
+  if (!repoReport.dryRun || !repoReport.diff) {
+    return;
+  }
+  
+  logger.log(`\nPlanned changes for ${repoReport.name}:\n`);
+  logger.log(repoReport.diff);
+  
+  const diffPath = await reporter.writeDiff(repoReport);
+  if (diffPath) {
+    logger.log(`Diff saved to: ${diffPath}`);
+  }
+}
+
+/**
+ * Process a Go repository
+ * @param {Object} repository - Repository object
+ * @param {Array} repositoryReports - Array to store repository reports
+ * @param {EventEmitter} events - Automator receiving the lifecycle events
+ */
+async function processGoRepository(repository, repositoryReports, events) {
+  logger.log('Reading go.mod...');
+  const goMod = await goAnalyzer.readGoMod(repository.goModPath);
+  const updatePolicy = await policy.loadPolicy(repository.path);
+  
+  logger.log(`Module: ${goMod.module}`);
+  logger.log(`Go version: ${goMod.go}`);
+  if (goMod.toolchain) {
+    logger.log(`Toolchain: go${goMod.toolchain}`);
+  }
+  if (goMod.replaces.length > 0) {
+    logger.log(`Replace directives: ${goMod.replaces.length} (replaced modules are not checked)`);
+  }
+  
+  // Get the available Go releases
+  logger.log(`Fetching Go releases from ${config.maskCredentials(config.goReleasesUrl)}...`);
+  const goReleases = await goAnalyzer.fetchGoReleases();
+  
+  // Compare the go and toolchain directives separately
+  logger.log('Comparing Go versions...');
+  const directiveResults = {
+    go: goAnalyzer.compareGoVersion(goMod.go, goReleases, updatePolicy, 'go')
+  };
+  if (goMod.toolchain) {
+    directiveResults.toolchain = goAnalyzer.compareGoVersion(goMod.toolchain, goReleases, updatePolicy, 'toolchain');
+  }
+  
+  for (const directive in directiveResults) {
+    const result = directiveResults[directive];
+    if (result.updateType === 'current') {
+      logger.log(`${directive} ${result.installed} is the latest release`);
+    } else if (result.held) {
+      logger.log(`${directive} ${result.installed} held: ${result.heldReason}`);
+    } else if (!result.canAutoUpdate && result.target) {
+      logger.log(`${directive} ${result.target} available, but requires manual update (${result.updateType})`);
+    }
+  }
+  
+  // Check required modules against the module proxy
+  const modulePaths = Object.keys(goMod.requires);
+  let moduleResults = {};
+  if (modulePaths.length > 0) {
+    const proxyConfig = goProxy.getProxyConfig();
+    logger.log(`Fetching module versions for ${modulePaths.length} requirements from ${config.maskCredentials(config.goProxy)}...`);
+    const lookupPaths = modulePaths.filter(modulePath => !policy.resolve(updatePolicy, modulePath).ignore);
+    const moduleInfos = await goAnalyzer.fetchModuleInfos(goMod, lookupPaths, proxyConfig);
+    
+    // Private and replaced modules are not looked up in the advisory database either
+    const scanPaths = lookupPaths.filter(modulePath =>
+      moduleInfos[modulePath] && !moduleInfos[modulePath].private && !moduleInfos[modulePath].replacement);
+    const vulnerabilityResults = await scanVulnerabilities('Go', scanPaths, goMod.requires);
+    moduleResults = goAnalyzer.compareModuleVersions(goMod, moduleInfos, updatePolicy, vulnerabilityResults);
+  }
+  
+  // Create comparison results object similar to npm packages
+  const comparisonResults = {
+    ...directiveResults,
+    ...moduleResults
+  };
+  emitComparisons(events, repository, comparisonResults);
+  
+  // Apply the directive and module updates the policy allows
+  let updateResults = null;
+  const autoUpdatePackages = comparator.getAutoUpdatePackages(comparisonResults);
+  const autoUpdateNames = Object.keys(autoUpdatePackages);
+  if (autoUpdateNames.length > 0) {
+    const changes = {};
+    for (const name of autoUpdateNames) {
+      changes[name] = {
+        from: comparisonResults[name].installed,
+        to: autoUpdatePackages[name],
+        updateType: comparisonResults[name].updateType
+      };
+      logger.log(`${config.dryRun ? 'Planning update of' : 'Updating'} ${name} from ${changes[name].from} to ${changes[name].to}...`);
+    }
+    
+    const verification = policy.getVerification(updatePolicy, 'go');
+    const files = [repository.goModPath, path.join(repository.path, 'go.sum')];
+    const apply = names => goUpdater.updateGoMod(
+      repository,
+      Object.fromEntries(names.map(name => [name, autoUpdatePackages[name]])),
+      { dryRun: config.dryRun }
+    );
+    
+    const branch = await prepareUpdateBranch(repository, changes, files);
+    const snapshot = branch ? await verifier.snapshotFiles(files) : null;
+    
+    try {
+      updateResults = await verifier.updateWithVerification({
+        repository,
+        names: autoUpdateNames,
+        apply,
+        files,
+        commands: verification.commands,
+        timeout: verification.timeout
+      });
+      
+      await commitAppliedUpdates({ repository, branch, changes, files, snapshot, apply, updateResults });
+    } finally {
+      // Leave the repository on the branch the run started from
+      if (branch) {
+        await git.restoreBaseBranch(repository.path, branch);
+      }
+    }
+    
+    if (updateResults.updated) {
+      logger.log('go.mod updated successfully');
+      events.emit('update:applied', { repository, changes: getAppliedChanges(changes, updateResults), updateResults });
+    } else if (updateResults.dryRun && !updateResults.error) {
+      logger.log('Dry run: no files were changed');
+    } else {
+      logger.log(`Failed to update go.mod: ${updateResults.error || 'Unknown error'}`);
+    }
+  }
+  
+  // Generate repository report
+  const repoReport = reporter.generateRepositoryReport(repository, comparisonResults, updateResults);
+  await collectReleaseNotes(repoReport, (modulePath, pkg) =>
+    (goMod.requires[modulePath] ? releaseNotes.collectGo(modulePath, pkg.from, pkg.to) : null));
+  await reportPlannedChanges(repoReport);
+  await publishUpdates(repository, repoReport);
+  repositoryReports.push(repoReport);
+}
+
+/**
+ * Emit package:compared for each comparison result of a repository
+ * @param {EventEmitter} events - Automator receiving the lifecycle events
+ * @param {Object} repository - Repository object
+ * @param {Object} comparisonResults - Comparison results keyed by package name
+ */
+function emitComparisons(events, repository, comparisonResults) {
+  for (const name in comparisonResults) {
+    events.emit('package:compared', { repository, name, result: comparisonResults[name] });
+  }
+}
+
+/**
+ * Process each repository, recording a failed repository's error in its report
+ * @param {Array} repositories - Repositories from scanner.findRepositories
+ * @param {EventEmitter} events - Automator receiving the lifecycle events
+ * @returns {Promise<Array>} Repository reports
+ */
+async function processRepositories(repositories, events) {
+  const repositoryReports = [];
+  
+  for (const repository of repositories) {
+    logger.log(`\nProcessing repository: ${repository.path}`);
+    
+    try {
+      events.emit('repository:start', { repository });
+      
+      if (repository.type === 'npm') {
+        // Process npm repository
+        await processNpmRepository(repository, repositoryReports, events);
+      } else if (repository.type === 'go') {
+        // Process Go repository
+        await processGoRepository(repository, repositoryReports, events);
+      }
+      
+    } catch (error) {
+      logger.error(`Error processing repository ${repository.path}: ${error.message}`);
+      // EventEmitter throws 'error' events nobody listens for; the report records the error either way
+      if (events.listenerCount('error') > 0) {
+        events.emit('error', error, repository);
+      }
+      repositoryReports.push({
+        path: repository.path,
+        name: path.basename(repository.path),
+        error: error.message
+      });
+    }
+  }
+  
+  return repositoryReports;
+}
+
+/**
+ * Write the JSON report and the formatted documents
+ * @param {Object} consolidatedReport - Report from reporter.generateConsolidatedReport
+ */
+async function writeReports(consolidatedReport) {
+  // Write report to file
+  const reportPath = await reporter.writeReport(consolidatedReport);
+  logger.log(`Report saved to: ${reportPath}`);
+  
+  // Generate formatted documents
+  logger.log('Generating formatted documents...');
+  const documentPaths = await documentGenerator.generateDocument(consolidatedReport);
+  logger.log(`Main document saved to: ${documentPaths[0]}`);
+  
+  if (documentPaths.length > 1) {
+    logger.log(`Generated ${documentPaths.length - 1} individual repository reports`);
+  }
+}
+
+/**
+ * Create an automator for embedding in other tools. It never exits the process, and it
+ * changes repositories and writes the report only when asked to. Each automator has its
+ * own settings, so several can run at once.
+ * @param {Object} options - Config settings (see src/config.js), which override
+ *   environment variables, plus:
+ * @param {boolean} [options.apply=false] - Apply the updates the policy allows; otherwise
+ *   they are planned as in a dry run
+ * @param {boolean} [options.writeReports=false] - Write the JSON report and the documents
+ * @param {boolean} [options.writeDiffs=false] - Save the planned changes of a dry run to
+ *   diffDir (DIFF_DIR)
+ * @param {Object} [options.logger] - Receives progress messages (log, warn and error
+ *   methods, such as console); without one they are emitted as log events
+ * @returns {EventEmitter} Automator with scan() and run(). It emits repository:start
+ *   ({ repository }), package:compared ({ repository, name, result }), update:applied
+ *   ({ repository, changes, updateResults }), log ({ level, message }) and error
+ *   (error, repository) when a repository fails.
+ */
+function createAutomator(options = {}) {
+  const {
+    apply = false,
+    writeReports: shouldWriteReports = false,
+    writeDiffs = false,
+    logger: customLogger = null,
+    ...overrides
+  } = options;
+  const automator = new EventEmitter();
+  
+  // The metadata cache is only written to disk when asked for (cacheEnabled, or REGISTRY_CACHE=true)
+  const settings = config.create({ cacheEnabled: process.env.REGISTRY_CACHE === 'true', ...overrides });
+  if (!apply) {
+    settings.dryRun = true;
+  }
+  if (!writeDiffs) {
+    settings.diffDir = null;
+  }
+  const runContext = {
+    settings,
+    logger: customLogger || {
+      log: message => automator.emit('log', { level: 'info', message }),
+      warn: message => automator.emit('log', { level: 'warn', message }),
+      error: message => automator.emit('log', { level: 'error', message })
+    }
+  };
+  
+  return Object.assign(automator, {
+    /**
+     * Find the repositories to process
+     * @returns {Promise<Array>} Repositories from scanner.findRepositories
+     */
+    scan() {
+      return context.run(runContext, async () => {
+        logger.log(`Using configuration: ${JSON.stringify(config.redact(), null, 2)}`);
+        
+        logger.log('Scanning for repositories...');
+        const repositories = await scanner.findRepositories();
+        logger.log(`Found ${repositories.length} repositories`);
+        
+        if (repositories.length === 0) {
+          throw new Error('No repositories found. Please check your configuration.');
+        }
+        return repositories;
+      });
+    },
+    
+    /**
+     * Process every repository. A failed repository is recorded in the report (and
+     * emitted as an error event) without stopping the others.
+     * @returns {Promise<Object>} Consolidated report from reporter.generateConsolidatedReport
+     */
+    run() {
+      return context.run(runContext, async () => {
+        const repositories = await this.scan();
+        const repositoryReports = await processRepositories(repositories, this);
+        
+        logger.log('\nGenerating consolidated report...');
+        const consolidatedReport = reporter.generateConsolidatedReport(repositoryReports);
+        
+        if (shouldWriteReports) {
+          await writeReports(consolidatedReport);
+        }
+        return consolidatedReport;
+      });
+    }
+  });
+}
+
+module.exports = { createAutomator };
@@ -0,0 +1,86 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Registry metadata cache module
+ */
+const cache = {
+  /**
+   * Get the cache file path for a package on a registry
+   * @param {string} registryUrl - Registry URL
+   * @param {string} packageName - Package name
+   * @returns {string} Cache file path
+   */
+  getEntryPath(registryUrl, packageName) {
+    return path.join(
+      config.cacheDir,
+      encodeURIComponent(registryUrl),
+      `${encodeURIComponent(packageName)}.json`
+    );
+  },
+
+  /**
+   * Read a cached entry
+   * @param {string} registryUrl - Registry URL
+   * @param {string} packageName - Package name
+   * @returns {Promise<Object|null>} Cached entry ({ etag, fetchedAt, data }) or null
+   */
+  async get(registryUrl, packageName) {
+    const entryPath = this.getEntryPath(registryUrl, packageName);
+    if (!(await fs.pathExists(entryPath))) {
+      return null;
+    }
+
+    try {
+      return await fs.readJson(entryPath);
+    } catch (error) {
+      logger.warn(`Warning: Ignoring unreadable cache entry ${entryPath}: ${error.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Write a cache entry
+   * @param {string} registryUrl - Registry URL
+   * @param {string} packageName - Package name
+   * @param {Object} data - Metadata to cache
+   * @param {string|null} etag - ETag returned by the registry
+   * @returns {Promise<Object>} Written entry
+   */
+  async set(registryUrl, packageName, data, etag = null) {
+    const entry = {
+      etag,
+      fetchedAt: Date.now(),
+      data
+    };
+
+    const entryPath = this.getEntryPath(registryUrl, packageName);
+    await fs.ensureDir(path.dirname(entryPath));
+    await fs.writeJson(entryPath, entry);
+    return entry;
+  },
+
+  /**
+   * Mark an existing entry as freshly validated (after a 304 response)
+   * @param {string} registryUrl - Registry URL
+   * @param {string} packageName - Package name
+   * @param {Object} entry - Existing cache entry
+   * @returns {Promise<Object>} Updated entry
+   */
+  async touch(registryUrl, packageName, entry) {
+    return this.set(registryUrl, packageName, entry.data, entry.etag);
+  },
+
+  /**
+   * Check whether a cache entry is still within its TTL
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} True if the entry is fresh
+   */
+  isFresh(entry) {
+    return Date.now() - entry.fetchedAt < config.cacheTtl * 60 * 1000;
+  }
+};
+
+module.exports = cache;
@@ -0,0 +1,198 @@
+const util = require('util');
+
+const COMMANDS = ['scan', 'check', 'update', 'report'];
+const DOCUMENT_FORMATS = ['markdown', 'html'];
+
+// Process exit codes
+const EXIT_CODES = {
+  current: 0, // Every package is current (or, for scan, repositories were found)
+  error: 1, // Bad arguments, no repositories, or a repository failed
+  updatesAvailable: 2, // Updates are available but none were applied
+  updatesApplied: 3 // Updates were applied to at least one repository
+};
+
+// Flags, with the config setting each one sets
+const OPTIONS = {
+  repo: { type: 'string', short: 'r', multiple: true, setting: 'repoPaths' },
+  'base-dir': { type: 'string', short: 'b', setting: 'baseDir' },
+  format: { type: 'string', short: 'f', setting: 'documentFormat' },
+  'report-path': { type: 'string', setting: 'reportPath' },
+  'document-path': { type: 'string', setting: 'documentPath' },
+  policy: { type: 'string', short: 'p', setting: 'policyPath' },
+  'dry-run': { type: 'boolean', setting: 'dryRun' },
+  offline: { type: 'boolean', setting: 'offline' },
+  deep: { type: 'boolean', setting: 'deepAnalysis' },
+  vulnerabilities: { type: 'boolean', setting: 'vulnerabilityScan' },
+  commit: { type: 'boolean', setting: 'gitCommit' },
+  'pull-request': { type: 'boolean', setting: 'pullRequest' },
+  force: { type: 'boolean', setting: 'force' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `Usage: package-automator [command] [options]
+
+Commands:
+  scan      List the npm and Go repositories that would be processed
+  check     Compare dependencies with the registries and print what is out of date
+  update    Apply the updates the policy allows and write the report (default)
+  report    Write the report and documents without changing any repository
+
+Options:
+  -r, --repo <path>          Repository to process (repeatable, or comma-separated; REPO_PATHS)
+  -b, --base-dir <dir>       Directory to search for repositories (BASE_DIR)
+  -f, --format <format>      Document format: markdown or html (DOCUMENT_FORMAT)
+      --report-path <file>   JSON report path (REPORT_PATH)
+      --document-path <file> Document path (DOCUMENT_PATH)
+  -p, --policy <file>        Update policy file (POLICY_PATH)
+      --dry-run              Plan updates and print diffs without changing anything (DRY_RUN)
+      --offline              Answer from the metadata cache only (OFFLINE)
+      --deep                 Also analyze transitive dependencies (DEEP_ANALYSIS)
+      --vulnerabilities      Check installed versions against OSV advisories (VULNERABILITY_SCAN)
+      --commit               Commit applied updates on a new branch (GIT_COMMIT)
+      --pull-request         Open a pull/merge request for the branch (PULL_REQUEST)
+      --force                Allow uncommitted changes to files the update does not commit (FORCE)
+      --json                 Print the result as JSON on stdout (logs go to stderr)
+  -h, --help                 Show this help
+
+Flags override environment variables, which override the .env file.
+
+Exit codes:
+  0  Everything is current
+  1  Error
+  2  Updates available (none applied)
+  3  Updates applied`;
+
+/**
+ * Command line interface helpers
+ */
+const cli = {
+  COMMANDS,
+  EXIT_CODES,
+
+  /**
+   * Get the help text
+   * @returns {string} Usage text
+   */
+  getUsage() {
+    return USAGE;
+  },
+
+  /**
+   * Parse command line arguments
+   * @param {Array} argv - Arguments after the script name
+   * @returns {Object} Parsed arguments ({ command, overrides, json, help })
+   */
+  parseArgs(argv) {
+    const { values, positionals } = util.parseArgs({
+      args: argv,
+      options: Object.fromEntries(Object.entries(OPTIONS).map(([name, { setting, ...option }]) => [name, option])),
+      allowPositionals: true
+    });
+    if (positionals.length > 1) {
+      throw new Error(`Unexpected argument "${positionals[1]}"`);
+    }
+
+    const command = positionals[0] || 'update';
+    if (!COMMANDS.includes(command)) {
+      throw new Error(`Unknown command "${command}" (expected one of ${COMMANDS.join(', ')})`);
+    }
+
+    if (values.format !== undefined && !DOCUMENT_FORMATS.includes(values.format)) {
+      throw new Error(`Unknown format "${values.format}" (expected one of ${DOCUMENT_FORMATS.join(', ')})`);
+    }
+
+    const overrides = {};
+    for (const name in values) {
+      if (OPTIONS[name].setting) {
+        overrides[OPTIONS[name].setting] = values[name];
+      }
+    }
+    if (overrides.repoPaths) {
+      overrides.repoPaths = overrides.repoPaths.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+    }
+
+    return {
+      command,
+      overrides,
+      json: Boolean(values.json),
+      help: Boolean(values.help)
+    };
+  },
+
+  /**
+   * Work out the exit code for a finished run
+   * @param {string} command - Command that ran
+   * @param {Object} report - Consolidated report from reporter.generateConsolidatedReport
+   * @returns {number} Exit code
+   */
+  getExitCode(command, report) {
+    const repositories = report.repositories || [];
+
+    if (repositories.some(repoReport => repoReport.error)) {
+      return EXIT_CODES.error;
+    }
+
+    if (command === 'update' && repositories.some(repoReport => repoReport.autoUpdated)) {
+      return EXIT_CODES.updatesApplied;
+    }
+
+    if (repositories.some(repoReport => repoReport.autoUpdateCount > 0 || repoReport.manualUpdateCount > 0)) {
+      return EXIT_CODES.updatesAvailable;
+    }
+
+    return EXIT_CODES.current;
+  },
+
+  /**
+   * Describe the repositories found by the scanner
+   * @param {Array} repositories - Repositories from scanner.findRepositories
+   * @returns {Array} Repository summaries ({ path, type, packageManager, workspaceMembers })
+   */
+  describeRepositories(repositories) {
+    return repositories.map(repository => ({
+      path: repository.path,
+      type: repository.type,
+      packageManager: repository.packageManager ? repository.packageManager.name : null,
+      workspaceMembers: repository.workspace ? repository.workspace.members.length : 0
+    }));
+  },
+
+  /**
+   * Format the scanned repositories for the terminal
+   * @param {Array} repositories - Summaries from describeRepositories
+   * @returns {string} One line per repository
+   */
+  formatRepositories(repositories) {
+    return repositories.map(repository => {
+      const details = [repository.packageManager, repository.workspaceMembers ? `workspace with ${repository.workspaceMembers} members` : null]
+        .filter(Boolean);
+      return `${repository.type.padEnd(4)} ${repository.path}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+    }).join('\n');
+  },
+
+  /**
+   * Format the outcome of a run for the terminal
+   * @param {string} command - Command that ran
+   * @param {Object} report - Consolidated report from reporter.generateConsolidatedReport
+   * @returns {string} Summary, one line per repository
+   */
+  formatSummary(command, report) {
+    const applied = command === 'update' && !report.dryRun;
+
+    return report.repositories.map(repoReport => {
+      if (repoReport.error) {
+        return `${repoReport.name}: error: ${repoReport.error}`;
+      }
+      if (repoReport.autoUpdateCount === 0 && repoReport.manualUpdateCount === 0) {
+        return `${repoReport.name}: all ${repoReport.packageCount} packages current${repoReport.heldCount ? ` (${repoReport.heldCount} held back)` : ''}`;
+      }
+      const automatic = applied && repoReport.autoUpdated
+        ? `${repoReport.autoUpdateCount} updated`
+        : `${repoReport.autoUpdateCount} automatic`;
+      return `${repoReport.name}: ${automatic}, ${repoReport.manualUpdateCount} manual, ${repoReport.heldCount || 0} held back`;
+    }).join('\n');
+  }
+};
+
+module.exports = cli;
@@ -1,60 +1,445 @@
 const semver = require('semver');
+const policy = require('./policy');
 
 /**
  * Version comparator module
  */
 const comparator = {
   /**
-   * Compare installed versions with latest versions
+   * Compare installed versions with latest versions, npm-outdated style
    * @param {Object} installedVersions - Object with installed versions
    * @param {Object} latestVersions - Object with latest versions
+   * @param {Object} options - Comparison context
+   * @param {Object} options.ranges - Declared version ranges from package.json
+   * @param {Object} options.availableVersions - Published versions per package
+   * @param {Object} options.dependencyTypes - Dependency type per package
+   * @param {Object} options.policy - Update policy from policy.loadPolicy
+   * @param {Object} options.vulnerabilities - Vulnerability scan results per package from vulnerabilities.scan
+   * @param {Object} options.nodeTarget - Node version the repository targets from analyzer.readNodeTarget
+   * @param {Object} options.nodeEngines - engines.node ranges per package and version from analyzer.getNodeEngines
+   * @param {Object} options.releaseTimes - Publish times per package and version from analyzer.getReleaseTimes
+   * @param {Date} options.now - Current time, for release ages
    * @returns {Object} Comparison results
    */
-  compareVersions(installedVersions, latestVersions) {
+  compareVersions(installedVersions, latestVersions, options = {}) {
     const results = {};
+    const ranges = options.ranges || {};
+    const availableVersions = options.availableVersions || {};
+    const dependencyTypes = options.dependencyTypes || {};
+    const vulnerabilities = options.vulnerabilities || {};
+    const nodeTarget = options.nodeTarget || null;
+    const nodeEngines = options.nodeEngines || {};
+    const releaseTimes = options.releaseTimes || {};
+    const now = options.now || new Date();
     
     for (const packageName in installedVersions) {
       const installed = installedVersions[packageName];
       const latest = latestVersions[packageName];
+      const range = ranges[packageName] || null;
+      const settings = policy.resolve(options.policy, packageName, dependencyTypes[packageName]);
+      
+      // Ignored packages are reported but never compared
+      if (settings.ignore) {
+        results[packageName] = {
+          installed,
+          range,
+          wanted: null,
+          latest: latest || null,
+          target: null,
+          updateType: 'ignored',
+          canAutoUpdate: false,
+          held: true,
+          heldReason: 'ignored by policy',
+          rule: settings.rules.ignore
+        };
+        continue;
+      }
       
       // Skip if we couldn't fetch the latest version
       if (!latest) {
         results[packageName] = {
           installed,
+          range,
+          wanted: null,
           latest: null,
+          target: null,
           updateType: 'unknown',
           canAutoUpdate: false
         };
         continue;
       }
       
-      // Skip if already at latest version
-      if (installed === latest) {
+      // Move to the newest version the allow/deny rules permit
+      let target = latest;
+      let rule = settings.rules.allowedUpdateTypes;
+      const rejectingRule = policy.getRejectingRule(settings, latest);
+      if (rejectingRule) {
+        target = policy.getNewestAllowedVersion(settings, availableVersions[packageName]) || installed;
+        rule = rejectingRule;
+      }
+      
+      // Step back past versions whose engines.node leaves out the repository's Node version
+      let engineSkipped = null;
+      const engines = nodeEngines[packageName] || {};
+      if (nodeTarget && semver.valid(target) && !this.isUpToDate(installed, target) && !this.supportsNode(engines[target], nodeTarget)) {
+        engineSkipped = {
+          version: target,
+          node: engines[target],
+          reason: `${target} requires Node ${engines[target]} (${nodeTarget.source} targets ${nodeTarget.version})`
+        };
+        target = this.getNewestVersion(availableVersions[packageName], version =>
+          semver.lt(version, engineSkipped.version) &&
+          policy.isVersionAllowed(settings, version) &&
+          this.supportsNode(engines[version], nodeTarget)) || installed;
+      }
+      
+      // Auto-updates only take versions published at least minimumReleaseAge days ago:
+      // fall back to the newest old-enough version of the same update type, or hold
+      let releaseAgeSkipped = null;
+      let tooRecent = null;
+      const times = releaseTimes[packageName] || {};
+      const targetAge = this.getReleaseAge(times[target], now);
+      const targetType = this.getUpdateType(installed, target);
+      if (
+        settings.minimumReleaseAge > 0 &&
+        targetAge !== null &&
+        targetAge < settings.minimumReleaseAge &&
+        settings.allowedUpdateTypes.includes(targetType)
+      ) {
+        const fallback = this.getNewestVersion(availableVersions[packageName], version =>
+          semver.lt(version, target) &&
+          semver.gt(version, installed) &&
+          this.getUpdateType(installed, version) === targetType &&
+          policy.isVersionAllowed(settings, version) &&
+          (!nodeTarget || this.supportsNode(engines[version], nodeTarget)) &&
+          this.isOldEnough(times[version], settings.minimumReleaseAge, now));
+        if (fallback) {
+          releaseAgeSkipped = {
+            version: target,
+            published: times[target],
+            reason: `${target} ${this.describeReleaseAge(targetAge)}`
+          };
+          target = fallback;
+        } else {
+          tooRecent = this.describeReleaseAge(targetAge);
+        }
+      }
+      
+      const wanted = this.getWantedVersion(range, latest, availableVersions[packageName]);
+      const inRange = this.isInRange(target, range);
+      
+      // Skip if already at the target version
+      if (this.isUpToDate(installed, target)) {
         results[packageName] = {
           installed,
+          range,
+          wanted,
           latest,
+          target,
           updateType: 'current',
-          canAutoUpdate: false
+          inRange,
+          canAutoUpdate: false,
+          rule: rejectingRule
         };
+        if (engineSkipped) {
+          results[packageName].engineSkipped = engineSkipped;
+        }
         continue;
       }
       
       // Determine update type
-      const updateType = this.getUpdateType(installed, latest);
+      const updateType = this.getUpdateType(installed, target);
+      const wantedUpdateType = wanted ? this.getUpdateType(installed, wanted) : 'unknown';
       
-      results[packageName] = {
+      const result = {
         installed,
+        range,
+        wanted,
         latest,
+        target,
         updateType,
-        canAutoUpdate: updateType === 'patch'
+        wantedUpdateType,
+        inRange,
+        canAutoUpdate: settings.allowedUpdateTypes.includes(updateType),
+        rule
       };
+      if (engineSkipped) {
+        result.engineSkipped = engineSkipped;
+      }
+      
+      // Never move a stable dependency onto a prerelease, whatever the policy allows
+      if (semver.prerelease(target) && !semver.prerelease(installed)) {
+        result.canAutoUpdate = false;
+        result.prerelease = true;
+        result.rule = null;
+      }
+      
+      // Versions too recent for minimumReleaseAge
+      if (releaseAgeSkipped) {
+        result.releaseAgeSkipped = releaseAgeSkipped;
+        result.rule = settings.rules.minimumReleaseAge;
+      }
+      if (tooRecent) {
+        result.canAutoUpdate = false;
+        result.held = true;
+        result.heldReason = tooRecent;
+        result.rule = settings.rules.minimumReleaseAge;
+      }
+      
+      // Pinned packages are held at the newest version the pin allows, even when an update is allowed
+      if (settings.pin) {
+        const pinned = semver.valid(settings.pin)
+          ? settings.pin
+          : semver.maxSatisfying(availableVersions[packageName] || [], settings.pin) || installed;
+        result.target = pinned;
+        result.inRange = this.isInRange(pinned, range);
+        if (semver.valid(installed) && semver.valid(pinned) && semver.gt(pinned, installed)) {
+          result.updateType = this.getUpdateType(installed, pinned);
+        }
+        result.canAutoUpdate = false;
+        result.held = true;
+        result.heldReason = `pinned to ${settings.pin}`;
+        result.rule = settings.rules.pin;
+      }
+      
+      // When the policy does not allow the update (a range change, or a minor or major update
+      // within the range), still offer the newest allowed in-range version up to the target as its
+      // own lockfile-only update; the rest of the update stays a manual update
+      if (!result.canAutoUpdate && !result.held && result.inRange !== null && semver.valid(installed) && semver.valid(target)) {
+        const inRangeTarget = this.getNewestVersion(availableVersions[packageName], version =>
+          semver.gt(version, installed) &&
+          semver.lte(version, target) &&
+          semver.satisfies(version, range) &&
+          settings.allowedUpdateTypes.includes(this.getUpdateType(installed, version)) &&
+          policy.isVersionAllowed(settings, version) &&
+          (!nodeTarget || this.supportsNode(engines[version], nodeTarget)) &&
+          this.isOldEnough(times[version], settings.minimumReleaseAge, now));
+        if (inRangeTarget) {
+          result.manualUpdate = {
+            target,
+            updateType,
+            inRange: result.inRange,
+            rule: result.rule
+          };
+          Object.assign(result, {
+            target: inRangeTarget,
+            updateType: this.getUpdateType(installed, inRangeTarget),
+            inRange: true,
+            canAutoUpdate: true,
+            rule: settings.rules.allowedUpdateTypes
+          });
+        }
+      }
+      
+      results[packageName] = result;
+    }
+    
+    // Attach known vulnerabilities and let security fixes through when policy allows
+    for (const packageName in vulnerabilities) {
+      if (results[packageName]) {
+        const settings = policy.resolve(options.policy, packageName, dependencyTypes[packageName]);
+        const times = releaseTimes[packageName] || {};
+        const versions = (availableVersions[packageName] || []).filter(version =>
+          (!nodeTarget || this.supportsNode((nodeEngines[packageName] || {})[version], nodeTarget)) &&
+          this.isOldEnough(times[version], settings.minimumReleaseAge, now));
+        this.applySecurityFix(results[packageName], vulnerabilities[packageName], settings, versions);
+      }
     }
     
     return results;
   },
   
   /**
-   * Determine the type of update (patch, minor, major)
+   * Record a package's vulnerabilities on its comparison result and, when the planned
+   * update does not fix them, target the newest version that does within the
+   * securityUpdateTypes policy setting
+   * @param {Object} result - Comparison result for the package
+   * @param {Object} scan - Scan result ({ vulnerabilities, severity, fixedIn })
+   * @param {Object} settings - Effective policy settings from policy.resolve
+   * @param {Array} versions - Published versions
+   */
+  applySecurityFix(result, scan, settings, versions = []) {
+    result.vulnerabilities = scan.vulnerabilities;
+    result.severity = scan.severity;
+    result.fixedIn = scan.fixedIn;
+    
+    if (result.held || !scan.fixedIn || !semver.valid(result.installed) || ['ignored', 'unknown'].includes(result.updateType)) {
+      return;
+    }
+    
+    const target = result.target || result.latest;
+    if (result.canAutoUpdate && semver.valid(target) && semver.gte(target, scan.fixedIn)) {
+      result.securityFix = true;
+      return;
+    }
+    
+    const candidates = (versions || []).filter(version =>
+      semver.valid(version) &&
+      !semver.prerelease(version) &&
+      semver.gte(version, scan.fixedIn) &&
+      semver.gt(version, result.installed) &&
+      settings.securityUpdateTypes.includes(this.getUpdateType(result.installed, version)) &&
+      policy.isVersionAllowed(settings, version));
+    if (candidates.length === 0) {
+      return;
+    }
+    
+    const securityTarget = semver.rsort(candidates)[0];
+    if (result.manualUpdate && semver.gte(securityTarget, result.manualUpdate.target)) {
+      delete result.manualUpdate;
+    }
+    result.target = securityTarget;
+    result.updateType = this.getUpdateType(result.installed, securityTarget);
+    if (result.inRange !== undefined) {
+      result.inRange = this.isInRange(securityTarget, result.range);
+    }
+    result.canAutoUpdate = true;
+    result.securityFix = true;
+    result.rule = settings.rules.securityUpdateTypes;
+  },
+  
+  /**
+   * Check whether a version's engines.node range allows the repository's Node version
+   * (versions without a usable range run anywhere)
+   * @param {string|undefined} range - engines.node range of the version
+   * @param {Object} nodeTarget - Node version the repository targets from analyzer.readNodeTarget
+   * @returns {boolean} True if the version supports the target Node version
+   */
+  supportsNode(range, nodeTarget) {
+    if (!range || !semver.validRange(range)) {
+      return true;
+    }
+    
+    return semver.satisfies(nodeTarget.version, range, { includePrerelease: true });
+  },
+  
+  /**
+   * Get how many days ago a version was published
+   * @param {string|undefined} published - Publish time (ISO string)
+   * @param {Date} now - Current time
+   * @returns {number|null} Age in days, or null if the publish time is unknown
+   */
+  getReleaseAge(published, now) {
+    const time = published ? new Date(published).getTime() : NaN;
+    if (Number.isNaN(time)) {
+      return null;
+    }
+    
+    return (now.getTime() - time) / (24 * 60 * 60 * 1000);
+  },
+  
+  /**
+   * Check whether a version was published at least a minimum number of days ago;
+   * with a minimum set, versions without a known publish time do not qualify
+   * @param {string|undefined} published - Publish time (ISO string)
+   * @param {number} minimumDays - Minimum release age in days (0 disables the check)
+   * @param {Date} now - Current time
+   * @returns {boolean} True if the version is old enough
+   */
+  isOldEnough(published, minimumDays, now) {
+    if (!minimumDays) {
+      return true;
+    }
+    
+    const age = this.getReleaseAge(published, now);
+    return age !== null && age >= minimumDays;
+  },
+  
+  /**
+   * Describe a release age for reports
+   * @param {number} days - Age in days
+   * @returns {string} Description (e.g. "published 2 days ago")
+   */
+  describeReleaseAge(days) {
+    const wholeDays = Math.max(0, Math.floor(days));
+    if (wholeDays === 0) {
+      return 'published today';
+    }
+    
+    return `published ${wholeDays} ${wholeDays === 1 ? 'day' : 'days'} ago`;
+  },
+  
+  /**
+   * Get the newest stable version that passes a filter
+   * @param {Array} versions - Published versions
+   * @param {Function} filter - Returns true for acceptable versions
+   * @returns {string|null} Newest acceptable version
+   */
+  getNewestVersion(versions, filter) {
+    const candidates = (versions || []).filter(version => semver.valid(version) && !semver.prerelease(version) && filter(version));
+    
+    return candidates.length > 0 ? semver.rsort(candidates)[0] : null;
+  },
+  
+  /**
+   * Get the highest version satisfying the declared range (npm's "wanted")
+   * @param {string|null} range - Declared version range
+   * @param {string} latest - Version tagged latest
+   * @param {Array} versions - Published versions
+   * @returns {string|null} Wanted version
+   */
+  getWantedVersion(range, latest, versions = []) {
+    if (!range || !semver.validRange(range)) {
+      return null;
+    }
+    
+    // Like npm, prefer the latest tag whenever the range allows it
+    if (semver.valid(latest) && semver.satisfies(latest, range)) {
+      return latest;
+    }
+    
+    return semver.maxSatisfying(versions || [], range);
+  },
+  
+  /**
+   * Check whether a version satisfies the declared range
+   * @param {string} version - Version
+   * @param {string|null} range - Declared version range
+   * @returns {boolean|null} True if in range, null if the range is not a semver range
+   */
+  isInRange(version, range) {
+    if (!range || !semver.validRange(range) || !semver.valid(version)) {
+      return null;
+    }
+    
+    return semver.satisfies(version, range);
+  },
+  
+  /**
+   * Check whether the installed version is at or ahead of the target version
+   * @param {string} installed - Installed version
+   * @param {string} target - Target version
+   * @returns {boolean} True if no update is needed
+   */
+  isUpToDate(installed, target) {
+    if (this.isSameVersion(installed, target)) {
+      return true;
+    }
+    
+    if (semver.valid(installed) && semver.valid(target) && semver.lt(target, installed)) {
+      return true;
+    }
+    
+    return this.getUpdateType(installed, target) === 'current';
+  },
+  
+  /**
+   * Check whether two versions are equal, tolerating non-semver strings
+   * @param {string} a - First version
+   * @param {string} b - Second version
+   * @returns {boolean} True if equal
+   */
+  isSameVersion(a, b) {
+    if (semver.valid(a) && semver.valid(b)) {
+      return semver.eq(a, b);
+    }
+    
+    return a === b;
+  },
+  
+  /**
+   * Determine the type of update (patch, minor, major, or prerelease when only the
+   * prerelease part moves, e.g. 2.0.0-beta.3 to 2.0.0-beta.4 or 2.0.0)
    * @param {string} installed - Installed version
    * @param {string} latest - Latest version
    * @returns {string} Update type
@@ -76,11 +461,15 @@ const comparator = {
       return 'patch';
     }
     
+    if (semver.gt(latest, installed)) {
+      return 'prerelease';
+    }
+    
     return 'current';
   },
   
   /**
-   * Get packages that can be automatically updated (patch updates)
+   * Get packages that can be automatically updated (as allowed by policy)
    * @param {Object} comparisonResults - Results from compareVersions
    * @returns {Object} Packages that can be auto-updated
    */
@@ -90,7 +479,7 @@ const comparator = {
     for (const packageName in comparisonResults) {
       const result = comparisonResults[packageName];
       if (result.canAutoUpdate) {
-        autoUpdatePackages[packageName] = result.latest;
+        autoUpdatePackages[packageName] = result.target || result.latest;
       }
     }
     
@@ -98,7 +487,27 @@ const comparator = {
   },
   
   /**
-   * Get packages that need manual updates (minor or major updates)
+   * Get auto-update packages whose target version already satisfies the declared range,
+   * so only the lockfile needs to change
+   * @param {Object} comparisonResults - Results from compareVersions
+   * @returns {Object} In-range packages that can be auto-updated
+   */
+  getInRangeUpdatePackages(comparisonResults) {
+    const inRangePackages = {};
+    
+    for (const packageName in comparisonResults) {
+      const result = comparisonResults[packageName];
+      if (result.canAutoUpdate && result.inRange) {
+        inRangePackages[packageName] = result.target || result.latest;
+      }
+    }
+    
+    return inRangePackages;
+  },
+  
+  /**
+   * Get packages that need manual updates (updates not allowed by policy, including the rest
+   * of an update left over after an in-range update)
    * @param {Object} comparisonResults - Results from compareVersions
    * @returns {Object} Packages that need manual updates
    */
@@ -107,11 +516,23 @@ const comparator = {
     
     for (const packageName in comparisonResults) {
       const result = comparisonResults[packageName];
-      if (result.updateType === 'minor' || result.updateType === 'major') {
+      if (!result.held && !result.canAutoUpdate && policy.UPDATE_TYPES.includes(result.updateType)) {
+        manualUpdatePackages[packageName] = {
+          installed: result.installed,
+          wanted: result.wanted,
+          latest: result.target || result.latest,
+          updateType: result.updateType,
+          inRange: result.inRange,
+          rule: result.rule
+        };
+      } else if (result.manualUpdate) {
         manualUpdatePackages[packageName] = {
           installed: result.installed,
-          latest: result.latest,
-          updateType: result.updateType
+          wanted: result.wanted,
+          latest: result.manualUpdate.target,
+          updateType: result.manualUpdate.updateType,
+          inRange: result.manualUpdate.inRange,
+          rule: result.manualUpdate.rule
         };
       }
     }
@@ -0,0 +1,30 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run context: the settings and logger of the automator whose work is in progress. Code
+ * called from an automator's scan() or run(), across awaits and callbacks, sees that
+ * automator's context, so several automators can run in one process.
+ */
+const context = {
+  /**
+   * Run a function within a context
+   * @param {Object} store - Context ({ settings, logger })
+   * @param {Function} fn - Function to run
+   * @returns {*} The function's return value
+   */
+  run(store, fn) {
+    return storage.run(store, fn);
+  },
+
+  /**
+   * Get the context of the automator whose work is in progress
+   * @returns {Object|null} Context ({ settings, logger }), or null outside an automator
+   */
+  get() {
+    return storage.getStore() || null;
+  }
+};
+
+module.exports = context;
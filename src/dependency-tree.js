@@ -0,0 +1,294 @@
+const semver = require('semver');
+const comparator = require('./comparator');
+
+// Dependency paths kept per package; the shortest ones are found first
+const MAX_PATHS = 5;
+
+/**
+ * Transitive dependency analysis over the package-lock.json tree
+ */
+const dependencyTree = {
+  /**
+   * Build the installed tree from package-lock.json: one node per install location
+   * ("node_modules/a/node_modules/b"), as in lockfile v2/v3 "packages"
+   * @param {Object} packageLock - Parsed package-lock.json
+   * @param {Object} rootDependencies - Dependencies from package.json (used for v1 lockfiles)
+   * @returns {Object|null} Nodes keyed by location ('' is the project), or null for
+   *   lockfiles without a tree (yarn.lock, pnpm-lock.yaml)
+   */
+  buildTree(packageLock, rootDependencies = {}) {
+    if (!packageLock || packageLock.lockfileType) {
+      return null;
+    }
+
+    const nodes = {};
+
+    if (packageLock.packages) {
+      for (const location in packageLock.packages) {
+        const entry = packageLock.packages[location];
+        nodes[location] = {
+          name: entry.name || this.getNameFromLocation(location),
+          version: entry.version || null,
+          link: entry.link ? entry.resolved : null,
+          dependencies: {
+            ...entry.dependencies,
+            ...entry.optionalDependencies,
+            ...(location === '' || !location.includes('node_modules/') ? entry.devDependencies : {})
+          }
+        };
+      }
+      return nodes;
+    }
+
+    // Lockfile v1 nests each package's own copies under "dependencies" and lists its ranges under "requires"
+    nodes[''] = { name: packageLock.name || '', version: packageLock.version || null, link: null, dependencies: rootDependencies };
+    const addNested = (dependencies, prefix) => {
+      for (const name in dependencies || {}) {
+        const entry = dependencies[name];
+        const location = `${prefix}node_modules/${name}`;
+        nodes[location] = { name, version: entry.version || null, link: null, dependencies: entry.requires || {} };
+        addNested(entry.dependencies, `${location}/`);
+      }
+    };
+    addNested(packageLock.dependencies, '');
+
+    return nodes;
+  },
+
+  /**
+   * Get the package name from an install location
+   * @param {string} location - Location such as "node_modules/a/node_modules/@scope/b"
+   * @returns {string} Package name
+   */
+  getNameFromLocation(location) {
+    const index = location.lastIndexOf('node_modules/');
+    return index === -1 ? location : location.slice(index + 'node_modules/'.length);
+  },
+
+  /**
+   * Resolve a dependency the way Node does: the nearest node_modules folder
+   * walking up from the dependent's location
+   * @param {Object} nodes - Nodes from buildTree
+   * @param {string} fromLocation - Location of the dependent package
+   * @param {string} name - Dependency name
+   * @returns {string|null} Location of the installed dependency
+   */
+  resolve(nodes, fromLocation, name) {
+    let base = fromLocation;
+    for (;;) {
+      const candidate = `${base ? `${base}/` : ''}node_modules/${name}`;
+      if (nodes[candidate]) {
+        const link = nodes[candidate].link;
+        return link && nodes[link] ? link : candidate;
+      }
+      if (!base) {
+        return null;
+      }
+
+      const index = base.lastIndexOf('/node_modules/');
+      base = index === -1 ? '' : base.slice(0, index);
+    }
+  },
+
+  /**
+   * Walk the tree from the project (and workspace members), recording the edges into
+   * each location and the dependency paths that reach it
+   * @param {Object} nodes - Nodes from buildTree
+   * @returns {Object} Walk results ({ paths, edges, direct }) keyed by location; direct marks
+   *   locations the project or a workspace member depends on itself
+   */
+  walk(nodes) {
+    const roots = Object.keys(nodes).filter(location => !location.includes('node_modules/'));
+    const paths = {};
+    const edges = {};
+    const direct = new Set();
+
+    const queue = roots.map(location => ({ location, path: [] }));
+    for (let i = 0; i < queue.length; i++) {
+      const { location, path } = queue[i];
+      const node = nodes[location];
+
+      for (const name in node.dependencies) {
+        const child = this.resolve(nodes, location, name);
+        if (!child || nodes[child].link || roots.includes(child)) {
+          continue;
+        }
+
+        edges[child] = edges[child] || [];
+        if (!edges[child].some(edge => edge.parent === location)) {
+          edges[child].push({ parent: location, range: node.dependencies[name] });
+        }
+        if (path.length === 0) {
+          direct.add(child);
+        }
+
+        // Keep a few of the shortest paths, skipping cycles
+        const childPath = [...path, child];
+        paths[child] = paths[child] || [];
+        if (paths[child].length < MAX_PATHS && !path.includes(child)) {
+          paths[child].push(childPath);
+          queue.push({ location: child, path: childPath });
+        }
+      }
+    }
+
+    return { paths, edges, direct };
+  },
+
+  /**
+   * Get the names of the packages installed only as dependencies of other packages
+   * @param {Object} nodes - Nodes from buildTree
+   * @param {Object} walkResults - Results from walk
+   * @returns {Array<string>} Package names
+   */
+  getTransitiveNames(nodes, walkResults) {
+    const names = new Set();
+    for (const location in walkResults.paths) {
+      if (!walkResults.direct.has(location)) {
+        names.add(nodes[location].name);
+      }
+    }
+    return [...names].sort();
+  },
+
+  /**
+   * Get the dependency range a published version declares for a package
+   * @param {Object} info - Package information from analyzer.fetchPackageInfos
+   * @param {string} version - Version of the dependent package
+   * @param {string} name - Dependency name
+   * @returns {string|null|undefined} Range, null if that version does not depend on it, undefined if unknown
+   */
+  getDeclaredRange(info, version, name) {
+    const manifest = info && info.packument && info.packument.versions && info.packument.versions[version];
+    if (!manifest) {
+      return undefined;
+    }
+    const dependencies = { ...manifest.dependencies, ...manifest.optionalDependencies };
+    return dependencies[name] || null;
+  },
+
+  /**
+   * Work out what an update of a path's direct dependency to its latest version would install
+   * for the last package on the path, following the newest version each range allows
+   * @param {Object} nodes - Nodes from buildTree
+   * @param {Array} path - Locations from the direct dependency to the package
+   * @param {Object} packageInfos - Package information for every name on the path
+   * @returns {Object} Outcome ({ dependency, to, version }); version is null when the update
+   *   drops the package from this path and undefined when it cannot be worked out
+   */
+  followLatest(nodes, path, packageInfos) {
+    const direct = nodes[path[0]];
+    const directInfo = packageInfos[direct.name];
+    const outcome = { dependency: direct.name, to: directInfo ? directInfo.latest : null, version: undefined };
+    if (!outcome.to) {
+      return outcome;
+    }
+
+    let version = outcome.to;
+    for (let i = 1; i < path.length; i++) {
+      const range = this.getDeclaredRange(packageInfos[nodes[path[i - 1]].name], version, nodes[path[i]].name);
+      if (range === null) {
+        outcome.version = null;
+        return outcome;
+      }
+      const info = packageInfos[nodes[path[i]].name];
+      if (range === undefined || !info || !info.packument || !info.packument.versions) {
+        return outcome;
+      }
+      version = semver.maxSatisfying(Object.keys(info.packument.versions), range);
+      if (!version) {
+        return outcome;
+      }
+    }
+
+    outcome.version = version;
+    return outcome;
+  },
+
+  /**
+   * Analyze the transitive dependencies in a lockfile: outdated packages, packages installed
+   * in several versions, the paths that pull each one in and whether updates would resolve them
+   * @param {Object} nodes - Nodes from buildTree
+   * @param {Object} packageInfos - Package information for the direct and transitive package names
+   * @returns {Object} Analysis ({ packageCount, outdated, duplicated })
+   */
+  analyze(nodes, packageInfos) {
+    const walkResults = this.walk(nodes);
+    const transitiveNames = this.getTransitiveNames(nodes, walkResults);
+    const describe = location => `${nodes[location].name}@${nodes[location].version}`;
+    const outdated = [];
+    const duplicated = [];
+
+    for (const name of transitiveNames) {
+      const locations = Object.keys(walkResults.paths).filter(location => nodes[location].name === name);
+      const transitiveLocations = locations.filter(location => !walkResults.direct.has(location));
+      const info = packageInfos[name];
+      const latest = info ? info.latest : null;
+
+      // Installed versions, each with the paths that pull it in
+      const versions = {};
+      for (const location of locations) {
+        const version = nodes[location].version;
+        versions[version] = versions[version] || [];
+        versions[version].push(...walkResults.paths[location].map(path => path.map(describe)));
+      }
+      if (Object.keys(versions).length > 1) {
+        duplicated.push({
+          name,
+          latest,
+          versions: Object.fromEntries(Object.keys(versions)
+            .sort((a, b) => (semver.valid(a) && semver.valid(b) ? semver.compare(a, b) : a.localeCompare(b)))
+            .map(version => [version, versions[version].slice(0, MAX_PATHS)]))
+        });
+      }
+
+      if (!latest) {
+        continue;
+      }
+
+      for (const location of transitiveLocations) {
+        const version = nodes[location].version;
+        if (comparator.isUpToDate(version, latest)) {
+          continue;
+        }
+
+        // A refresh picks up the latest version when every dependent's range allows it
+        const ranges = walkResults.edges[location].map(edge => edge.range);
+        const inRange = ranges.every(range => semver.validRange(range) && semver.satisfies(latest, range));
+
+        const directUpdates = [];
+        for (const path of walkResults.paths[location]) {
+          if (directUpdates.some(update => update.dependency === nodes[path[0]].name)) {
+            continue;
+          }
+          const outcome = this.followLatest(nodes, path, packageInfos);
+          directUpdates.push({
+            dependency: outcome.dependency,
+            to: outcome.to,
+            installs: outcome.version,
+            resolves: outcome.version === null || (typeof outcome.version === 'string' && comparator.isUpToDate(outcome.version, latest))
+          });
+        }
+
+        outdated.push({
+          name,
+          version,
+          latest,
+          updateType: comparator.getUpdateType(version, latest),
+          location,
+          paths: walkResults.paths[location].map(path => path.map(describe)),
+          inRange,
+          directUpdates
+        });
+      }
+    }
+
+    return {
+      packageCount: transitiveNames.length,
+      outdated,
+      duplicated
+    };
+  }
+};
+
+module.exports = dependencyTree;
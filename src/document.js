@@ -2,6 +2,9 @@ const fs = require('fs-extra');
 const path = require('path');
 const config = require('./config');
 
+// Characters of each release notes entry shown in documents and pull request bodies
+const MAX_RELEASE_NOTES_LENGTH = 2000;
+
 /**
  * Document generator module
  */
@@ -57,6 +60,766 @@ const documentGenerator = {
     }
   },
   
+  /**
+   * Get the notes appended to a package's status: known vulnerabilities, deprecation, a newer
+   * release the update stops short of, stale cached metadata and the policy rule that decided it
+   * (built-in defaults are not shown)
+   * @param {Object} repoReport - Repository report
+   * @param {string} packageName - Package name
+   * @param {Object} pkg - Package entry from the repository report
+   * @returns {string} Status suffix (empty when there is nothing to note)
+   */
+  getStatusNotes(repoReport, packageName, pkg) {
+    let notes = '';
+    
+    const vulnerable = repoReport.vulnerablePackages && repoReport.vulnerablePackages[packageName];
+    if (pkg.securityFix) {
+      notes += ' (security fix)';
+    } else if (vulnerable) {
+      notes += ` (vulnerable: ${vulnerable.severity})`;
+    }
+    
+    const unmaintained = repoReport.unmaintainedPackages && repoReport.unmaintainedPackages[packageName];
+    if (unmaintained) {
+      notes += unmaintained.deprecated || unmaintained.latestDeprecated ? ' (deprecated)' : ' (unmaintained)';
+    }
+    
+    if (pkg.prerelease) {
+      notes += ' (prerelease)';
+    }
+    
+    if (pkg.distTag) {
+      notes += ` (tag: ${pkg.distTag})`;
+    }
+    
+    if (pkg.latest) {
+      notes += ` (latest: ${pkg.latest})`;
+    }
+    
+    if (pkg.engineSkipped) {
+      notes += ` (${pkg.engineSkipped.version} needs Node ${pkg.engineSkipped.node})`;
+    }
+    
+    if (pkg.releaseAgeSkipped) {
+      notes += ` (${pkg.releaseAgeSkipped.reason})`;
+    }
+    
+    if (pkg.rule && !pkg.rule.startsWith('default ')) {
+      notes += ` (rule: ${pkg.rule})`;
+    }
+    
+    if (repoReport.stalePackages && repoReport.stalePackages.includes(packageName)) {
+      notes += ' (stale metadata)';
+    }
+    
+    return notes;
+  },
+  
+  /**
+   * Generate the body of a pull/merge request for a repository's update branch
+   * @param {Object} repoReport - Repository report (with git results)
+   * @returns {string} Markdown content
+   */
+  generatePullRequestBody(repoReport) {
+    const committedPackages = repoReport.git.commits.flatMap(commit => commit.packages);
+    
+    let markdown = `Dependency updates for \`${repoReport.name}\`, applied by Package Automator.\n\n`;
+    
+    // Add the updates on this branch
+    markdown += '### Updated packages\n\n';
+    markdown += '| Package Name | From | To | Update Type |\n';
+    markdown += '|-------------|------|----|-------------|\n';
+    for (const packageName of committedPackages) {
+      const pkg = repoReport.autoUpdatePackages[packageName];
+      if (pkg) {
+        markdown += `| ${packageName} | ${pkg.from} | ${pkg.to} | ${pkg.updateType} |\n`;
+      }
+    }
+    
+    // Add the advisories fixed on this branch
+    const securityFixes = committedPackages.filter(packageName =>
+      repoReport.autoUpdatePackages[packageName] && repoReport.autoUpdatePackages[packageName].securityFix);
+    if (securityFixes.length > 0) {
+      markdown += '\n### Security fixes\n\n';
+      for (const packageName of securityFixes) {
+        const vulnerabilities = repoReport.vulnerablePackages[packageName].vulnerabilities;
+        markdown += `- ${packageName}: ${vulnerabilities.map(vulnerability => `[${vulnerability.id}](${vulnerability.url}) (${vulnerability.severity})`).join(', ')}\n`;
+      }
+    }
+    
+    // Add updates left for a human
+    const manualNames = Object.keys(repoReport.manualUpdatePackages || {});
+    if (manualNames.length > 0) {
+      markdown += '\n### Requiring manual updates\n\n';
+      markdown += '| Package Name | Current Version | Latest Version | Update Type |\n';
+      markdown += '|-------------|----------------|---------------|-------------|\n';
+      for (const packageName of manualNames) {
+        const pkg = repoReport.manualUpdatePackages[packageName];
+        markdown += `| ${packageName} | ${pkg.from} | ${pkg.to} | ${pkg.updateType} |\n`;
+      }
+    }
+    
+    // Add packages held back
+    const heldNames = Object.keys(repoReport.heldPackages || {});
+    if (heldNames.length > 0) {
+      markdown += '\n### Held back\n\n';
+      for (const packageName of heldNames) {
+        markdown += `- ${packageName}: ${repoReport.heldPackages[packageName].reason}\n`;
+      }
+    }
+    
+    // Add verification results
+    if (repoReport.verification) {
+      markdown += this.generateMarkdownVerification(repoReport.verification);
+    }
+    
+    return markdown;
+  },
+  
+  /**
+   * Summarize the branch and commit(s) holding a repository's updates
+   * @param {Object} gitResults - Git results from the repository report
+   * @returns {string} One-line summary
+   */
+  getGitSummary(gitResults) {
+    const commitCount = gitResults.commits.length;
+    let summary = `${gitResults.branch} at ${gitResults.sha.slice(0, 7)} (${commitCount} commit${commitCount === 1 ? '' : 's'})`;
+    
+    if (gitResults.pullRequest && gitResults.pullRequest.url) {
+      summary += ` — ${gitResults.pullRequest.created ? 'opened' : 'updated'} ${gitResults.pullRequest.url}`;
+    } else if (gitResults.pullRequest && gitResults.pullRequest.error) {
+      summary += ` — pull request failed: ${gitResults.pullRequest.error}`;
+    }
+    
+    return summary;
+  },
+  
+  /**
+   * Summarize the verification of a repository's updates
+   * @param {Object} verification - Verification summary from the repository report
+   * @returns {string} One-line summary
+   */
+  getVerificationSummary(verification) {
+    const revertedCount = Object.keys(verification.revertedPackages).length;
+    
+    if (verification.baselineFailed) {
+      return `❌ \`${verification.failedCommand}\` fails even without updates; all updates reverted`;
+    }
+    
+    if (revertedCount > 0) {
+      return `⚠️ ${revertedCount} update(s) reverted, remaining updates pass`;
+    }
+    
+    return '✅ Passed';
+  },
+  
+  /**
+   * Summarize a workspace for reports
+   * @param {Object} workspaceReport - Workspace section of the repository report
+   * @returns {string} Summary (e.g. "pnpm-workspace.yaml, 3 packages")
+   */
+  getWorkspaceSummary(workspaceReport) {
+    return `${workspaceReport.source}, ${workspaceReport.members.length} packages`;
+  },
+  
+  /**
+   * Describe what happened to a dependency of one workspace package
+   * @param {Object} repoReport - Repository report
+   * @param {string} packageName - Package name
+   * @param {string} status - Category from the workspace report (autoUpdate, manualUpdate, held, current)
+   * @returns {string} Status text
+   */
+  getWorkspaceStatus(repoReport, packageName, status) {
+    switch (status) {
+      case 'autoUpdate':
+        return `${repoReport.dryRun ? '🔍 Would update' : '✅ Updated'} to ${repoReport.autoUpdatePackages[packageName].to}`;
+      case 'manualUpdate':
+        return `⚠️ ${repoReport.manualUpdatePackages[packageName].to} available`;
+      case 'held':
+        return `⏸️ Held: ${repoReport.heldPackages[packageName].reason}`;
+      case 'current':
+        return '✓ Current';
+      default:
+        return '-';
+    }
+  },
+  
+  /**
+   * Generate the markdown section listing each workspace package's dependencies
+   * @param {Object} repoReport - Repository report with a workspace section
+   * @returns {string} Markdown content
+   */
+  generateMarkdownWorkspace(repoReport) {
+    let markdown = '\n### Workspace Packages\n\n';
+    
+    for (const member of repoReport.workspace.members) {
+      markdown += `#### ${member.name} (${member.path})\n\n`;
+      if (Object.keys(member.dependencies).length === 0) {
+        markdown += 'No registry dependencies.\n\n';
+        continue;
+      }
+      
+      markdown += '| Package Name | Range | Installed Version | Type | Status |\n';
+      markdown += '|-------------|-------|-------------------|------|--------|\n';
+      for (const packageName in member.dependencies) {
+        const dependency = member.dependencies[packageName];
+        markdown += `| ${packageName} | ${dependency.range} | ${dependency.installed} | ${dependency.dependencyType} | ${this.getWorkspaceStatus(repoReport, packageName, dependency.status)} |\n`;
+      }
+      markdown += '\n';
+    }
+    
+    return markdown;
+  },
+  
+  /**
+   * Generate the HTML section listing each workspace package's dependencies
+   * @param {Object} repoReport - Repository report with a workspace section
+   * @returns {string} HTML content
+   */
+  generateHtmlWorkspace(repoReport) {
+    let html = `
+  <h3>Workspace Packages</h3>
+`;
+    
+    for (const member of repoReport.workspace.members) {
+      html += `
+  <h4>${this.escapeHtml(member.name)} (${this.escapeHtml(member.path)})</h4>
+`;
+      if (Object.keys(member.dependencies).length === 0) {
+        html += `  <p>No registry dependencies.</p>
+`;
+        continue;
+      }
+      
+      html += `  <table>
+    <thead>
+      <tr>
+        <th>Package Name</th>
+        <th>Range</th>
+        <th>Installed Version</th>
+        <th>Type</th>
+        <th>Status</th>
+      </tr>
+    </thead>
+    <tbody>
+`;
+      for (const packageName in member.dependencies) {
+        const dependency = member.dependencies[packageName];
+        html += `
+      <tr>
+        <td>${packageName}</td>
+        <td>${this.escapeHtml(dependency.range)}</td>
+        <td>${dependency.installed}</td>
+        <td>${dependency.dependencyType}</td>
+        <td>${this.escapeHtml(this.getWorkspaceStatus(repoReport, packageName, dependency.status))}</td>
+      </tr>
+`;
+      }
+      html += `
+    </tbody>
+  </table>
+`;
+    }
+    
+    return html;
+  },
+  
+  /**
+   * Summarize the transitive analysis for reports
+   * @param {Object} transitive - Transitive section of the repository report
+   * @returns {string} Summary (e.g. "120 packages, 4 outdated, 2 duplicated")
+   */
+  getTransitiveSummary(transitive) {
+    return `${transitive.packageCount} packages, ${transitive.outdated.length} outdated, ${transitive.duplicated.length} duplicated`;
+  },
+  
+  /**
+   * Describe how an outdated transitive package could be brought up to date
+   * @param {Object} item - Outdated entry from the transitive analysis
+   * @returns {string} Resolution text
+   */
+  getTransitiveResolution(item) {
+    if (item.inRange) {
+      return `Refreshing the lockfile installs ${item.latest}`;
+    }
+    
+    const resolving = item.directUpdates.filter(update => update.resolves);
+    if (resolving.length > 0) {
+      return resolving
+        .map(update => `Updating ${update.dependency} to ${update.to} ${update.installs === null ? 'drops it' : 'resolves it'}`)
+        .join('; ');
+    }
+    
+    const known = item.directUpdates.filter(update => typeof update.installs === 'string');
+    if (known.length > 0) {
+      return `Not resolved by direct updates (${known.map(update => `${update.dependency}@${update.to} installs ${update.installs}`).join(', ')})`;
+    }
+    return 'Unknown';
+  },
+  
+  /**
+   * Generate the markdown section for the transitive analysis
+   * @param {Object} transitive - Transitive section of the repository report
+   * @returns {string} Markdown content
+   */
+  generateMarkdownTransitive(transitive) {
+    let markdown = '\n### Transitive Dependencies\n\n';
+    markdown += `${this.getTransitiveSummary(transitive)}\n\n`;
+    
+    if (transitive.outdated.length > 0) {
+      markdown += '#### Outdated\n\n';
+      markdown += '| Package Name | Installed Version | Latest Version | Update Type | Pulled In By | Resolution |\n';
+      markdown += '|-------------|-------------------|----------------|-------------|--------------|------------|\n';
+      for (const item of transitive.outdated) {
+        const paths = item.paths.map(path => path.join(' > ')).join('<br>');
+        markdown += `| ${item.name} | ${item.version} | ${item.latest} | ${item.updateType} | ${paths} | ${this.getTransitiveResolution(item)} |\n`;
+      }
+      markdown += '\n';
+    }
+    
+    if (transitive.duplicated.length > 0) {
+      markdown += '#### Duplicated\n\n';
+      markdown += '| Package Name | Installed Versions | Pulled In By |\n';
+      markdown += '|-------------|--------------------|--------------|\n';
+      for (const item of transitive.duplicated) {
+        const paths = Object.keys(item.versions)
+          .map(version => `${version}: ${item.versions[version].map(path => path.join(' > ')).join(', ')}`)
+          .join('<br>');
+        markdown += `| ${item.name} | ${Object.keys(item.versions).join(', ')} | ${paths} |\n`;
+      }
+      markdown += '\n';
+    }
+    
+    return markdown;
+  },
+  
+  /**
+   * Generate the HTML section for the transitive analysis
+   * @param {Object} transitive - Transitive section of the repository report
+   * @returns {string} HTML content
+   */
+  generateHtmlTransitive(transitive) {
+    let html = `
+  <h3>Transitive Dependencies</h3>
+  <p>${this.escapeHtml(this.getTransitiveSummary(transitive))}</p>
+`;
+    
+    if (transitive.outdated.length > 0) {
+      html += `
+  <h4>Outdated</h4>
+  <table>
+    <thead>
+      <tr>
+        <th>Package Name</th>
+        <th>Installed Version</th>
+        <th>Latest Version</th>
+        <th>Update Type</th>
+        <th>Pulled In By</th>
+        <th>Resolution</th>
+      </tr>
+    </thead>
+    <tbody>
+`;
+      for (const item of transitive.outdated) {
+        html += `
+      <tr>
+        <td>${item.name}</td>
+        <td>${item.version}</td>
+        <td>${item.latest}</td>
+        <td>${item.updateType}</td>
+        <td>${item.paths.map(path => this.escapeHtml(path.join(' > '))).join('<br>')}</td>
+        <td>${this.escapeHtml(this.getTransitiveResolution(item))}</td>
+      </tr>
+`;
+      }
+      html += `
+    </tbody>
+  </table>
+`;
+    }
+    
+    if (transitive.duplicated.length > 0) {
+      html += `
+  <h4>Duplicated</h4>
+  <table>
+    <thead>
+      <tr>
+        <th>Package Name</th>
+        <th>Installed Versions</th>
+        <th>Pulled In By</th>
+      </tr>
+    </thead>
+    <tbody>
+`;
+      for (const item of transitive.duplicated) {
+        html += `
+      <tr>
+        <td>${item.name}</td>
+        <td>${Object.keys(item.versions).join(', ')}</td>
+        <td>${Object.keys(item.versions).map(version => this.escapeHtml(`${version}: ${item.versions[version].map(path => path.join(' > ')).join(', ')}`)).join('<br>')}</td>
+      </tr>
+`;
+      }
+      html += `
+    </tbody>
+  </table>
+`;
+    }
+    
+    return html;
+  },
+  
+  /**
+   * Generate the markdown section listing known vulnerabilities
+   * @param {Object} repoReport - Repository report with vulnerable packages
+   * @returns {string} Markdown content
+   */
+  generateMarkdownVulnerabilities(repoReport) {
+    let markdown = '\n### Vulnerabilities\n\n';
+    markdown += '| Package Name | Installed Version | Advisory | Severity | Fixed In | Summary |\n';
+    markdown += '|-------------|-------------------|----------|----------|----------|---------|\n';
+    
+    for (const packageName in repoReport.vulnerablePackages) {
+      const pkg = repoReport.vulnerablePackages[packageName];
+      for (const vulnerability of pkg.vulnerabilities) {
+        markdown += `| ${packageName} | ${pkg.installed} | [${vulnerability.id}](${vulnerability.url}) | ${vulnerability.severity} | ${vulnerability.fixed || 'No fix'} | ${this.codeSpan(vulnerability.summary).replace(/\|/g, '\\|')} |\n`;
+      }
+    }
+    
+    return markdown;
+  },
+  
+  /**
+   * Generate the HTML section listing known vulnerabilities
+   * @param {Object} repoReport - Repository report with vulnerable packages
+   * @returns {string} HTML content
+   */
+  generateHtmlVulnerabilities(repoReport) {
+    let html = `
+  <h3>Vulnerabilities</h3>
+  <table>
+    <thead>
+      <tr>
+        <th>Package Name</th>
+        <th>Installed Version</th>
+        <th>Advisory</th>
+        <th>Severity</th>
+        <th>Fixed In</th>
+        <th>Summary</th>
+      </tr>
+    </thead>
+    <tbody>
+`;
+    
+    for (const packageName in repoReport.vulnerablePackages) {
+      const pkg = repoReport.vulnerablePackages[packageName];
+      for (const vulnerability of pkg.vulnerabilities) {
+        html += `
+      <tr>
+        <td>${packageName}</td>
+        <td>${pkg.installed}</td>
+        <td><a href="${this.escapeHtml(vulnerability.url)}">${this.escapeHtml(vulnerability.id)}</a></td>
+        <td>${vulnerability.severity}</td>
+        <td>${vulnerability.fixed || 'No fix'}</td>
+        <td>${this.escapeHtml(vulnerability.summary)}</td>
+      </tr>
+`;
+      }
+    }
+    
+    html += `
+    </tbody>
+  </table>
+`;
+    
+    return html;
+  },
+  
+  /**
+   * Get the heading of one version in a package's release notes
+   * @param {Object} entry - Release notes entry ({ version, title, url })
+   * @returns {string} Heading text
+   */
+  getReleaseNotesHeading(entry) {
+    const title = (entry.title || '').trim();
+    if (!title) {
+      return entry.version;
+    }
+    
+    // Release titles usually start with the version already ("v1.2.3", "1.2.3 (June 14, 2022)")
+    return title.replace(/^v/, '').startsWith(entry.version) ? title : `${entry.version}: ${title}`;
+  },
+  
+  /**
+   * Get the body of one version in a package's release notes, cut to MAX_RELEASE_NOTES_LENGTH
+   * @param {Object} entry - Release notes entry ({ version, title, body, url })
+   * @returns {string|null} Body text, or null if the entry has none
+   */
+  getReleaseNotesBody(entry) {
+    const body = (entry.body || '').trim();
+    if (!body) {
+      return null;
+    }
+    
+    return body.length > MAX_RELEASE_NOTES_LENGTH ? `${body.slice(0, MAX_RELEASE_NOTES_LENGTH)}\n…` : body;
+  },
+  
+  /**
+   * Fence text as a markdown code block, so third-party markup (HTML, images, mentions) is shown
+   * literally; the fence is longer than any run of backticks in the text
+   * @param {string} text - Text to fence
+   * @returns {string} Fenced code block
+   */
+  fenceMarkdown(text) {
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `${fence}text\n${text}\n${fence}`;
+  },
+  
+  /**
+   * Generate the markdown section with collapsible release notes for manual updates
+   * @param {Object} repoReport - Repository report
+   * @returns {string} Markdown content (empty when no release notes were collected)
+   */
+  generateMarkdownReleaseNotes(repoReport) {
+    const packageNames = Object.keys(repoReport.manualUpdatePackages || {})
+      .filter(packageName => repoReport.manualUpdatePackages[packageName].releaseNotes);
+    if (packageNames.length === 0) {
+      return '';
+    }
+    
+    let markdown = '\n### Release Notes\n\n';
+    for (const packageName of packageNames) {
+      const pkg = repoReport.manualUpdatePackages[packageName];
+      const notes = pkg.releaseNotes;
+      markdown += '<details>\n';
+      markdown += `<summary>${packageName} ${pkg.from} → ${pkg.to} (${notes.source})</summary>\n\n`;
+      for (const entry of notes.entries) {
+        const heading = this.escapeHtml(this.getReleaseNotesHeading(entry));
+        const body = this.getReleaseNotesBody(entry);
+        markdown += `#### ${entry.url ? `[${heading}](${entry.url})` : heading}\n\n`;
+        markdown += `${body ? this.fenceMarkdown(body) : '_No notes._'}\n\n`;
+      }
+      if (notes.truncated) {
+        markdown += `_Older versions omitted${notes.url ? `; see ${notes.url}` : ''}._\n\n`;
+      }
+      markdown += '</details>\n\n';
+    }
+    
+    return markdown;
+  },
+  
+  /**
+   * Generate the HTML section with collapsible release notes for manual updates
+   * @param {Object} repoReport - Repository report
+   * @returns {string} HTML content (empty when no release notes were collected)
+   */
+  generateHtmlReleaseNotes(repoReport) {
+    const packageNames = Object.keys(repoReport.manualUpdatePackages || {})
+      .filter(packageName => repoReport.manualUpdatePackages[packageName].releaseNotes);
+    if (packageNames.length === 0) {
+      return '';
+    }
+    
+    let html = `
+  <h3>Release Notes</h3>
+`;
+    for (const packageName of packageNames) {
+      const pkg = repoReport.manualUpdatePackages[packageName];
+      const notes = pkg.releaseNotes;
+      html += `
+  <details>
+    <summary>${packageName} ${pkg.from} → ${pkg.to} (${this.escapeHtml(notes.source)})</summary>
+`;
+      for (const entry of notes.entries) {
+        const heading = this.escapeHtml(this.getReleaseNotesHeading(entry));
+        html += `    <h4>${entry.url ? `<a href="${this.escapeHtml(entry.url)}">${heading}</a>` : heading}</h4>
+    <pre>${this.escapeHtml(this.getReleaseNotesBody(entry) || 'No notes.')}</pre>
+`;
+      }
+      if (notes.truncated) {
+        html += `    <p>Older versions omitted${notes.url ? `; see <a href="${this.escapeHtml(notes.url)}">${this.escapeHtml(notes.url)}</a>` : ''}.</p>
+`;
+      }
+      html += `  </details>
+`;
+    }
+    
+    return html;
+  },
+  
+  /**
+   * Describe why a package is flagged as deprecated or unmaintained
+   * @param {Object} pkg - Entry from the repository report's unmaintainedPackages
+   * @param {Function} formatMessage - Formats the registry's deprecation messages
+   * @returns {Array<string>} Reasons
+   */
+  getUnmaintainedReasons(pkg, formatMessage = message => message) {
+    const reasons = [];
+    if (pkg.deprecated) {
+      reasons.push(`Deprecated: ${formatMessage(pkg.deprecated)}`);
+    }
+    if (pkg.latestDeprecated && pkg.latestDeprecated !== pkg.deprecated) {
+      reasons.push(`Latest version ${pkg.latest} deprecated: ${formatMessage(pkg.latestDeprecated)}`);
+    }
+    if (pkg.abandoned) {
+      reasons.push(`No release since ${pkg.lastPublished.slice(0, 10)}`);
+    }
+    return reasons;
+  },
+  
+  /**
+   * Generate the markdown section listing deprecated and unmaintained packages
+   * @param {Object} repoReport - Repository report with unmaintained packages
+   * @returns {string} Markdown content
+   */
+  generateMarkdownUnmaintained(repoReport) {
+    let markdown = '\n### Deprecated and Unmaintained Packages\n\n';
+    markdown += '| Package Name | Installed Version | Latest Version | Last Release | Details |\n';
+    markdown += '|-------------|-------------------|----------------|--------------|---------|\n';
+    
+    for (const packageName in repoReport.unmaintainedPackages) {
+      const pkg = repoReport.unmaintainedPackages[packageName];
+      // Deprecation messages are shown as code so their markup is not rendered
+      const details = this.getUnmaintainedReasons(pkg, message => this.codeSpan(message))
+        .map(reason => reason.replace(/\|/g, '\\|')).join('<br>');
+      markdown += `| ${packageName} | ${pkg.installed} | ${pkg.latest || '-'} | ${pkg.lastPublished ? pkg.lastPublished.slice(0, 10) : '-'} | ${details} |\n`;
+    }
+    
+    return markdown;
+  },
+  
+  /**
+   * Generate the HTML section listing deprecated and unmaintained packages
+   * @param {Object} repoReport - Repository report with unmaintained packages
+   * @returns {string} HTML content
+   */
+  generateHtmlUnmaintained(repoReport) {
+    let html = `
+  <h3>Deprecated and Unmaintained Packages</h3>
+  <table>
+    <thead>
+      <tr>
+        <th>Package Name</th>
+        <th>Installed Version</th>
+        <th>Latest Version</th>
+        <th>Last Release</th>
+        <th>Details</th>
+      </tr>
+    </thead>
+    <tbody>
+`;
+    
+    for (const packageName in repoReport.unmaintainedPackages) {
+      const pkg = repoReport.unmaintainedPackages[packageName];
+      html += `
+      <tr>
+        <td>${packageName}</td>
+        <td>${pkg.installed}</td>
+        <td>${pkg.latest || '-'}</td>
+        <td>${pkg.lastPublished ? pkg.lastPublished.slice(0, 10) : '-'}</td>
+        <td>${this.getUnmaintainedReasons(pkg).map(reason => this.escapeHtml(reason)).join('<br>')}</td>
+      </tr>
+`;
+    }
+    
+    html += `
+    </tbody>
+  </table>
+`;
+    
+    return html;
+  },
+  
+  /**
+   * Generate the markdown verification section for a repository
+   * @param {Object} verification - Verification summary from the repository report
+   * @returns {string} Markdown content
+   */
+  generateMarkdownVerification(verification) {
+    let markdown = '\n### Verification\n\n';
+    markdown += `Commands: ${verification.commands.map(command => `\`${command}\``).join(', ')}\n\n`;
+    markdown += `Result: ${this.getVerificationSummary(verification)}\n\n`;
+    
+    const failures = { ...verification.revertedPackages };
+    if (verification.baselineFailed) {
+      failures['(without updates)'] = { command: verification.failedCommand, output: verification.output };
+    }
+    
+    for (const name in failures) {
+      markdown += `#### ${name}\n\n`;
+      markdown += `Failed command: \`${failures[name].command}\`\n\n`;
+      markdown += '<details>\n<summary>Output</summary>\n\n```\n';
+      markdown += `${failures[name].output.trimEnd()}\n`;
+      markdown += '```\n\n</details>\n\n';
+    }
+    
+    return markdown;
+  },
+  
+  /**
+   * Generate the HTML verification section for a repository
+   * @param {Object} verification - Verification summary from the repository report
+   * @returns {string} HTML content
+   */
+  generateHtmlVerification(verification) {
+    let html = `
+  <h3>Verification</h3>
+  <p>Commands: ${verification.commands.map(command => `<code>${this.escapeHtml(command)}</code>`).join(', ')}</p>
+  <p>Result: ${this.escapeHtml(this.getVerificationSummary(verification))}</p>
+`;
+    
+    const failures = { ...verification.revertedPackages };
+    if (verification.baselineFailed) {
+      failures['(without updates)'] = { command: verification.failedCommand, output: verification.output };
+    }
+    
+    for (const name in failures) {
+      html += `
+  <h4>${this.escapeHtml(name)}</h4>
+  <p>Failed command: <code>${this.escapeHtml(failures[name].command)}</code></p>
+  <details>
+    <summary>Output</summary>
+    <pre class="diff">${this.escapeHtml(failures[name].output)}</pre>
+  </details>
+`;
+    }
+    
+    return html;
+  },
+  
+  /**
+   * Escape text for use in HTML
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+  
+  /**
+   * Wrap third-party text in a markdown code span, so its markup (HTML, links, mentions) is shown
+   * literally; whitespace is collapsed to keep it on one line, and the backtick run is longer than
+   * any run in the text
+   * @param {string} text - Text to wrap
+   * @returns {string} Code span
+   */
+  codeSpan(text) {
+    const line = String(text).replace(/\s+/g, ' ').trim();
+    if (!line) {
+      return '';
+    }
+    
+    const longestRun = Math.max(0, ...(line.match(/`+/g) || []).map(run => run.length));
+    const ticks = '`'.repeat(longestRun + 1);
+    const padding = line.startsWith('`') || line.endsWith('`') ? ' ' : '';
+    return `${ticks}${padding}${line}${padding}${ticks}`;
+  },
+  
   /**
    * Generate a markdown document for the consolidated report
    * @param {Object} report - Consolidated report
@@ -72,39 +835,82 @@ const documentGenerator = {
     markdown += '## Summary\n\n';
     markdown += `- Repositories scanned: ${report.summary.repositoryCount}\n`;
     markdown += `- Total packages: ${report.summary.totalPackages}\n`;
-    markdown += `- Packages automatically updated: ${report.summary.totalAutoUpdated}\n`;
+    markdown += `- Packages ${report.dryRun ? 'that would be automatically updated' : 'automatically updated'}: ${report.summary.totalAutoUpdated}\n`;
     markdown += `- Packages requiring manual updates: ${report.summary.totalManualUpdateNeeded}\n`;
-    markdown += `- Packages already at latest version: ${report.summary.totalCurrent}\n\n`;
+    markdown += `- Packages already at latest version: ${report.summary.totalCurrent}\n`;
+    markdown += `- Packages held back: ${report.summary.totalHeld}\n`;
+    if (report.offline) {
+      markdown += `- Packages with stale cached metadata: ${report.summary.totalStale}\n`;
+    }
+    if (report.vulnerabilityScan) {
+      markdown += `- Packages with known vulnerabilities: ${report.summary.totalVulnerable}\n`;
+    }
+    if (report.summary.totalUnmaintained) {
+      markdown += `- Deprecated or unmaintained packages: ${report.summary.totalUnmaintained}\n`;
+    }
+    markdown += '\n';
+    
+    if (report.offline) {
+      markdown += '> Offline run: registry metadata was answered from the local cache only.\n\n';
+    }
+    
+    if (report.dryRun) {
+      markdown += '> Dry run: no files were changed. Packages marked "Would update" show the planned changes.\n\n';
+    }
     
     // Add repository details
     for (const repoReport of report.repositories) {
       markdown += `## Repository: ${repoReport.name}\n\n`;
       markdown += `Path: ${repoReport.path}\n\n`;
+      if (repoReport.workspace) {
+        markdown += `Workspace: ${this.getWorkspaceSummary(repoReport.workspace)}\n\n`;
+      }
+      if (repoReport.nodeTarget) {
+        markdown += `Node: ${repoReport.nodeTarget.version} (from ${repoReport.nodeTarget.source})\n\n`;
+      }
+      if (repoReport.transitive) {
+        markdown += `Transitive dependencies: ${this.getTransitiveSummary(repoReport.transitive)}\n\n`;
+      }
+      if (repoReport.git) {
+        markdown += `Branch: ${this.getGitSummary(repoReport.git)}\n\n`;
+      }
+      if (repoReport.verification) {
+        markdown += `Verification: ${this.getVerificationSummary(repoReport.verification)}\n\n`;
+      }
       
       // Add table of all packages
       markdown += '### Packages\n\n';
-      markdown += '| Package Name | Current Version | Latest Version | Status |\n';
-      markdown += '|-------------|----------------|---------------|--------|\n';
+      markdown += '| Package Name | Current Version | Wanted Version | Latest Version | Status |\n';
+      markdown += '|-------------|----------------|----------------|---------------|--------|\n';
       
       // Add auto-updated packages
       for (const packageName in repoReport.autoUpdatePackages) {
         const pkg = repoReport.autoUpdatePackages[packageName];
-        markdown += `| ${packageName} | ${pkg.from} | ${pkg.to} | ✅ Updated (${pkg.updateType}) |\n`;
+        markdown += `| ${packageName} | ${pkg.from} | ${pkg.wanted || '-'} | ${pkg.to} | ${repoReport.dryRun ? '🔍 Would update' : '✅ Updated'} (${pkg.updateType})${this.getStatusNotes(repoReport, packageName, pkg)} |\n`;
       }
       
       // Add packages needing manual updates
       for (const packageName in repoReport.manualUpdatePackages) {
         const pkg = repoReport.manualUpdatePackages[packageName];
-        markdown += `| ${packageName} | ${pkg.from} | ${pkg.to} | ⚠️ ${pkg.updateType.charAt(0).toUpperCase() + pkg.updateType.slice(1)} update required |\n`;
+        markdown += `| ${packageName} | ${pkg.from} | ${pkg.wanted || '-'} | ${pkg.to} | ⚠️ ${pkg.updateType.charAt(0).toUpperCase() + pkg.updateType.slice(1)} update ${pkg.inRange ? 'available in range' : 'required'}${this.getStatusNotes(repoReport, packageName, pkg)} |\n`;
+      }
+      
+      // Add packages held back
+      for (const packageName in repoReport.heldPackages || {}) {
+        const pkg = repoReport.heldPackages[packageName];
+        markdown += `| ${packageName} | ${pkg.from} | - | ${pkg.to || '-'} | ⏸️ Held: ${pkg.reason}${this.getStatusNotes(repoReport, packageName, pkg)} |\n`;
       }
       
       // Add current packages
       for (const packageName in repoReport.currentPackages) {
         const pkg = repoReport.currentPackages[packageName];
-        markdown += `| ${packageName} | ${pkg.version} | ${pkg.version} | ✓ Current |\n`;
+        markdown += `| ${packageName} | ${pkg.version} | ${pkg.version} | ${pkg.version} | ✓ Current${this.getStatusNotes(repoReport, packageName, pkg)} |\n`;
       }
       
       markdown += '\n';
+      
+      // Add release notes for the manual updates
+      markdown += this.generateMarkdownReleaseNotes(repoReport);
     }
     
     return markdown;
@@ -125,38 +931,111 @@ const documentGenerator = {
     markdown += `## Repository: ${repoReport.name}\n\n`;
     markdown += `Path: ${repoReport.path}\n\n`;
     markdown += `Type: ${repoReport.type}\n\n`;
+    if (repoReport.workspace) {
+      markdown += `Workspace: ${this.getWorkspaceSummary(repoReport.workspace)}\n\n`;
+    }
+    if (repoReport.nodeTarget) {
+      markdown += `Node: ${repoReport.nodeTarget.version} (from ${repoReport.nodeTarget.source})\n\n`;
+    }
+    if (repoReport.transitive) {
+      markdown += `Transitive dependencies: ${this.getTransitiveSummary(repoReport.transitive)}\n\n`;
+    }
+    if (repoReport.git) {
+      markdown += `Branch: ${this.getGitSummary(repoReport.git)}\n\n`;
+    }
     
     // Add summary
     markdown += '## Summary\n\n';
     markdown += `- Total packages: ${repoReport.packageCount}\n`;
-    markdown += `- Packages automatically updated: ${repoReport.autoUpdateCount}\n`;
+    markdown += `- Packages ${repoReport.dryRun ? 'that would be automatically updated' : 'automatically updated'}: ${repoReport.autoUpdateCount}\n`;
     markdown += `- Packages requiring manual updates: ${repoReport.manualUpdateCount}\n`;
-    markdown += `- Packages already at latest version: ${repoReport.currentCount}\n\n`;
+    markdown += `- Packages already at latest version: ${repoReport.currentCount}\n`;
+    markdown += `- Packages held back: ${repoReport.heldCount || 0}\n`;
+    if (repoReport.staleCount) {
+      markdown += `- Packages with stale cached metadata: ${repoReport.staleCount}\n`;
+    }
+    if (repoReport.vulnerableCount) {
+      markdown += `- Packages with known vulnerabilities: ${repoReport.vulnerableCount}\n`;
+    }
+    if (repoReport.unmaintainedCount) {
+      markdown += `- Deprecated or unmaintained packages: ${repoReport.unmaintainedCount}\n`;
+    }
+    markdown += '\n';
     
     // Add repository type
     markdown += `Type: ${repoReport.type}\n\n`;
     
     // Add table of all packages
     markdown += '### Packages\n\n';
-    markdown += '| Package Name | Current Version | Latest Version | Status |\n';
-    markdown += '|-------------|----------------|---------------|--------|\n';
+    markdown += '| Package Name | Current Version | Wanted Version | Latest Version | Status |\n';
+    markdown += '|-------------|----------------|----------------|---------------|--------|\n';
     
     // Add auto-updated packages
     for (const packageName in repoReport.autoUpdatePackages) {
       const pkg = repoReport.autoUpdatePackages[packageName];
-      markdown += `| ${packageName} | ${pkg.from} | ${pkg.to} | ✅ Updated (${pkg.updateType}) |\n`;
+      markdown += `| ${packageName} | ${pkg.from} | ${pkg.wanted || '-'} | ${pkg.to} | ${repoReport.dryRun ? '🔍 Would update' : '✅ Updated'} (${pkg.updateType})${this.getStatusNotes(repoReport, packageName, pkg)} |\n`;
     }
     
     // Add packages needing manual updates
     for (const packageName in repoReport.manualUpdatePackages) {
       const pkg = repoReport.manualUpdatePackages[packageName];
-      markdown += `| ${packageName} | ${pkg.from} | ${pkg.to} | ⚠️ ${pkg.updateType.charAt(0).toUpperCase() + pkg.updateType.slice(1)} update required |\n`;
+      markdown += `| ${packageName} | ${pkg.from} | ${pkg.wanted || '-'} | ${pkg.to} | ⚠️ ${pkg.updateType.charAt(0).toUpperCase() + pkg.updateType.slice(1)} update ${pkg.inRange ? 'available in range' : 'required'}${this.getStatusNotes(repoReport, packageName, pkg)} |\n`;
+    }
+    
+    // Add packages held back
+    for (const packageName in repoReport.heldPackages || {}) {
+      const pkg = repoReport.heldPackages[packageName];
+      markdown += `| ${packageName} | ${pkg.from} | - | ${pkg.to || '-'} | ⏸️ Held: ${pkg.reason}${this.getStatusNotes(repoReport, packageName, pkg)} |\n`;
     }
     
     // Add current packages
     for (const packageName in repoReport.currentPackages) {
       const pkg = repoReport.currentPackages[packageName];
-      markdown += `| ${packageName} | ${pkg.version} | ${pkg.version} | ✓ Current |\n`;
+      markdown += `| ${packageName} | ${pkg.version} | ${pkg.version} | ${pkg.version} | ✓ Current${this.getStatusNotes(repoReport, packageName, pkg)} |\n`;
+    }
+    
+    // Add known vulnerabilities
+    if (repoReport.vulnerableCount) {
+      markdown += this.generateMarkdownVulnerabilities(repoReport);
+    }
+    
+    // Add deprecated and unmaintained packages
+    if (repoReport.unmaintainedCount) {
+      markdown += this.generateMarkdownUnmaintained(repoReport);
+    }
+    
+    // Add release notes for the manual updates
+    markdown += this.generateMarkdownReleaseNotes(repoReport);
+    
+    // Add each workspace package's dependencies
+    if (repoReport.workspace) {
+      markdown += this.generateMarkdownWorkspace(repoReport);
+    }
+    
+    // Add the transitive dependency analysis (deep mode)
+    if (repoReport.transitive) {
+      markdown += this.generateMarkdownTransitive(repoReport.transitive);
+    }
+    
+    // Add verification results
+    if (repoReport.verification) {
+      markdown += this.generateMarkdownVerification(repoReport.verification);
+    }
+    
+    // Add commits on the update branch
+    if (repoReport.git && repoReport.git.commits.length > 0) {
+      markdown += `\n### Commits on ${repoReport.git.branch}\n\n`;
+      for (const commit of repoReport.git.commits) {
+        markdown += `- \`${commit.sha.slice(0, 7)}\` ${commit.message.split('\n')[0]}\n`;
+      }
+    }
+    
+    // Add planned changes of a dry run
+    if (repoReport.dryRun && repoReport.diff) {
+      markdown += '\n### Planned Changes (dry run)\n\n';
+      markdown += '```diff\n';
+      markdown += repoReport.diff;
+      markdown += '```\n';
     }
     
     return markdown;
@@ -211,6 +1090,9 @@ const documentGenerator = {
     .current {
       color: #6f42c1;
     }
+    .held {
+      color: #b08800;
+    }
     .summary {
       background-color: #f6f8fa;
       padding: 15px;
@@ -229,10 +1111,16 @@ const documentGenerator = {
     <ul>
       <li>Repositories scanned: ${report.summary.repositoryCount}</li>
       <li>Total packages: ${report.summary.totalPackages}</li>
-      <li>Packages automatically updated: ${report.summary.totalAutoUpdated}</li>
+      <li>Packages ${report.dryRun ? 'that would be automatically updated' : 'automatically updated'}: ${report.summary.totalAutoUpdated}</li>
       <li>Packages requiring manual updates: ${report.summary.totalManualUpdateNeeded}</li>
       <li>Packages already at latest version: ${report.summary.totalCurrent}</li>
-    </ul>
+      <li>Packages held back: ${report.summary.totalHeld}</li>${report.offline ? `
+      <li>Packages with stale cached metadata: ${report.summary.totalStale}</li>` : ''}${report.vulnerabilityScan ? `
+      <li>Packages with known vulnerabilities: ${report.summary.totalVulnerable}</li>` : ''}${report.summary.totalUnmaintained ? `
+      <li>Deprecated or unmaintained packages: ${report.summary.totalUnmaintained}</li>` : ''}
+    </ul>${report.offline ? `
+    <p>Offline run: registry metadata was answered from the local cache only.</p>` : ''}${report.dryRun ? `
+    <p>Dry run: no files were changed. Packages marked "Would update" show the planned changes.</p>` : ''}
   </div>
 `;
     
@@ -241,7 +1129,12 @@ const documentGenerator = {
       html += `
   <h2>Repository: ${repoReport.name}</h2>
   <p>Path: ${repoReport.path}</p>
-  <p>Type: ${repoReport.type}</p>
+  <p>Type: ${repoReport.type}</p>${repoReport.workspace ? `
+  <p>Workspace: ${this.escapeHtml(this.getWorkspaceSummary(repoReport.workspace))}</p>` : ''}${repoReport.nodeTarget ? `
+  <p>Node: ${repoReport.nodeTarget.version} (from ${this.escapeHtml(repoReport.nodeTarget.source)})</p>` : ''}${repoReport.transitive ? `
+  <p>Transitive dependencies: ${this.escapeHtml(this.getTransitiveSummary(repoReport.transitive))}</p>` : ''}${repoReport.git ? `
+  <p>Branch: ${this.escapeHtml(this.getGitSummary(repoReport.git))}</p>` : ''}${repoReport.verification ? `
+  <p>Verification: ${this.escapeHtml(this.getVerificationSummary(repoReport.verification))}</p>` : ''}
   
   <h3>Packages</h3>
   <table>
@@ -249,6 +1142,7 @@ const documentGenerator = {
       <tr>
         <th>Package Name</th>
         <th>Current Version</th>
+        <th>Wanted Version</th>
         <th>Latest Version</th>
         <th>Status</th>
       </tr>
@@ -263,8 +1157,9 @@ const documentGenerator = {
       <tr>
         <td>${packageName}</td>
         <td>${pkg.from}</td>
+        <td>${pkg.wanted || '-'}</td>
         <td>${pkg.to}</td>
-        <td class="updated">✅ Updated (${pkg.updateType})</td>
+        <td class="updated">${repoReport.dryRun ? '🔍 Would update' : '✅ Updated'} (${pkg.updateType})${this.getStatusNotes(repoReport, packageName, pkg)}</td>
       </tr>
 `;
       }
@@ -276,8 +1171,23 @@ const documentGenerator = {
       <tr>
         <td>${packageName}</td>
         <td>${pkg.from}</td>
+        <td>${pkg.wanted || '-'}</td>
         <td>${pkg.to}</td>
-        <td class="manual">⚠️ ${pkg.updateType.charAt(0).toUpperCase() + pkg.updateType.slice(1)} update required</td>
+        <td class="manual">⚠️ ${pkg.updateType.charAt(0).toUpperCase() + pkg.updateType.slice(1)} update ${pkg.inRange ? 'available in range' : 'required'}${this.getStatusNotes(repoReport, packageName, pkg)}</td>
+      </tr>
+`;
+      }
+      
+      // Add packages held back
+      for (const packageName in repoReport.heldPackages || {}) {
+        const pkg = repoReport.heldPackages[packageName];
+        html += `
+      <tr>
+        <td>${packageName}</td>
+        <td>${pkg.from}</td>
+        <td>-</td>
+        <td>${pkg.to || '-'}</td>
+        <td class="held">⏸️ Held: ${pkg.reason}${this.getStatusNotes(repoReport, packageName, pkg)}</td>
       </tr>
 `;
       }
@@ -290,7 +1200,8 @@ const documentGenerator = {
         <td>${packageName}</td>
         <td>${pkg.version}</td>
         <td>${pkg.version}</td>
-        <td class="current">✓ Current</td>
+        <td>${pkg.version}</td>
+        <td class="current">✓ Current${this.getStatusNotes(repoReport, packageName, pkg)}</td>
       </tr>
 `;
       }
@@ -299,6 +1210,9 @@ const documentGenerator = {
     </tbody>
   </table>
 `;
+      
+      // Add release notes for the manual updates
+      html += this.generateHtmlReleaseNotes(repoReport);
     }
     
     html += `
@@ -358,6 +1272,15 @@ const documentGenerator = {
     .current {
       color: #6f42c1;
     }
+    .held {
+      color: #b08800;
+    }
+    .diff {
+      background-color: #f6f8fa;
+      padding: 15px;
+      border-radius: 5px;
+      overflow-x: auto;
+    }
     .summary {
       background-color: #f6f8fa;
       padding: 15px;
@@ -374,14 +1297,22 @@ const documentGenerator = {
   <div class="summary">
     <h2>Repository: ${repoReport.name}</h2>
     <p>Path: ${repoReport.path}</p>
-    <p>Type: ${repoReport.type}</p>
+    <p>Type: ${repoReport.type}</p>${repoReport.workspace ? `
+    <p>Workspace: ${this.escapeHtml(this.getWorkspaceSummary(repoReport.workspace))}</p>` : ''}${repoReport.nodeTarget ? `
+    <p>Node: ${repoReport.nodeTarget.version} (from ${this.escapeHtml(repoReport.nodeTarget.source)})</p>` : ''}${repoReport.transitive ? `
+    <p>Transitive dependencies: ${this.escapeHtml(this.getTransitiveSummary(repoReport.transitive))}</p>` : ''}${repoReport.git ? `
+    <p>Branch: ${this.escapeHtml(this.getGitSummary(repoReport.git))}</p>` : ''}
     
     <h3>Summary</h3>
     <ul>
       <li>Total packages: ${repoReport.packageCount}</li>
-      <li>Packages automatically updated: ${repoReport.autoUpdateCount}</li>
+      <li>Packages ${repoReport.dryRun ? 'that would be automatically updated' : 'automatically updated'}: ${repoReport.autoUpdateCount}</li>
       <li>Packages requiring manual updates: ${repoReport.manualUpdateCount}</li>
       <li>Packages already at latest version: ${repoReport.currentCount}</li>
+      <li>Packages held back: ${repoReport.heldCount || 0}</li>${repoReport.staleCount ? `
+      <li>Packages with stale cached metadata: ${repoReport.staleCount}</li>` : ''}${repoReport.vulnerableCount ? `
+      <li>Packages with known vulnerabilities: ${repoReport.vulnerableCount}</li>` : ''}${repoReport.unmaintainedCount ? `
+      <li>Deprecated or unmaintained packages: ${repoReport.unmaintainedCount}</li>` : ''}
     </ul>
   </div>
   
@@ -391,6 +1322,7 @@ const documentGenerator = {
       <tr>
         <th>Package Name</th>
         <th>Current Version</th>
+        <th>Wanted Version</th>
         <th>Latest Version</th>
         <th>Status</th>
       </tr>
@@ -405,8 +1337,9 @@ const documentGenerator = {
       <tr>
         <td>${packageName}</td>
         <td>${pkg.from}</td>
+        <td>${pkg.wanted || '-'}</td>
         <td>${pkg.to}</td>
-        <td class="updated">✅ Updated (${pkg.updateType})</td>
+        <td class="updated">${repoReport.dryRun ? '🔍 Would update' : '✅ Updated'} (${pkg.updateType})${this.getStatusNotes(repoReport, packageName, pkg)}</td>
       </tr>
 `;
     }
@@ -418,8 +1351,23 @@ const documentGenerator = {
       <tr>
         <td>${packageName}</td>
         <td>${pkg.from}</td>
+        <td>${pkg.wanted || '-'}</td>
         <td>${pkg.to}</td>
-        <td class="manual">⚠️ ${pkg.updateType.charAt(0).toUpperCase() + pkg.updateType.slice(1)} update required</td>
+        <td class="manual">⚠️ ${pkg.updateType.charAt(0).toUpperCase() + pkg.updateType.slice(1)} update ${pkg.inRange ? 'available in range' : 'required'}${this.getStatusNotes(repoReport, packageName, pkg)}</td>
+      </tr>
+`;
+    }
+    
+    // Add packages held back
+    for (const packageName in repoReport.heldPackages || {}) {
+      const pkg = repoReport.heldPackages[packageName];
+      html += `
+      <tr>
+        <td>${packageName}</td>
+        <td>${pkg.from}</td>
+        <td>-</td>
+        <td>${pkg.to || '-'}</td>
+        <td class="held">⏸️ Held: ${pkg.reason}${this.getStatusNotes(repoReport, packageName, pkg)}</td>
       </tr>
 `;
     }
@@ -432,7 +1380,8 @@ const documentGenerator = {
         <td>${packageName}</td>
         <td>${pkg.version}</td>
         <td>${pkg.version}</td>
-        <td class="current">✓ Current</td>
+        <td>${pkg.version}</td>
+        <td class="current">✓ Current${this.getStatusNotes(repoReport, packageName, pkg)}</td>
       </tr>
 `;
     }
@@ -440,6 +1389,55 @@ const documentGenerator = {
     html += `
     </tbody>
   </table>
+`;
+    
+    // Add known vulnerabilities
+    if (repoReport.vulnerableCount) {
+      html += this.generateHtmlVulnerabilities(repoReport);
+    }
+    
+    // Add deprecated and unmaintained packages
+    if (repoReport.unmaintainedCount) {
+      html += this.generateHtmlUnmaintained(repoReport);
+    }
+    
+    // Add release notes for the manual updates
+    html += this.generateHtmlReleaseNotes(repoReport);
+    
+    // Add each workspace package's dependencies
+    if (repoReport.workspace) {
+      html += this.generateHtmlWorkspace(repoReport);
+    }
+    
+    // Add the transitive dependency analysis (deep mode)
+    if (repoReport.transitive) {
+      html += this.generateHtmlTransitive(repoReport.transitive);
+    }
+    
+    // Add verification results
+    if (repoReport.verification) {
+      html += this.generateHtmlVerification(repoReport.verification);
+    }
+    
+    // Add commits on the update branch
+    if (repoReport.git && repoReport.git.commits.length > 0) {
+      html += `
+  <h3>Commits on ${this.escapeHtml(repoReport.git.branch)}</h3>
+  <ul>
+${repoReport.git.commits.map(commit => `    <li><code>${commit.sha.slice(0, 7)}</code> ${this.escapeHtml(commit.message.split('\n')[0])}</li>`).join('\n')}
+  </ul>
+`;
+    }
+    
+    // Add planned changes of a dry run
+    if (repoReport.dryRun && repoReport.diff) {
+      html += `
+  <h3>Planned Changes (dry run)</h3>
+  <pre class="diff">${this.escapeHtml(repoReport.diff)}</pre>
+`;
+    }
+    
+    html += `
 </body>
 </html>
 `;
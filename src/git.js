@@ -0,0 +1,291 @@
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const util = require('util');
+const execFilePromise = util.promisify(execFile);
+const verifier = require('./verifier');
+
+const UPDATE_TYPE_ORDER = ['prerelease', 'patch', 'minor', 'major'];
+
+// Subjects of the commits this module writes (getPackageCommitMessage, getRepositoryCommitMessage)
+const UPDATE_COMMIT_SUBJECT = /^chore\(deps(-dev)?\): (bump|update) /;
+
+/**
+ * Git integration module
+ */
+const git = {
+  /**
+   * Run a git command in a repository
+   * @param {string} repoPath - Repository path
+   * @param {Array} args - git arguments
+   * @returns {Promise<string>} Trimmed stdout
+   */
+  async run(repoPath, args) {
+    try {
+      const { stdout } = await execFilePromise('git', args, { cwd: repoPath, maxBuffer: 16 * 1024 * 1024 });
+      return stdout.trim();
+    } catch (error) {
+      throw new Error(`Failed to run git ${args[0]} in ${repoPath}: ${(error.stderr || error.message).trim()}`);
+    }
+  },
+
+  /**
+   * Check whether a path is inside a git work tree
+   * @param {string} repoPath - Repository path
+   * @returns {Promise<boolean>} True if the path is in a git work tree
+   */
+  async isRepository(repoPath) {
+    try {
+      return await this.run(repoPath, ['rev-parse', '--is-inside-work-tree']) === 'true';
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Check whether the work tree has no uncommitted changes
+   * @param {string} repoPath - Repository path
+   * @returns {Promise<boolean>} True if the work tree is clean
+   */
+  async isClean(repoPath) {
+    return await this.run(repoPath, ['status', '--porcelain']) === '';
+  },
+
+  /**
+   * Get the files among the given ones that have uncommitted changes or are untracked
+   * @param {string} repoPath - Repository path
+   * @param {Array} files - File paths (null entries are ignored)
+   * @returns {Promise<Array>} Changed paths, relative to the repository root
+   */
+  async getChangedFiles(repoPath, files) {
+    const paths = files.filter(Boolean);
+    if (paths.length === 0) {
+      return [];
+    }
+
+    const status = await this.run(repoPath, ['status', '--porcelain', '--', ...paths]);
+    // Each line is a two-letter status and the path; run() trims the first line's leading space
+    return status.split('\n').filter(Boolean).map(line => line.replace(/^.{1,2} /, ''));
+  },
+
+  /**
+   * Get the branch name for an update run, e.g. deps/patch-2026-10-19
+   * @param {Object} changes - Planned changes keyed by package name ({ from, to, updateType })
+   * @param {string} prefix - Branch prefix
+   * @param {Date} date - Run date
+   * @returns {string} Branch name
+   */
+  getBranchName(changes, prefix, date = new Date()) {
+    const updateTypes = Object.values(changes).map(change => change.updateType);
+    const highest = UPDATE_TYPE_ORDER.filter(type => updateTypes.includes(type)).pop() || 'update';
+    return `${prefix}${highest}-${date.toISOString().slice(0, 10)}`;
+  },
+
+  /**
+   * Check the work tree and switch to a fresh update branch. A branch left over from an
+   * earlier run is reset only when it holds nothing but update commits; otherwise the new
+   * branch gets a numbered suffix (deps/patch-2026-10-19-2) so no one's commits are lost.
+   * @param {string} repoPath - Repository path
+   * @param {string} branch - Branch name
+   * @param {Object} options - Options
+   * @param {boolean} options.force - Operate on a dirty work tree
+   * @param {Array} options.files - Files the updates change and commit; these must be clean even with force
+   * @returns {Promise<Object>} Branch information ({ branch, baseBranch })
+   */
+  async prepareBranch(repoPath, branch, options = {}) {
+    if (!(await this.isRepository(repoPath))) {
+      throw new Error(`${repoPath} is not a git repository`);
+    }
+
+    if (!options.force && !(await this.isClean(repoPath))) {
+      throw new Error(`Working tree at ${repoPath} has uncommitted changes; commit or stash them, or use --force`);
+    }
+
+    // The update commits these files whole, so local edits to them would end up in the update commits
+    const changedFiles = await this.getChangedFiles(repoPath, options.files || []);
+    if (changedFiles.length > 0) {
+      throw new Error(`Working tree at ${repoPath} has uncommitted changes to ${changedFiles.join(', ')}, which the update would commit; commit or stash them first`);
+    }
+
+    const baseBranch = await this.run(repoPath, ['rev-parse', '--abbrev-ref', 'HEAD']);
+    if (baseBranch === 'HEAD') {
+      throw new Error(`${repoPath} has a detached HEAD; check out the branch to update first`);
+    }
+
+    let name = branch;
+    for (let suffix = 2; await this.hasForeignCommits(repoPath, baseBranch, name); suffix++) {
+      name = `${branch}-${suffix}`;
+    }
+    await this.run(repoPath, ['checkout', '-B', name]);
+
+    return { branch: name, baseBranch };
+  },
+
+  /**
+   * Check whether a local branch has commits on top of the base branch that this module
+   * did not write
+   * @param {string} repoPath - Repository path
+   * @param {string} baseBranch - Base branch
+   * @param {string} branch - Branch name
+   * @returns {Promise<boolean>} True if the branch exists and has other commits
+   */
+  async hasForeignCommits(repoPath, baseBranch, branch) {
+    try {
+      await this.run(repoPath, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+    } catch (error) {
+      return false;
+    }
+
+    const subjects = await this.run(repoPath, ['log', '--format=%s', `${baseBranch}..refs/heads/${branch}`]);
+    return subjects.split('\n').some(subject => subject && !UPDATE_COMMIT_SUBJECT.test(subject));
+  },
+
+  /**
+   * Check out the branch an update run started from, if the repository is not on it
+   * @param {string} repoPath - Repository path
+   * @param {Object} branchInfo - Branch information from prepareBranch
+   * @returns {Promise<void>}
+   */
+  async restoreBaseBranch(repoPath, branchInfo) {
+    if (await this.run(repoPath, ['rev-parse', '--abbrev-ref', 'HEAD']) !== branchInfo.baseBranch) {
+      await this.run(repoPath, ['checkout', branchInfo.baseBranch]);
+    }
+  },
+
+  /**
+   * Return to the base branch and delete an update branch that received no commits
+   * @param {string} repoPath - Repository path
+   * @param {Object} branchInfo - Branch information from prepareBranch
+   * @returns {Promise<void>}
+   */
+  async abandonBranch(repoPath, branchInfo) {
+    await this.run(repoPath, ['checkout', branchInfo.baseBranch]);
+    await this.run(repoPath, ['branch', '-D', branchInfo.branch]);
+  },
+
+  /**
+   * Get the URL of a remote
+   * @param {string} repoPath - Repository path
+   * @param {string} remote - Remote name
+   * @returns {Promise<string>} Remote URL
+   */
+  async getRemoteUrl(repoPath, remote) {
+    return this.run(repoPath, ['remote', 'get-url', remote]);
+  },
+
+  /**
+   * Push an update branch, replacing the remote branch from an earlier run. The lease makes
+   * the push fail instead when the remote branch has commits this clone has not fetched.
+   * @param {string} repoPath - Repository path
+   * @param {string} remote - Remote name
+   * @param {string} branch - Branch name
+   * @returns {Promise<void>}
+   */
+  async push(repoPath, remote, branch) {
+    await this.run(repoPath, ['push', '--force-with-lease', '--set-upstream', remote, `${branch}:${branch}`]);
+  },
+
+  /**
+   * Get the conventional-commit scope for a dependency type
+   * @param {string} dependencyType - Dependency type
+   * @returns {string} Commit scope
+   */
+  getScope(dependencyType) {
+    return dependencyType === 'devDependencies' ? 'deps-dev' : 'deps';
+  },
+
+  /**
+   * Build the commit message for a single package
+   * @param {string} name - Package name
+   * @param {Object} change - Change ({ from, to, dependencyType })
+   * @returns {string} Commit message
+   */
+  getPackageCommitMessage(name, change) {
+    return `chore(${this.getScope(change.dependencyType)}): bump ${name} from ${change.from} to ${change.to}`;
+  },
+
+  /**
+   * Build the commit message for all updates in a repository
+   * @param {Object} changes - Changes keyed by package name ({ from, to, dependencyType })
+   * @returns {string} Commit message
+   */
+  getRepositoryCommitMessage(changes) {
+    const names = Object.keys(changes);
+    if (names.length === 1) {
+      return this.getPackageCommitMessage(names[0], changes[names[0]]);
+    }
+
+    const onlyDev = names.every(name => changes[name].dependencyType === 'devDependencies');
+    const subject = `chore(${onlyDev ? 'deps-dev' : 'deps'}): update ${names.length} dependencies`;
+    const body = names.map(name => `- ${name}: ${changes[name].from} → ${changes[name].to}`).join('\n');
+    return `${subject}\n\n${body}`;
+  },
+
+  /**
+   * Stage files and commit them if anything changed
+   * @param {string} repoPath - Repository path
+   * @param {Array} files - Files to stage (missing files are skipped)
+   * @param {string} message - Commit message
+   * @returns {Promise<string|null>} Commit SHA, or null if there was nothing to commit
+   */
+  async commitFiles(repoPath, files, message) {
+    const existingFiles = [];
+    for (const filePath of files.filter(Boolean)) {
+      if (await fs.pathExists(filePath)) {
+        existingFiles.push(filePath);
+      }
+    }
+
+    await this.run(repoPath, ['add', '--', ...existingFiles]);
+    if (await this.run(repoPath, ['diff', '--cached', '--name-only']) === '') {
+      return null;
+    }
+
+    await this.run(repoPath, ['commit', '--quiet', '-m', message]);
+    return this.run(repoPath, ['rev-parse', 'HEAD']);
+  },
+
+  /**
+   * Commit applied updates on the update branch
+   * @param {Object} options - Commit options
+   * @param {Object} options.repository - Repository object
+   * @param {string} options.branch - Update branch
+   * @param {Object} options.changes - Applied changes keyed by package name ({ from, to, dependencyType })
+   * @param {Array} options.files - Manifest and lockfile paths
+   * @param {string} options.strategy - 'repo' for one commit, 'package' for one commit per package
+   * @param {Object} options.snapshot - File snapshot taken before the updates (needed for 'package')
+   * @param {Function} options.apply - Applies updates for a subset of names (needed for 'package')
+   * @returns {Promise<Object>} Git results ({ branch, sha, commits })
+   */
+  async commitUpdates({ repository, branch, changes, files, strategy, snapshot, apply }) {
+    const commits = [];
+    const names = Object.keys(changes);
+
+    if (strategy === 'package' && names.length > 1) {
+      // Replay the updates cumulatively from the original files, committing after each one
+      for (let i = 0; i < names.length; i++) {
+        await verifier.restoreFiles(snapshot);
+        await apply(names.slice(0, i + 1));
+
+        const message = this.getPackageCommitMessage(names[i], changes[names[i]]);
+        const sha = await this.commitFiles(repository.path, files, message);
+        if (sha) {
+          commits.push({ sha, message, packages: [names[i]] });
+        }
+      }
+    } else {
+      const message = this.getRepositoryCommitMessage(changes);
+      const sha = await this.commitFiles(repository.path, files, message);
+      if (sha) {
+        commits.push({ sha, message, packages: names });
+      }
+    }
+
+    return {
+      branch,
+      sha: commits.length > 0 ? commits[commits.length - 1].sha : null,
+      commits
+    };
+  }
+};
+
+module.exports = git;
@@ -2,6 +2,15 @@ const fs = require('fs-extra');
 const path = require('path');
 const { execSync } = require('child_process');
 const semver = require('semver');
+const axios = require('axios');
+const config = require('./config');
+const cache = require('./cache');
+const goProxy = require('./go-proxy');
+const goModFile = require('./go-mod-file');
+const comparator = require('./comparator');
+const analyzer = require('./analyzer');
+const policy = require('./policy');
+const logger = require('./logger');
 
 /**
  * Go module analyzer
@@ -13,131 +22,396 @@ const goAnalyzer = {
    * @returns {Promise<Object>} Go module information
    */
   async readGoMod(goModPath) {
+    let goMod;
     try {
       const content = await fs.readFile(goModPath, 'utf8');
-      return this.parseGoMod(content);
+      goMod = this.parseGoMod(content);
     } catch (error) {
-      throw new Error(`Failed to read go.mod file: ${error.message}`);
+      // Syntax errors name the line as go.mod:line:column
+      throw new Error(`Failed to read go.mod file: ${error.message.replace(/^go\.mod:/, `${goModPath}:`)}`);
     }
+
+    for (const { line, text } of goMod.ignored) {
+      logger.warn(`Warning: Ignoring ${goModPath}:${line}, which is not a go.mod directive: ${text}`);
+    }
+    return goMod;
   },
 
   /**
    * Parse go.mod content
    * @param {string} content - go.mod file content
-   * @returns {Object} Parsed go.mod information
+   * @returns {Object} Parsed go.mod information (versions without the "v" prefix)
    */
   parseGoMod(content) {
+    const file = goModFile.parse(content);
+    const stripV = version => (version ? version.replace(/^v/, '') : null);
+
     const goMod = {
-      module: '',
-      go: '',
-      requires: {}
+      module: file.module ? file.module.path : '',
+      go: file.go ? file.go.version : '',
+      toolchain: null,
+      requires: {},
+      indirect: {},
+      replaces: [],
+      excludes: {},
+      retracts: [],
+      godebug: {},
+      ignored: file.ignored
     };
 
-    // Extract module name
-    const moduleMatch = content.match(/module\s+(.+)/);
-    if (moduleMatch) {
-      goMod.module = moduleMatch[1].trim();
-    }
-
-    // Extract Go version
-    const goMatch = content.match(/go\s+(\d+\.\d+(?:\.\d+)?)/);
-    if (goMatch) {
-      goMod.go = goMatch[1].trim();
-    }
-
-    // Extract requires
-    const requireRegex = /require\s+([^\s]+)\s+([^\s]+)/g;
-    let match;
-    while ((match = requireRegex.exec(content)) !== null) {
-      const moduleName = match[1].trim();
-      const version = match[2].trim().replace(/^v/, '');
-      goMod.requires[moduleName] = version;
-    }
-
-    // Extract requires from require block
-    const requireBlockRegex = /require\s+\(([^)]+)\)/g;
-    const blockMatches = content.match(requireBlockRegex);
-    if (blockMatches) {
-      for (const blockMatch of blockMatches) {
-        const blockContent = blockMatch.replace(/require\s+\(|\)/g, '');
-        const lines = blockContent.split('\n');
-        for (const line of lines) {
-          const lineMatch = line.trim().match(/([^\s]+)\s+([^\s]+)/);
-          if (lineMatch) {
-            const moduleName = lineMatch[1].trim();
-            const version = lineMatch[2].trim().replace(/^v/, '');
-            goMod.requires[moduleName] = version;
-          }
-        }
+    // toolchain go1.22.5 (but not "toolchain default")
+    const toolchainMatch = file.toolchain && file.toolchain.version.match(/^go(\d+\.\d+(?:\.\d+)?)/);
+    if (toolchainMatch) {
+      goMod.toolchain = toolchainMatch[1];
+    }
+
+    for (const require of file.require) {
+      goMod.requires[require.path] = stripV(require.version);
+      if (require.indirect) {
+        goMod.indirect[require.path] = true;
       }
     }
 
+    goMod.replaces = file.replace.map(replace => ({
+      oldPath: replace.oldPath,
+      oldVersion: stripV(replace.oldVersion),
+      newPath: replace.newPath,
+      newVersion: stripV(replace.newVersion)
+    }));
+
+    for (const exclude of file.exclude) {
+      goMod.excludes[exclude.path] = [...(goMod.excludes[exclude.path] || []), stripV(exclude.version)];
+    }
+
+    goMod.retracts = file.retract.map(retract => ({
+      low: stripV(retract.low),
+      high: stripV(retract.high),
+      rationale: retract.rationale
+    }));
+
+    for (const godebug of file.godebug) {
+      goMod.godebug[godebug.key] = godebug.value;
+    }
+
     return goMod;
   },
 
+  /**
+   * Find the replace directive that applies to a required module, if any
+   * @param {Object} goMod - Parsed go.mod information
+   * @param {string} modulePath - Module path
+   * @returns {Object|null} Replacement ({ oldPath, oldVersion, newPath, newVersion })
+   */
+  getReplacement(goMod, modulePath) {
+    const version = goMod.requires[modulePath];
+    // A replacement for a specific version wins over one for all versions
+    return goMod.replaces.find(replace => replace.oldPath === modulePath && replace.oldVersion === version) ||
+      goMod.replaces.find(replace => replace.oldPath === modulePath && !replace.oldVersion) ||
+      null;
+  },
+
+  /**
+   * Describe a replacement for reports
+   * @param {Object} replacement - Replacement from getReplacement
+   * @returns {string} Description (a local directory or module@version)
+   */
+  describeReplacement(replacement) {
+    return replacement.newVersion
+      ? `${replacement.newPath}@v${replacement.newVersion}`
+      : replacement.newPath;
+  },
+
+  /**
+   * Fetch update information for required modules from the module proxy
+   * @param {Object} goMod - Parsed go.mod information from parseGoMod
+   * @param {Array} modulePaths - Modules to look up
+   * @param {Object} proxyConfig - Configuration from goProxy.getProxyConfig
+   * @returns {Promise<Object>} Module information (null when a lookup failed, { private: true } for
+   *   GONOPROXY modules, { replacement } for modules a replace directive points elsewhere)
+   */
+  async fetchModuleInfos(goMod, modulePaths, proxyConfig) {
+    const moduleInfos = {};
+
+    // Process in batches to avoid overwhelming the proxy
+    const batchSize = 10;
+    for (let i = 0; i < modulePaths.length; i += batchSize) {
+      const batch = modulePaths.slice(i, i + batchSize);
+      const results = await Promise.allSettled(batch.map(modulePath => {
+        const replacement = this.getReplacement(goMod, modulePath);
+        if (replacement) {
+          return Promise.resolve({ replacement });
+        }
+        if (goProxy.matchesPatterns(modulePath, proxyConfig.noProxy)) {
+          return Promise.resolve({ private: true });
+        }
+        return goProxy.fetchModuleInfo(modulePath, goMod.requires[modulePath], proxyConfig);
+      }));
+
+      results.forEach((result, index) => {
+        const modulePath = batch[index];
+        if (result.status === 'fulfilled') {
+          moduleInfos[modulePath] = result.value;
+        } else {
+          logger.warn(`Warning: Failed to fetch info for ${modulePath}: ${result.reason.message}`);
+          moduleInfos[modulePath] = null;
+        }
+      });
+    }
+
+    return moduleInfos;
+  },
+
+  /**
+   * Compare required module versions with the versions available from the proxy
+   * @param {Object} goMod - Parsed go.mod information from parseGoMod
+   * @param {Object} moduleInfos - Results from fetchModuleInfos
+   * @param {Object} updatePolicy - Update policy from policy.loadPolicy
+   * @param {Object} vulnerabilityResults - Vulnerability scan results per module from vulnerabilities.scan
+   * @returns {Object} Comparison results, in the same shape as for npm packages
+   */
+  compareModuleVersions(goMod, moduleInfos, updatePolicy, vulnerabilityResults = {}) {
+    const availableVersions = {};
+    const latestVersions = analyzer.getLatestVersions(moduleInfos);
+    for (const modulePath in moduleInfos) {
+      const info = moduleInfos[modulePath];
+      const excluded = goMod.excludes[modulePath] || [];
+      availableVersions[modulePath] = (info && info.versions ? info.versions : [])
+        .filter(version => !excluded.includes(version));
+
+      // Versions named by exclude directives are never picked
+      if (excluded.includes(latestVersions[modulePath])) {
+        latestVersions[modulePath] = goProxy.selectLatestVersion(availableVersions[modulePath], goMod.requires[modulePath]);
+      }
+    }
+
+    const results = comparator.compareVersions(goMod.requires, latestVersions, {
+      availableVersions,
+      policy: updatePolicy,
+      vulnerabilities: vulnerabilityResults,
+      releaseTimes: analyzer.getReleaseTimes(moduleInfos)
+    });
+
+    for (const modulePath in results) {
+      const result = results[modulePath];
+      const info = moduleInfos[modulePath];
+      if (!info || result.updateType === 'ignored') {
+        continue;
+      }
+
+      if (info.private) {
+        result.held = true;
+        result.heldReason = 'not checked: matches GONOPROXY/GOPRIVATE';
+        continue;
+      }
+
+      if (info.replacement) {
+        result.held = true;
+        result.heldReason = `not checked: replaced by ${this.describeReplacement(info.replacement)}`;
+        continue;
+      }
+
+      // A pseudo-version sorts just before the next patch release, so semver sees
+      // e.g. 1.2.4-0.20240101000000-abcdef123456 -> 1.2.4 as a prerelease update.
+      // Moves off (or between) untagged commits are left for a person to decide.
+      if (
+        result.updateType === 'prerelease' &&
+        goProxy.isPseudoVersion(result.installed) &&
+        semver.valid(result.target) &&
+        semver.gt(result.target, result.installed)
+      ) {
+        result.updateType = 'patch';
+        result.canAutoUpdate = false;
+      }
+
+      if (info.newerMajor) {
+        result.newerMajor = info.newerMajor;
+      }
+      if (info.stale) {
+        result.stale = true;
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Fetch the stable Go releases from the configured release list (go.dev/dl/?mode=json format)
+   * @returns {Promise<Array<string>>} Release versions without the "go" prefix, newest first
+   */
+  async fetchGoReleases() {
+    try {
+      const url = config.goReleasesUrl;
+      const entry = config.cacheEnabled || config.offline ? await cache.get(url, 'releases') : null;
+
+      let releases;
+      if (entry && (config.offline || cache.isFresh(entry))) {
+        releases = entry.data;
+      } else if (config.offline) {
+        throw new Error('no cached release list (offline mode)');
+      } else {
+        const response = await axios.get(url, { timeout: config.httpTimeout * 1000 });
+        releases = response.data;
+        if (config.cacheEnabled) {
+          await cache.set(url, 'releases', releases);
+        }
+      }
+
+      return releases
+        .filter(release => release.stable && /^go\d+\.\d+(\.\d+)?$/.test(release.version))
+        .map(release => release.version.replace(/^go/, ''))
+        .sort((a, b) => semver.rcompare(semver.coerce(a), semver.coerce(b)));
+    } catch (error) {
+      throw new Error(`Failed to fetch Go releases: ${error.message}`);
+    }
+  },
+
   /**
    * Get latest Go version
    * @returns {Promise<string>} Latest Go version
    */
   async getLatestGoVersion() {
     try {
-      // This is a simplified approach. In a real-world scenario,
-      // you might want to fetch this from Go's website or GitHub API
-      return '1.22.0'; // Example latest version
+      const releases = await this.fetchGoReleases();
+      if (releases.length === 0) {
+        throw new Error('the release list has no stable releases');
+      }
+      return releases[0];
     } catch (error) {
       throw new Error(`Failed to get latest Go version: ${error.message}`);
     }
   },
 
   /**
-   * Check if Go version can be automatically updated
-   * @param {string} currentVersion - Current Go version
-   * @param {string} latestVersion - Latest Go version
-   * @returns {Object} Update information
+   * Pick the latest patch release of a version's minor line and the overall latest release
+   * @param {string} currentVersion - Current version (e.g. 1.21.3)
+   * @param {Array<string>} releases - Releases from fetchGoReleases, newest first
+   * @returns {Object} Versions ({ latestPatch, latest }, null when unknown)
    */
-  checkGoVersionUpdate(currentVersion, latestVersion) {
+  getLatestGoVersions(currentVersion, releases) {
     const current = semver.coerce(currentVersion);
-    const latest = semver.coerce(latestVersion);
+    if (!current) {
+      return { latestPatch: null, latest: releases[0] || null };
+    }
 
-    if (!current || !latest) {
+    const latestPatch = releases.find(release => {
+      const version = semver.coerce(release);
+      return version.major === current.major && version.minor === current.minor;
+    });
+
+    return {
+      latestPatch: latestPatch || null,
+      latest: releases[0] || null
+    };
+  },
+
+  /**
+   * Compare a go or toolchain directive with the available releases. The directive is
+   * resolved against the update policy by name ("go" or "toolchain"), like a module path:
+   * ignore, pin, allow/deny and allowedUpdateTypes apply as they do to modules.
+   * @param {string} currentVersion - Version from go.mod
+   * @param {Array<string>} releases - Releases from fetchGoReleases, newest first
+   * @param {Object} updatePolicy - Update policy from policy.loadPolicy
+   * @param {string} directive - Directive name, go or toolchain
+   * @returns {Object} Comparison result, in the same shape as for npm packages
+   */
+  compareGoVersion(currentVersion, releases, updatePolicy, directive = 'go') {
+    const settings = policy.resolve(updatePolicy, directive);
+    const latest = releases[0] || null;
+
+    if (settings.ignore) {
       return {
-        updateType: 'unknown',
-        canAutoUpdate: false
+        installed: currentVersion,
+        wanted: null,
+        latest,
+        target: null,
+        updateType: 'ignored',
+        canAutoUpdate: false,
+        held: true,
+        heldReason: 'ignored by policy',
+        rule: settings.rules.ignore
       };
     }
 
-    if (semver.eq(current, latest)) {
-      return {
-        updateType: 'current',
-        canAutoUpdate: false
-      };
+    // Only releases the allow and deny ranges permit are candidates
+    const permitted = releases.filter(release => policy.isVersionAllowed(settings, semver.coerce(release).version));
+    const { latestPatch, latest: newestPermitted } = this.getLatestGoVersions(currentVersion, permitted);
+    const rejectingRule = latest ? policy.getRejectingRule(settings, semver.coerce(latest).version) : null;
+
+    // Before Go 1.21 the go directive names a language version (1.20), never a patch release
+    const current = semver.coerce(currentVersion);
+    const hasPatchReleases = current && semver.gte(current, '1.21.0');
+
+    let target = newestPermitted;
+    if (hasPatchReleases && latestPatch && semver.gt(semver.coerce(latestPatch), current)) {
+      target = latestPatch;
     }
 
-    if (semver.major(current) < semver.major(latest)) {
-      return {
-        updateType: 'major',
-        canAutoUpdate: false
-      };
+    const updateType = target ? this.getGoUpdateType(currentVersion, target) : 'unknown';
+    const result = {
+      installed: currentVersion,
+      wanted: hasPatchReleases ? latestPatch : null,
+      latest,
+      target,
+      updateType,
+      canAutoUpdate: settings.allowedUpdateTypes.includes(updateType),
+      rule: updateType === 'current' ? rejectingRule : rejectingRule || settings.rules.allowedUpdateTypes
+    };
+
+    // The release list carries no publish times, so a minimum release age cannot be checked
+    if (result.canAutoUpdate && settings.minimumReleaseAge > 0) {
+      result.canAutoUpdate = false;
+      result.held = true;
+      result.heldReason = 'publish time unknown (minimumReleaseAge is set)';
+      result.rule = settings.rules.minimumReleaseAge;
     }
 
-    if (semver.minor(current) < semver.minor(latest)) {
-      return {
-        updateType: 'minor',
-        canAutoUpdate: false
-      };
+    // Pinned directives are held at the newest release the pin allows
+    if (settings.pin) {
+      const pinned = releases.find(release => semver.satisfies(semver.coerce(release), settings.pin)) || currentVersion;
+      result.target = pinned;
+      if (current && semver.gt(semver.coerce(pinned), current)) {
+        result.updateType = this.getGoUpdateType(currentVersion, pinned);
+      }
+      result.canAutoUpdate = false;
+      result.held = true;
+      result.heldReason = `pinned to ${settings.pin}`;
+      result.rule = settings.rules.pin;
     }
 
-    if (semver.patch(current) < semver.patch(latest)) {
-      return {
-        updateType: 'patch',
-        canAutoUpdate: true
-      };
+    return result;
+  },
+
+  /**
+   * Get the type of update between two Go versions
+   * @param {string} currentVersion - Current Go version
+   * @param {string} targetVersion - Target Go version
+   * @returns {string} Update type (major, minor, patch, current or unknown)
+   */
+  getGoUpdateType(currentVersion, targetVersion) {
+    const current = semver.coerce(currentVersion);
+    const target = semver.coerce(targetVersion);
+
+    if (!current || !target) {
+      return 'unknown';
     }
 
-    return {
-      updateType: 'unknown',
-      canAutoUpdate: false
-    };
+    if (semver.eq(current, target)) {
+      return 'current';
+    }
+
+    if (semver.major(current) < semver.major(target)) {
+      return 'major';
+    }
+
+    if (semver.minor(current) < semver.minor(target)) {
+      return 'minor';
+    }
+
+    if (semver.patch(current) < semver.patch(target)) {
+      return 'patch';
+    }
+
+    return 'unknown';
   },
 
   /**
@@ -149,10 +423,7 @@ const goAnalyzer = {
   async updateGoVersion(goModPath, newVersion) {
     try {
       const content = await fs.readFile(goModPath, 'utf8');
-      const updatedContent = content.replace(
-        /go\s+(\d+\.\d+(?:\.\d+)?)/,
-        `go ${newVersion}`
-      );
+      const updatedContent = this.setGoVersion(content, newVersion);
       await fs.writeFile(goModPath, updatedContent);
       return true;
     } catch (error) {
@@ -160,6 +431,64 @@ const goAnalyzer = {
     }
   },
 
+  /**
+   * Replace the Go version in go.mod content
+   * @param {string} content - go.mod file content
+   * @param {string} newVersion - New Go version
+   * @returns {string} Updated go.mod content
+   */
+  setGoVersion(content, newVersion) {
+    const file = goModFile.parse(content);
+    if (!file.go) {
+      return content;
+    }
+    return goModFile.write(file, [goModFile.replaceToken(file.go.versionToken, newVersion)]);
+  },
+
+  /**
+   * Replace the toolchain version in go.mod content
+   * @param {string} content - go.mod file content
+   * @param {string} newVersion - New toolchain version (without the "go" prefix)
+   * @returns {string} Updated go.mod content
+   */
+  setToolchainVersion(content, newVersion) {
+    const file = goModFile.parse(content);
+    if (!file.toolchain) {
+      return content;
+    }
+    return goModFile.write(file, [goModFile.replaceToken(file.toolchain.versionToken, `go${newVersion}`)]);
+  },
+
+  /**
+   * Replace required module versions in go.mod content, in single-line require
+   * directives and require blocks, keeping comments such as // indirect
+   * @param {string} content - go.mod file content
+   * @param {Object} versions - New versions by module path (without the "v" prefix)
+   * @returns {Object} Updated content and updated dependencies ({ content, updatedDependencies })
+   */
+  setRequireVersions(content, versions) {
+    const file = goModFile.parse(content);
+    const updatedDependencies = {};
+    const edits = [];
+
+    for (const require of file.require) {
+      if (!versions[require.path]) {
+        continue;
+      }
+      edits.push(goModFile.replaceToken(require.versionToken, `v${versions[require.path]}`));
+      updatedDependencies[require.path] = {
+        type: require.indirect ? 'indirect' : 'require',
+        from: require.version.replace(/^v/, ''),
+        to: versions[require.path]
+      };
+    }
+
+    return {
+      content: goModFile.write(file, edits),
+      updatedDependencies
+    };
+  },
+
   /**
    * Run go mod tidy
    * @param {string} repoPath - Repository path
@@ -172,6 +501,20 @@ const goAnalyzer = {
     } catch (error) {
       throw new Error(`Failed to run go mod tidy: ${error.message}`);
     }
+  },
+
+  /**
+   * Run go mod download to fetch required modules and record their go.sum hashes
+   * @param {string} repoPath - Repository path
+   * @returns {Promise<boolean>} Success status
+   */
+  async runGoModDownload(repoPath) {
+    try {
+      execSync('go mod download', { cwd: repoPath });
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to run go mod download: ${error.message}`);
+    }
   }
 };
 
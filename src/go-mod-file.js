@@ -0,0 +1,334 @@
+// Characters that end an identifier (besides whitespace and the start of a comment)
+const DELIMITERS = '()[],"`';
+
+// Directives the go command knows; top-level lines starting with anything else are skipped
+const DIRECTIVES = ['module', 'go', 'toolchain', 'godebug', 'require', 'exclude', 'replace', 'retract', 'tool', 'ignore'];
+
+/**
+ * go.mod tokenizer, parser and writer. Every token keeps its offsets in the
+ * original content and the writer only splices edits into that content, so a
+ * file round-trips byte-for-byte when nothing changes.
+ */
+const goModFile = {
+  /**
+   * Split go.mod content into tokens
+   * @param {string} content - go.mod content
+   * @returns {Array} Tokens ({ type, text, value, start, end }) where type is one of
+   *   ident, string, comment, newline, lparen, rparen, lbrack, rbrack, comma or arrow
+   */
+  tokenize(content) {
+    const tokens = [];
+    let index = 0;
+
+    const push = (type, start, end, value = content.slice(start, end)) => {
+      tokens.push({ type, text: content.slice(start, end), value, start, end });
+    };
+
+    while (index < content.length) {
+      const char = content[index];
+      const start = index;
+
+      if (char === ' ' || char === '\t' || char === '\r') {
+        index++;
+      } else if (char === '\n') {
+        index++;
+        push('newline', start, index);
+      } else if (content.startsWith('//', index)) {
+        while (index < content.length && content[index] !== '\n') {
+          index++;
+        }
+        // A trailing \r belongs to the line ending, not the comment
+        const end = content[index - 1] === '\r' ? index - 1 : index;
+        push('comment', start, end);
+      } else if (content.startsWith('=>', index)) {
+        index += 2;
+        push('arrow', start, index);
+      } else if (char === '"') {
+        index++;
+        while (index < content.length && content[index] !== '"' && content[index] !== '\n') {
+          index += content[index] === '\\' ? 2 : 1;
+        }
+        if (content[index] !== '"') {
+          throw new Error(`${this.getPosition(content, start)}: unterminated quoted string`);
+        }
+        index++;
+        push('string', start, index, JSON.parse(content.slice(start, index)));
+      } else if (char === '`') {
+        index = content.indexOf('`', index + 1);
+        if (index === -1) {
+          throw new Error(`${this.getPosition(content, start)}: unterminated raw string`);
+        }
+        index++;
+        push('string', start, index, content.slice(start + 1, index - 1));
+      } else if (DELIMITERS.includes(char)) {
+        index++;
+        push({ '(': 'lparen', ')': 'rparen', '[': 'lbrack', ']': 'rbrack', ',': 'comma' }[char], start, index);
+      } else {
+        while (
+          index < content.length &&
+          !/\s/.test(content[index]) &&
+          !DELIMITERS.includes(content[index]) &&
+          !content.startsWith('//', index) &&
+          !content.startsWith('=>', index)
+        ) {
+          index++;
+        }
+        push('ident', start, index);
+      }
+    }
+
+    return tokens;
+  },
+
+  /**
+   * Parse go.mod content into a syntax tree
+   * @param {string} content - go.mod content
+   * @returns {Object} Syntax tree: every entry in order with its comments attached, plus
+   *   module, go, toolchain, require, replace, exclude, retract and godebug views of it and
+   *   the top-level lines skipped for not starting with a known directive (ignored)
+   */
+  parse(content) {
+    const tokens = this.tokenize(content);
+    const ast = {
+      content,
+      entries: [],
+      comments: [],
+      module: null,
+      go: null,
+      toolchain: null,
+      require: [],
+      replace: [],
+      exclude: [],
+      retract: [],
+      godebug: [],
+      ignored: []
+    };
+
+    // Group tokens into lines
+    const lines = [[]];
+    for (const token of tokens) {
+      if (token.type === 'newline') {
+        lines.push([]);
+      } else {
+        lines[lines.length - 1].push(token);
+      }
+    }
+
+    let block = null;
+    let pendingComments = [];
+
+    for (const line of lines) {
+      if (line.length === 0) {
+        // A blank line detaches comments from what follows
+        pendingComments = [];
+        continue;
+      }
+
+      const code = line.filter(token => token.type !== 'comment');
+      const suffix = line[line.length - 1].type === 'comment' && code.length > 0 ? line[line.length - 1] : null;
+      ast.comments.push(...line.filter(token => token.type === 'comment'));
+
+      if (code.length === 0) {
+        pendingComments.push(line[0]);
+        continue;
+      }
+
+      const comments = { before: pendingComments, suffix };
+      pendingComments = [];
+
+      if (block) {
+        if (code[0].type === 'rparen') {
+          if (code.length > 1) {
+            throw new Error(`${this.getPosition(content, code[1].start)}: unexpected ${code[1].text} after )`);
+          }
+          block.end = code[0].end;
+          block = null;
+          continue;
+        }
+        this.addEntry(ast, block.verb, code, comments, block);
+        continue;
+      }
+
+      // Stray lines (an unknown directive, pasted markup) are left in place for the caller to report
+      if (code[0].type !== 'ident' || !DIRECTIVES.includes(code[0].text)) {
+        ast.ignored.push({
+          line: content.slice(0, code[0].start).split('\n').length,
+          text: content.slice(code[0].start, code[code.length - 1].end)
+        });
+        continue;
+      }
+
+      // "verb (" opens a block whose lines each take the verb
+      if (code.length === 2 && code[1].type === 'lparen') {
+        block = { verb: code[0].text, start: code[0].start, end: null, comments };
+        continue;
+      }
+
+      // "verb ()" on one line is an empty block
+      if (code.length === 3 && code[1].type === 'lparen' && code[2].type === 'rparen') {
+        continue;
+      }
+
+      this.addEntry(ast, code[0].text, code.slice(1), comments, null);
+    }
+
+    if (block) {
+      throw new Error(`${this.getPosition(content, block.start)}: ${block.verb} block is missing its closing )`);
+    }
+
+    return ast;
+  },
+
+  /**
+   * Add an entry to the syntax tree and to the view for its verb
+   * @param {Object} ast - Syntax tree
+   * @param {string} verb - Directive (module, go, require, ...)
+   * @param {Array} args - Argument tokens
+   * @param {Object} comments - Attached comments ({ before, suffix })
+   * @param {Object|null} block - Enclosing block
+   */
+  addEntry(ast, verb, args, comments, block) {
+    const entry = {
+      verb,
+      args,
+      comments,
+      block,
+      start: args.length > 0 ? args[0].start : null,
+      end: args.length > 0 ? args[args.length - 1].end : null
+    };
+    ast.entries.push(entry);
+
+    const fail = message => {
+      const token = args[0] || (block ? { start: block.start } : null);
+      throw new Error(`${token ? `${this.getPosition(ast.content, token.start)}: ` : ''}${verb}: ${message}`);
+    };
+    const values = args.map(token => token.value);
+
+    // Only replace takes an arrow, and only retract takes brackets and commas (checked below)
+    const argumentTypes = verb === 'replace' ? ['ident', 'string', 'arrow'] : ['ident', 'string'];
+    const unexpected = verb === 'retract' ? null : args.find(token => !argumentTypes.includes(token.type));
+    if (unexpected) {
+      throw new Error(`${this.getPosition(ast.content, unexpected.start)}: ${verb}: unexpected ${unexpected.text}`);
+    }
+
+    switch (verb) {
+      case 'module':
+        if (args.length !== 1) {
+          fail('expected a module path');
+        }
+        ast.module = { path: values[0], pathToken: args[0], entry };
+        break;
+
+      case 'go':
+      case 'toolchain':
+        if (args.length !== 1) {
+          fail('expected a version');
+        }
+        ast[verb] = { version: values[0], versionToken: args[0], entry };
+        break;
+
+      case 'require':
+      case 'exclude':
+        if (args.length !== 2) {
+          fail('expected a module path and version');
+        }
+        ast[verb].push({
+          path: values[0],
+          version: values[1],
+          indirect: verb === 'require' && Boolean(comments.suffix) && /^\/\/\s*indirect(\s|;|$)/.test(comments.suffix.text),
+          pathToken: args[0],
+          versionToken: args[1],
+          entry
+        });
+        break;
+
+      case 'replace': {
+        const arrow = args.findIndex(token => token.type === 'arrow');
+        if (arrow < 1 || arrow > 2 || args.length - arrow - 1 < 1 || args.length - arrow - 1 > 2) {
+          fail('expected "module [version] => replacement [version]"');
+        }
+        ast.replace.push({
+          oldPath: values[0],
+          oldVersion: arrow === 2 ? values[1] : null,
+          newPath: values[arrow + 1],
+          newVersion: args.length - arrow - 1 === 2 ? values[arrow + 2] : null,
+          entry
+        });
+        break;
+      }
+
+      case 'retract': {
+        const rationale = [...comments.before, ...(comments.suffix ? [comments.suffix] : [])]
+          .map(comment => comment.text.replace(/^\/\/\s?/, ''))
+          .join('\n') || null;
+        if (args.length === 1) {
+          ast.retract.push({ low: values[0], high: values[0], rationale, entry });
+        } else if (args.length === 5 && args[0].type === 'lbrack' && args[2].type === 'comma' && args[4].type === 'rbrack') {
+          ast.retract.push({ low: values[1], high: values[3], rationale, entry });
+        } else {
+          fail('expected a version or a [low, high] interval');
+        }
+        break;
+      }
+
+      case 'godebug': {
+        const match = args.length === 1 ? values[0].match(/^([^=]+)=(.*)$/) : null;
+        if (!match) {
+          fail('expected key=value');
+        }
+        ast.godebug.push({ key: match[1], value: match[2], entry });
+        break;
+      }
+
+      default:
+        // tool and ignore directives are kept as plain entries
+        break;
+    }
+  },
+
+  /**
+   * Describe an offset as go.mod:line:column for error messages
+   * @param {string} content - go.mod content
+   * @param {number} offset - Offset in the content
+   * @returns {string} Position
+   */
+  getPosition(content, offset) {
+    const before = content.slice(0, offset);
+    const line = before.split('\n').length;
+    const column = offset - before.lastIndexOf('\n');
+    return `go.mod:${line}:${column}`;
+  },
+
+  /**
+   * Write a syntax tree back out, applying edits to the original content
+   * @param {Object} ast - Syntax tree from parse
+   * @param {Array} edits - Edits ({ start, end, text }); none reproduces the file exactly
+   * @returns {string} go.mod content
+   */
+  write(ast, edits = []) {
+    let content = ast.content;
+
+    // Apply edits from the end so earlier offsets stay valid
+    for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+      content = content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+    }
+
+    return content;
+  },
+
+  /**
+   * Build an edit replacing a token, keeping its quoting
+   * @param {Object} token - Token from the syntax tree
+   * @param {string} value - New value
+   * @returns {Object} Edit ({ start, end, text })
+   */
+  replaceToken(token, value) {
+    return {
+      start: token.start,
+      end: token.end,
+      text: token.type === 'string' ? JSON.stringify(value) : value
+    };
+  }
+};
+
+module.exports = goModFile;
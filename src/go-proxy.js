@@ -0,0 +1,299 @@
+const axios = require('axios');
+const semver = require('semver');
+const { minimatch } = require('minimatch');
+const config = require('./config');
+const cache = require('./cache');
+
+// vX.Y.Z-yyyymmddhhmmss-abcdefabcdef, vX.Y.Z-pre.0.yyyymmddhhmmss-abcdefabcdef or vX.Y.(Z+1)-0.yyyymmddhhmmss-abcdefabcdef
+const PSEUDO_VERSION_PATTERN = /^v?\d+\.\d+\.\d+-(?:.*\.)?\d{14}-[0-9a-f]{12}(?:\+incompatible)?$/;
+
+// Stop probing for newer major version paths after this many
+const MAX_MAJOR_PROBES = 10;
+
+/**
+ * Go module proxy client (GOPROXY protocol)
+ */
+const goProxy = {
+  /**
+   * Read the proxy settings from the configured GOPROXY, GOPRIVATE and GONOPROXY values
+   * @returns {Object} Proxy configuration ({ proxies, noProxy })
+   */
+  getProxyConfig() {
+    return {
+      proxies: this.parseProxyList(config.goProxy),
+      noProxy: this.parsePatterns(config.goNoProxy)
+    };
+  },
+
+  /**
+   * Parse a GOPROXY value. Entries separated by "," fall through to the next
+   * entry only on 404/410 responses; entries followed by "|" fall through on any error.
+   * @param {string} value - GOPROXY value
+   * @returns {Array} Proxy entries ({ url, fallbackOnAnyError })
+   */
+  parseProxyList(value) {
+    const proxies = [];
+    const pattern = /([^,|]+)([,|]?)/g;
+    let match;
+    while ((match = pattern.exec(value || '')) !== null) {
+      const url = match[1].trim();
+      if (url) {
+        proxies.push({
+          url: ['direct', 'off'].includes(url) ? url : url.replace(/\/+$/, ''),
+          fallbackOnAnyError: match[2] === '|'
+        });
+      }
+    }
+    return proxies;
+  },
+
+  /**
+   * Parse a comma-separated list of module path glob patterns (GOPRIVATE/GONOPROXY)
+   * @param {string} value - Pattern list
+   * @returns {Array<string>} Patterns
+   */
+  parsePatterns(value) {
+    return (value || '').split(',').map(pattern => pattern.trim()).filter(Boolean);
+  },
+
+  /**
+   * Check whether a module path matches a pattern list. Like the go command,
+   * each pattern is matched against the path prefix with the same number of elements.
+   * @param {string} modulePath - Module path
+   * @param {Array<string>} patterns - Patterns
+   * @returns {boolean} True if the module matches
+   */
+  matchesPatterns(modulePath, patterns) {
+    const elements = modulePath.split('/');
+    return patterns.some(pattern => {
+      const prefix = elements.slice(0, pattern.split('/').length).join('/');
+      return minimatch(prefix, pattern);
+    });
+  },
+
+  /**
+   * Escape a module path or version for use in proxy URLs (uppercase letters become "!" + lowercase)
+   * @param {string} value - Module path or version
+   * @returns {string} Escaped value
+   */
+  escape(value) {
+    return value.replace(/[A-Z]/g, letter => `!${letter.toLowerCase()}`);
+  },
+
+  /**
+   * Check whether a version is a pseudo-version (an untagged commit)
+   * @param {string} version - Version, with or without the "v" prefix
+   * @returns {boolean} True for pseudo-versions
+   */
+  isPseudoVersion(version) {
+    return PSEUDO_VERSION_PATTERN.test(version || '');
+  },
+
+  /**
+   * Check whether a version is marked +incompatible (v2+ of a module without a go.mod)
+   * @param {string} version - Version
+   * @returns {boolean} True for +incompatible versions
+   */
+  isIncompatible(version) {
+    return (version || '').endsWith('+incompatible');
+  },
+
+  /**
+   * Split a module path into its prefix and major version suffix
+   * (github.com/a/b/v2, gopkg.in/yaml.v3 or no suffix for v0/v1)
+   * @param {string} modulePath - Module path
+   * @returns {Object} Path information ({ prefix, major, separator })
+   */
+  getMajorPathInfo(modulePath) {
+    const gopkgMatch = modulePath.match(/^(gopkg\.in\/.+)\.v(\d+)(-unstable)?$/);
+    if (gopkgMatch) {
+      return { prefix: gopkgMatch[1], major: parseInt(gopkgMatch[2], 10), separator: '.v' };
+    }
+
+    const suffixMatch = modulePath.match(/^(.+)\/v(\d+)$/);
+    if (suffixMatch && parseInt(suffixMatch[2], 10) >= 2) {
+      return { prefix: suffixMatch[1], major: parseInt(suffixMatch[2], 10), separator: '/v' };
+    }
+
+    return { prefix: modulePath, major: 1, separator: '/v' };
+  },
+
+  /**
+   * Get the module path of a later major version
+   * @param {string} modulePath - Module path
+   * @param {number} major - Major version
+   * @returns {string} Module path for that major version
+   */
+  getMajorPath(modulePath, major) {
+    const { prefix, separator } = this.getMajorPathInfo(modulePath);
+    return `${prefix}${separator}${major}`;
+  },
+
+  /**
+   * Request a file for a module from the configured proxies, falling through
+   * the GOPROXY list as the go command does
+   * @param {string} modulePath - Module path
+   * @param {string} file - File below the module path (e.g. "@v/list", "@latest", "@v/v1.2.3.info")
+   * @param {Object} proxyConfig - Configuration from getProxyConfig
+   * @returns {Promise<Object>} Response ({ data, stale, source })
+   */
+  async fetch(modulePath, file, proxyConfig) {
+    let lastError = new Error('GOPROXY is empty');
+
+    for (const proxy of proxyConfig.proxies) {
+      // Reaching "off" or "direct" after a proxy answered "not found" means no proxy has the module
+      if (['off', 'direct'].includes(proxy.url) && lastError.response) {
+        break;
+      }
+      if (proxy.url === 'off') {
+        throw new Error(`Module lookups are disabled by GOPROXY=off (${modulePath})`);
+      }
+      if (proxy.url === 'direct') {
+        throw new Error(`${modulePath} is not available from a proxy and direct version control lookups are not supported`);
+      }
+
+      try {
+        return await this.fetchFromProxy(proxy.url, modulePath, file);
+      } catch (error) {
+        lastError = error;
+        const notFound = error.response && [404, 410].includes(error.response.status);
+        if (!notFound && !proxy.fallbackOnAnyError) {
+          break;
+        }
+      }
+    }
+
+    throw lastError;
+  },
+
+  /**
+   * Request a file for a module from one proxy, through the metadata cache
+   * @param {string} proxyUrl - Proxy base URL
+   * @param {string} modulePath - Module path
+   * @param {string} file - File below the module path
+   * @returns {Promise<Object>} Response ({ data, stale, source })
+   */
+  async fetchFromProxy(proxyUrl, modulePath, file) {
+    const cacheKey = `${modulePath}/${file}`;
+    const entry = config.cacheEnabled || config.offline ? await cache.get(proxyUrl, cacheKey) : null;
+
+    // Offline mode answers from the cache only
+    if (config.offline) {
+      if (!entry) {
+        throw new Error(`No cached metadata for ${modulePath} (offline mode)`);
+      }
+      return { data: entry.data, stale: !cache.isFresh(entry), source: 'cache' };
+    }
+
+    if (entry && cache.isFresh(entry)) {
+      return { data: entry.data, stale: false, source: 'cache' };
+    }
+
+    const response = await axios.get(`${proxyUrl}/${this.escape(modulePath)}/${file}`, {
+      responseType: 'text',
+      timeout: config.httpTimeout * 1000,
+      transformResponse: data => data
+    });
+    const data = file.endsWith('/list') ? response.data : JSON.parse(response.data);
+
+    if (config.cacheEnabled) {
+      await cache.set(proxyUrl, cacheKey, data);
+    }
+
+    return { data, stale: false, source: 'network' };
+  },
+
+  /**
+   * Get the published versions of a module, or an empty list if the module does not exist
+   * @param {string} modulePath - Module path
+   * @param {Object} proxyConfig - Configuration from getProxyConfig
+   * @returns {Promise<Object>} Versions without the "v" prefix ({ versions, stale })
+   */
+  async fetchVersionList(modulePath, proxyConfig) {
+    try {
+      const { data, stale } = await this.fetch(modulePath, '@v/list', proxyConfig);
+      const versions = data.split('\n')
+        .map(line => line.trim())
+        .filter(version => semver.valid(version))
+        .map(version => version.replace(/^v/, ''));
+      return { versions, stale };
+    } catch (error) {
+      if (error.response && [404, 410].includes(error.response.status)) {
+        return { versions: [], stale: false };
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Pick the version the go command would treat as latest: the newest release,
+   * else the newest prerelease. +incompatible versions only count when the module
+   * is already on one or has no compatible versions.
+   * @param {Array} versions - Published versions
+   * @param {string} installed - Installed version
+   * @returns {string|null} Latest version
+   */
+  selectLatestVersion(versions, installed) {
+    let candidates = versions;
+    if (!this.isIncompatible(installed)) {
+      const compatible = versions.filter(version => !this.isIncompatible(version));
+      if (compatible.length > 0) {
+        candidates = compatible;
+      }
+    }
+
+    const releases = candidates.filter(version => !semver.prerelease(version));
+    const sorted = semver.rsort([...(releases.length > 0 ? releases : candidates)]);
+    return sorted.length > 0 ? sorted[0] : null;
+  },
+
+  /**
+   * Fetch update information for a required module
+   * @param {string} modulePath - Module path
+   * @param {string} installed - Required version (without the "v" prefix)
+   * @param {Object} proxyConfig - Configuration from getProxyConfig
+   * @returns {Promise<Object>} Module information ({ latest, versions, time, newerMajor, stale })
+   */
+  async fetchModuleInfo(modulePath, installed, proxyConfig) {
+    const { versions, stale } = await this.fetchVersionList(modulePath, proxyConfig);
+    let isStale = stale;
+    let latest = this.selectLatestVersion(versions, installed);
+    const time = {};
+
+    if (latest) {
+      const info = await this.fetch(modulePath, `@v/${this.escape(`v${latest}`)}.info`, proxyConfig);
+      time[latest] = info.data.Time || null;
+      isStale = isStale || info.stale;
+    } else {
+      // Modules without tags only have pseudo-versions, which @v/list leaves out
+      const info = await this.fetch(modulePath, '@latest', proxyConfig);
+      latest = info.data.Version.replace(/^v/, '');
+      time[latest] = info.data.Time || null;
+      isStale = isStale || info.stale;
+    }
+
+    // Later major versions are separate modules with their own path
+    let newerMajor = null;
+    const { major } = this.getMajorPathInfo(modulePath);
+    for (let next = Math.max(major, 1) + 1; next <= major + MAX_MAJOR_PROBES; next++) {
+      const majorPath = this.getMajorPath(modulePath, next);
+      const majorList = await this.fetchVersionList(majorPath, proxyConfig);
+      const majorLatest = this.selectLatestVersion(majorList.versions, '');
+      if (!majorLatest) {
+        break;
+      }
+      newerMajor = { path: majorPath, version: majorLatest };
+      isStale = isStale || majorList.stale;
+    }
+
+    return {
+      latest,
+      versions,
+      time,
+      newerMajor,
+      stale: isStale
+    };
+  }
+};
+
+module.exports = goProxy;
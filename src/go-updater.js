@@ -1,49 +1,111 @@
 const fs = require('fs-extra');
 const path = require('path');
 const goAnalyzer = require('./go-analyzer');
+const patch = require('./patch');
+const logger = require('./logger');
+
+// Names in update lists that refer to go.mod directives rather than modules
+const DIRECTIVES = ['go', 'toolchain'];
 
 /**
  * Go module updater
  */
 const goUpdater = {
   /**
-   * Update Go version in a repository
+   * Update the go and toolchain directives and required module versions in a repository
    * @param {Object} repository - Repository object
-   * @param {string} newVersion - New Go version
+   * @param {Object} packagesToUpdate - New versions keyed by "go", "toolchain" or module path
+   * @param {Object} options - Update options
+   * @param {boolean} options.dryRun - Plan the change and produce a diff without touching disk
    * @returns {Promise<Object>} Update results
    */
-  async updateGoVersion(repository, newVersion) {
+  async updateGoMod(repository, packagesToUpdate, options = {}) {
     try {
       const result = {
         updated: false,
+        dryRun: Boolean(options.dryRun),
         goModUpdated: false,
         goModTidied: false,
-        error: null
+        goModDownloaded: false,
+        error: null,
+        updatedDependencies: {},
+        diff: ''
       };
 
-      // Update Go version in go.mod
-      const goVersionUpdated = await goAnalyzer.updateGoVersion(repository.goModPath, newVersion);
-      result.goModUpdated = goVersionUpdated;
+      const originalContent = await fs.readFile(repository.goModPath, 'utf8');
+      const goMod = goAnalyzer.parseGoMod(originalContent);
+      let updatedContent = originalContent;
+
+      if (packagesToUpdate.go) {
+        updatedContent = goAnalyzer.setGoVersion(updatedContent, packagesToUpdate.go);
+        result.updatedDependencies.go = { type: 'directive', from: goMod.go, to: packagesToUpdate.go };
+      }
+      if (packagesToUpdate.toolchain) {
+        updatedContent = goAnalyzer.setToolchainVersion(updatedContent, packagesToUpdate.toolchain);
+        result.updatedDependencies.toolchain = { type: 'directive', from: goMod.toolchain, to: packagesToUpdate.toolchain };
+      }
+
+      // Update module requirements
+      const moduleVersions = {};
+      for (const name in packagesToUpdate) {
+        if (!DIRECTIVES.includes(name)) {
+          moduleVersions[name] = packagesToUpdate[name];
+        }
+      }
+      const requireResult = goAnalyzer.setRequireVersions(updatedContent, moduleVersions);
+      updatedContent = requireResult.content;
+      Object.assign(result.updatedDependencies, requireResult.updatedDependencies);
+
+      result.diff = patch.createFilePatch(
+        repository.path,
+        repository.goModPath,
+        originalContent,
+        updatedContent
+      );
+
+      if (result.dryRun) {
+        return result;
+      }
+
+      // Write the updated go.mod
+      const goModUpdated = updatedContent !== originalContent;
+      if (goModUpdated) {
+        await fs.writeFile(repository.goModPath, updatedContent);
+      }
+      result.goModUpdated = goModUpdated;
 
       // Run go mod tidy
-      if (goVersionUpdated) {
+      if (goModUpdated) {
         try {
           const tidyResult = await goAnalyzer.runGoModTidy(repository.path);
           result.goModTidied = tidyResult;
         } catch (tidyError) {
-          console.warn(`Warning: Failed to run go mod tidy: ${tidyError.message}`);
+          logger.warn(`Warning: Failed to run go mod tidy: ${tidyError.message}`);
           // Continue even if tidy fails
         }
       }
 
+      // Refresh go.sum for the new module versions
+      if (goModUpdated && Object.keys(requireResult.updatedDependencies).length > 0) {
+        try {
+          result.goModDownloaded = await goAnalyzer.runGoModDownload(repository.path);
+        } catch (downloadError) {
+          logger.warn(`Warning: Failed to run go mod download: ${downloadError.message}`);
+        }
+      }
+
       result.updated = result.goModUpdated;
       return result;
     } catch (error) {
       return {
         updated: false,
+        dryRun: Boolean(options.dryRun),
         goModUpdated: false,
         goModTidied: false,
-        error: error.message
+        goModDownloaded: false,
+        error: error.message,
+        updatedDependencies: {},
+        diff: ''
       };
     }
   }
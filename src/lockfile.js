@@ -0,0 +1,227 @@
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * yarn.lock (classic and berry) and pnpm-lock.yaml parsing. Both are reduced to the
+ * resolved versions needed to find what is installed for a declared dependency.
+ */
+const lockfile = {
+  /**
+   * Parse a lockfile by its file name
+   * @param {string} lockfilePath - Path to the lockfile
+   * @param {string} content - Lockfile content
+   * @returns {Object} Parsed lockfile (package-lock.json as is; yarn and pnpm lockfiles normalized)
+   */
+  parse(lockfilePath, content) {
+    switch (path.basename(lockfilePath)) {
+      case 'yarn.lock':
+        return this.parseYarnLock(content);
+      case 'pnpm-lock.yaml':
+        return this.parsePnpmLock(content);
+      default:
+        return JSON.parse(content);
+    }
+  },
+
+  /**
+   * Split a yarn descriptor ("lodash@^4.17.20", "@babel/core@npm:^7.0.0") into name and range
+   * @param {string} descriptor - Descriptor
+   * @returns {Object} Name and range ({ name, range }); the npm: protocol is dropped from the range
+   */
+  splitDescriptor(descriptor) {
+    const index = descriptor.indexOf('@', 1);
+    if (index === -1) {
+      return { name: descriptor, range: '' };
+    }
+    return {
+      name: descriptor.slice(0, index),
+      range: descriptor.slice(index + 1).replace(/^npm:/, '')
+    };
+  },
+
+  /**
+   * Parse a yarn.lock file. Yarn 1 uses its own indented format; yarn 2+ (berry) writes YAML.
+   * @param {string} content - yarn.lock content
+   * @returns {Object} Normalized lockfile ({ lockfileType: 'yarn', berry, entries }) with
+   *   entries mapping "name@range" to the resolved version
+   */
+  parseYarnLock(content) {
+    const berry = /^__metadata:/m.test(content);
+    const entries = {};
+
+    const addEntry = (header, version) => {
+      for (const descriptor of header.split(',').map(key => key.trim().replace(/^"|"$/g, ''))) {
+        const { name, range } = this.splitDescriptor(descriptor);
+        // Workspace packages and patches are not registry versions
+        if (!/^(workspace|patch|portal|link|file):/.test(range)) {
+          entries[`${name}@${range}`] = String(version);
+        }
+      }
+    };
+
+    if (berry) {
+      const parsed = yaml.load(content) || {};
+      for (const header in parsed) {
+        if (header !== '__metadata' && parsed[header] && parsed[header].version !== undefined) {
+          addEntry(header, parsed[header].version);
+        }
+      }
+    } else {
+      let header = null;
+      for (const line of content.split(/\r?\n/)) {
+        if (!line.trim() || line.startsWith('#')) {
+          continue;
+        }
+        if (!/^\s/.test(line)) {
+          header = line.replace(/:\s*$/, '');
+          continue;
+        }
+        // Only the entry's own version field, not a nested dependency named "version"
+        const match = line.match(/^ {2}version:?\s+"?([^"\s]+)"?\s*$/);
+        if (header && match) {
+          addEntry(header, match[1]);
+        }
+      }
+    }
+
+    return { lockfileType: 'yarn', berry, entries };
+  },
+
+  /**
+   * Parse a pnpm-lock.yaml file (lockfile versions 5, 6 and 9)
+   * @param {string} content - pnpm-lock.yaml content
+   * @returns {Object} Normalized lockfile ({ lockfileType: 'pnpm', importers }) with importers
+   *   mapping each workspace package path ("." for the root) to its resolved direct dependencies
+   */
+  parsePnpmLock(content) {
+    const parsed = yaml.load(content) || {};
+    // Single-package lockfiles before version 9 list the root's dependencies at the top level
+    const importers = parsed.importers || { '.': parsed };
+    const result = { lockfileType: 'pnpm', importers: {} };
+
+    for (const importerPath in importers) {
+      const importer = importers[importerPath] || {};
+      const versions = {};
+      for (const section of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+        for (const name in importer[section] || {}) {
+          const entry = importer[section][name];
+          const version = this.getPnpmVersion(typeof entry === 'object' && entry !== null ? entry.version : entry);
+          if (version) {
+            versions[name] = version;
+          }
+        }
+      }
+      result.importers[importerPath] = versions;
+    }
+
+    return result;
+  },
+
+  /**
+   * Strip the peer dependency suffix from a pnpm version ("1.2.3(react@18.2.0)" or "1.2.3_react@18.2.0")
+   * @param {string} value - Version as written in pnpm-lock.yaml
+   * @returns {string|null} Version, or null for links to local packages
+   */
+  getPnpmVersion(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    const version = String(value);
+    if (/^(link|file|workspace):/.test(version)) {
+      return null;
+    }
+    return version.replace(/[(_].*$/, '');
+  },
+
+  /**
+   * Look up the installed version of a dependency in a normalized yarn or pnpm lockfile
+   * @param {Object} lock - Normalized lockfile from parseYarnLock or parsePnpmLock
+   * @param {string} name - Package name
+   * @param {string} range - Declared range
+   * @param {string} memberPath - Workspace member path ('' for the root)
+   * @returns {string|null} Installed version, or null if the lockfile has none
+   */
+  getInstalledVersion(lock, name, range, memberPath = '') {
+    if (lock.lockfileType === 'pnpm') {
+      const importer = lock.importers[memberPath || '.'] || {};
+      return importer[name] || null;
+    }
+
+    const version = lock.entries[`${name}@${range.replace(/^npm:/, '')}`];
+    if (version) {
+      return version;
+    }
+
+    // Fall back to the only version of the package the lockfile has, if there is just one
+    const versions = new Set(Object.keys(lock.entries)
+      .filter(descriptor => this.splitDescriptor(descriptor).name === name)
+      .map(descriptor => lock.entries[descriptor]));
+    return versions.size === 1 ? [...versions][0] : null;
+  },
+
+  /**
+   * Point a yarn classic lockfile's entry for an exact version back at the declared ranges.
+   * "yarn add name@1.2.3" records the entry under name@1.2.3; once package.json is
+   * restored, the entry has to be keyed by the ranges package.json declares.
+   * @param {string} content - yarn.lock content
+   * @param {string} name - Package name
+   * @param {string} version - Version the package was moved to
+   * @param {Array<string>} ranges - Ranges package.json declares for the package
+   * @returns {string} Updated yarn.lock content
+   */
+  retargetYarnLock(content, name, version, ranges) {
+    const exact = `${name}@${version}`;
+    const declared = ranges.map(range => `${name}@${range}`);
+    const lines = content.split('\n');
+    const headerIndexes = lines
+      .map((line, index) => (line && !/^[\s#]/.test(line) ? index : -1))
+      .filter(index => index !== -1);
+    const getDescriptors = line => line.replace(/:\s*$/, '').split(',').map(key => key.trim().replace(/^"|"$/g, ''));
+
+    const target = headerIndexes.find(index => getDescriptors(lines[index]).includes(exact));
+    if (target === undefined) {
+      throw new Error(`yarn.lock has no entry for ${exact}`);
+    }
+
+    // The declared ranges move to the new entry; entries left with no ranges are dropped
+    const removed = new Set();
+    for (const index of headerIndexes) {
+      const original = getDescriptors(lines[index]);
+      const descriptors = index === target
+        ? [...new Set([...original.filter(key => key !== exact || declared.includes(exact)), ...declared])]
+        : original.filter(key => !declared.includes(key));
+      if (index !== target && descriptors.length === original.length) {
+        continue;
+      }
+      if (descriptors.length === 0) {
+        let end = index + 1;
+        while (end < lines.length && /^\s+\S/.test(lines[end])) {
+          end++;
+        }
+        // Along with the blank line separating it from the next entry
+        if (end < lines.length && !lines[end].trim()) {
+          end++;
+        }
+        for (let line = index; line < end; line++) {
+          removed.add(line);
+        }
+        continue;
+      }
+      const ending = lines[index].endsWith('\r') ? '\r' : '';
+      lines[index] = `${descriptors.sort().map(key => (this.shouldQuoteYarnKey(key) ? JSON.stringify(key) : key)).join(', ')}:${ending}`;
+    }
+
+    return lines.filter((line, index) => !removed.has(index)).join('\n');
+  },
+
+  /**
+   * Check whether yarn classic writes a lockfile key in quotes
+   * @param {string} key - Key
+   * @returns {boolean} True if the key needs quotes
+   */
+  shouldQuoteYarnKey(key) {
+    return /^(true|false)$/.test(key) || /[:\s\n\\",[\]]/.test(key) || !/^[a-zA-Z]/.test(key);
+  }
+};
+
+module.exports = lockfile;
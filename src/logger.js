@@ -0,0 +1,42 @@
+const context = require('./context');
+
+/**
+ * Logging for every module. Messages go to the logger of the automator whose work is in
+ * progress (see createAutomator), or to the console outside an automator.
+ */
+const logger = {
+  /**
+   * Log a progress message
+   * @param {string} message - Message
+   */
+  log(message) {
+    this.current().log(message);
+  },
+
+  /**
+   * Log a warning
+   * @param {string} message - Message
+   */
+  warn(message) {
+    this.current().warn(message);
+  },
+
+  /**
+   * Log an error
+   * @param {string} message - Message
+   */
+  error(message) {
+    this.current().error(message);
+  },
+
+  /**
+   * Get the logger in effect
+   * @returns {Object} Logger with log, warn and error methods
+   */
+  current() {
+    const store = context.get();
+    return store && store.logger ? store.logger : console;
+  }
+};
+
+module.exports = logger;
@@ -0,0 +1,184 @@
+const semver = require('semver');
+
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+/**
+ * package.json editor that changes version strings in place, leaving
+ * indentation, line endings, key order and the trailing newline untouched
+ */
+const manifest = {
+  DEPENDENCY_SECTIONS,
+
+  /**
+   * Find the location of every dependency version string in package.json content
+   * @param {string} content - package.json content
+   * @returns {Object} Locations keyed by section, then package name ({ start, end, value })
+   */
+  locateDependencies(content) {
+    // Fail early with JSON.parse's error message; the scanner below assumes valid JSON
+    JSON.parse(content);
+
+    const locations = {};
+    let index = 0;
+
+    const skipWhitespace = () => {
+      while (index < content.length && /\s/.test(content[index])) {
+        index++;
+      }
+    };
+
+    const readString = () => {
+      const start = index;
+      index++;
+      while (content[index] !== '"') {
+        index += content[index] === '\\' ? 2 : 1;
+      }
+      index++;
+      return { start, end: index, value: JSON.parse(content.slice(start, index)) };
+    };
+
+    const readValue = keyPath => {
+      skipWhitespace();
+      const char = content[index];
+
+      if (char === '{' || char === '[') {
+        const isObject = char === '{';
+        const closing = isObject ? '}' : ']';
+        index++;
+        skipWhitespace();
+
+        let itemIndex = 0;
+        while (content[index] !== closing) {
+          let childPath = keyPath.concat(itemIndex++);
+          if (isObject) {
+            childPath = keyPath.concat(readString().value);
+            skipWhitespace();
+            index++; // Skip ':'
+          }
+
+          skipWhitespace();
+          if (content[index] === '"' && childPath.length === 2 && DEPENDENCY_SECTIONS.includes(childPath[0])) {
+            const [section, packageName] = childPath;
+            locations[section] = locations[section] || {};
+            locations[section][packageName] = readString();
+          } else {
+            readValue(childPath);
+          }
+
+          skipWhitespace();
+          if (content[index] === ',') {
+            index++;
+            skipWhitespace();
+          }
+        }
+
+        index++;
+        return;
+      }
+
+      if (char === '"') {
+        readString();
+        return;
+      }
+
+      // Numbers, true, false and null
+      while (index < content.length && !/[\s,\]}]/.test(content[index])) {
+        index++;
+      }
+    };
+
+    readValue([]);
+    return locations;
+  },
+
+  /**
+   * Build the new range for an updated dependency, keeping the existing operator
+   * @param {string} currentRange - Declared range (e.g. "~1.2.3", "1.2.3", ">=1.0.0")
+   * @param {string} newVersion - Version to update to
+   * @param {string|null} savePrefix - Prefix to apply instead of the existing operator (null keeps it)
+   * @returns {string|null} New range, or null if the declared range is not a semver range
+   */
+  getNewRange(currentRange, newVersion, savePrefix = null) {
+    const range = currentRange.trim();
+    if (!semver.validRange(range)) {
+      return null;
+    }
+
+    if (savePrefix !== null && savePrefix !== undefined) {
+      return `${savePrefix}${newVersion}`;
+    }
+
+    // Single comparator: ^1.2.3, ~1.2, >=1.0.0, =1.2.3, 1.2.3
+    const simpleMatch = range.match(/^(\^|~>?|>=|=)?\s*v?\d+(\.\d+){0,2}(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/);
+    if (simpleMatch) {
+      return `${simpleMatch[1] || ''}${newVersion}`;
+    }
+
+    // X-ranges such as 1.x or 1.2.* keep their shape
+    const xRangeMatch = range.match(/^v?(\d+)(?:\.(\d+|x|X|\*))?(?:\.(x|X|\*))?$/);
+    if (xRangeMatch && /[xX*]/.test(range)) {
+      const parsed = semver.parse(newVersion);
+      const parts = range.replace(/^v/, '').split('.');
+      const newParts = [parsed.major, parsed.minor, parsed.patch];
+      return parts.map((part, i) => (/^\d+$/.test(part) ? newParts[i] : part)).join('.');
+    }
+
+    // Compound ranges (hyphen ranges, "||" sets, etc.) fall back to npm's default prefix
+    return `^${newVersion}`;
+  },
+
+  /**
+   * Update dependency versions in package.json content
+   * @param {string} content - package.json content
+   * @param {Object} packagesToUpdate - Packages to update with their versions
+   * @param {Object} options - Update options
+   * @param {string|null} options.savePrefix - Prefix to apply instead of the existing operator
+   * @returns {Object} Updated content, updated dependencies and skipped dependencies
+   */
+  updateDependencyVersions(content, packagesToUpdate, options = {}) {
+    const locations = this.locateDependencies(content);
+    const updatedDependencies = {};
+    const skippedDependencies = {};
+    const edits = [];
+
+    for (const section of DEPENDENCY_SECTIONS) {
+      for (const packageName in packagesToUpdate) {
+        const location = locations[section] && locations[section][packageName];
+        if (!location) {
+          continue;
+        }
+
+        const newVersion = packagesToUpdate[packageName];
+        const newRange = this.getNewRange(location.value, newVersion, options.savePrefix);
+        if (newRange === null) {
+          skippedDependencies[packageName] = {
+            to: newVersion,
+            reason: `declared version "${location.value}" is not a semver range`
+          };
+          continue;
+        }
+
+        edits.push({ ...location, replacement: JSON.stringify(newRange) });
+        updatedDependencies[packageName] = {
+          type: section,
+          from: location.value,
+          to: newRange
+        };
+      }
+    }
+
+    // Apply edits from the end so earlier offsets stay valid
+    let updatedContent = content;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+      updatedContent = updatedContent.slice(0, edit.start) + edit.replacement + updatedContent.slice(edit.end);
+    }
+
+    return {
+      content: updatedContent,
+      updatedDependencies,
+      skippedDependencies
+    };
+  }
+};
+
+module.exports = manifest;
@@ -0,0 +1,137 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+
+// Lockfiles in the order they are preferred when a project has more than one
+const LOCKFILES = [
+  { file: 'npm-shrinkwrap.json', manager: 'npm' },
+  { file: 'package-lock.json', manager: 'npm' },
+  { file: 'yarn.lock', manager: 'yarn' },
+  { file: 'pnpm-lock.yaml', manager: 'pnpm' }
+];
+
+/**
+ * Package manager detection (npm, yarn classic, yarn berry, pnpm) and the commands each one uses
+ */
+const packageManager = {
+  /**
+   * Parse the packageManager field of package.json ("pnpm@8.15.4", "yarn@4.1.0+sha256.abc...")
+   * @param {string} value - packageManager field
+   * @returns {Object|null} Package manager ({ name, version }), or null if the field is missing or unknown
+   */
+  parseField(value) {
+    const match = (value || '').match(/^(npm|yarn|pnpm)@([^+\s]+)/);
+    return match ? { name: match[1], version: match[2] } : null;
+  },
+
+  /**
+   * Detect a project's package manager from the packageManager field and its lockfile
+   * @param {string} repoPath - Project directory
+   * @param {Object} packageJson - Parsed package.json
+   * @returns {Promise<Object>} Package manager ({ name, version, berry, lockfilePath })
+   */
+  async detect(repoPath, packageJson = {}) {
+    const lockfiles = [];
+    for (const lockfile of LOCKFILES) {
+      const lockfilePath = path.normalize(path.join(repoPath, lockfile.file));
+      if (await fs.pathExists(lockfilePath)) {
+        lockfiles.push({ ...lockfile, path: lockfilePath });
+      }
+    }
+
+    // The packageManager field wins; otherwise the lockfile decides
+    const declared = this.parseField(packageJson.packageManager);
+    const name = declared ? declared.name : (lockfiles.length > 0 ? lockfiles[0].manager : 'npm');
+    const lockfile = lockfiles.find(candidate => candidate.manager === name) || null;
+
+    if (lockfiles.length > 1) {
+      logger.warn(`Warning: ${repoPath} has several lockfiles (${lockfiles.map(candidate => candidate.file).join(', ')}); using ${lockfile ? lockfile.file : 'none'}`);
+    }
+
+    let berry = false;
+    if (name === 'yarn') {
+      if (declared) {
+        berry = parseInt(declared.version, 10) >= 2;
+      } else if (lockfile) {
+        // Yarn 2+ lockfiles are YAML with a __metadata entry
+        berry = /^__metadata:/m.test(await fs.readFile(lockfile.path, 'utf8'));
+      }
+    }
+
+    return {
+      name,
+      version: declared ? declared.version : null,
+      berry,
+      lockfilePath: lockfile ? lockfile.path : null
+    };
+  },
+
+  /**
+   * Get the command that installs dependencies and refreshes the lockfile
+   * @param {Object} manager - Package manager from detect
+   * @returns {string} Command
+   */
+  getInstallCommand(manager) {
+    // pnpm and yarn berry refuse to change the lockfile by default on CI
+    switch (manager.name) {
+      case 'pnpm':
+        return 'pnpm install --no-frozen-lockfile';
+      case 'yarn':
+        return manager.berry ? 'yarn install --no-immutable' : 'yarn install';
+      default:
+        return 'npm install';
+    }
+  },
+
+  /**
+   * Get the commands that move packages to exact versions in the lockfile. npm, pnpm and
+   * yarn classic also write the versions to package.json, so the caller restores the
+   * manifests afterwards (and, for yarn classic, the yarn.lock descriptors, see
+   * lockfile.retargetYarnLock). Yarn berry pins each declared range with yarn set resolution.
+   * @param {Object} manager - Package manager from detect
+   * @param {Object} versions - Target versions by package
+   * @param {Object} options - Command options
+   * @param {boolean} options.workspaces - The project is a workspace root
+   * @param {Object} options.ranges - Declared ranges by package, as listed in the manifests (yarn berry)
+   * @returns {Array<string>} Commands, to run in order
+   */
+  getExactInstallCommands(manager, versions, options = {}) {
+    const specs = Object.keys(versions).map(name => this.quote(`${name}@${versions[name]}`)).join(' ');
+    switch (manager.name) {
+      case 'yarn': {
+        if (!manager.berry) {
+          // yarn upgrade stops when package.json has new ranges the lockfile lacks; yarn add does not
+          return [`yarn add ${options.workspaces ? '-W ' : ''}${specs}`];
+        }
+        // New ranges need their lockfile entries before a resolution can be set for them
+        const commands = ['yarn install --mode=update-lockfile'];
+        for (const name in versions) {
+          for (const range of (options.ranges || {})[name] || []) {
+            // An exact range already resolves to its version (and yarn cannot set a resolution to itself)
+            if (range.replace(/^npm:/, '') === versions[name]) {
+              continue;
+            }
+            const descriptor = /^[a-z]+:/.test(range) ? `${name}@${range}` : `${name}@npm:${range}`;
+            commands.push(`yarn set resolution ${this.quote(descriptor)} ${this.quote(`npm:${versions[name]}`)}`);
+          }
+        }
+        return commands;
+      }
+      case 'pnpm':
+        return [`pnpm update ${options.workspaces ? '--recursive ' : ''}${specs}`];
+      default:
+        return [`npm install ${specs}`];
+    }
+  },
+
+  /**
+   * Quote a command argument for the shell
+   * @param {string} value - Argument
+   * @returns {string} Quoted argument
+   */
+  quote(value) {
+    return /^[\w@/.:^~=+-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+  }
+};
+
+module.exports = packageManager;
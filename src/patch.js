@@ -0,0 +1,34 @@
+const path = require('path');
+const Diff = require('diff');
+
+/**
+ * Unified diff module
+ */
+const patch = {
+  /**
+   * Create a git-style unified diff for a file in a repository
+   * @param {string} repoPath - Repository path
+   * @param {string} filePath - Path to the changed file
+   * @param {string} before - Original content
+   * @param {string} after - New content
+   * @returns {string} Unified diff (empty if the content did not change)
+   */
+  createFilePatch(repoPath, filePath, before, after) {
+    if (before === after) {
+      return '';
+    }
+    
+    const relativePath = path.relative(repoPath, filePath).split(path.sep).join('/');
+    return Diff.createTwoFilesPatch(
+      `a/${relativePath}`,
+      `b/${relativePath}`,
+      before,
+      after,
+      undefined,
+      undefined,
+      { context: 3, headerOptions: Diff.FILE_HEADERS_ONLY }
+    );
+  }
+};
+
+module.exports = patch;
@@ -0,0 +1,150 @@
+const semver = require('semver');
+const dependencyTree = require('./dependency-tree');
+
+/**
+ * Peer dependency checks for a batch of updates
+ */
+const peerDependencies = {
+  /**
+   * Get the versions a repository resolves: its direct dependencies plus the
+   * top-level packages of a package-lock.json tree
+   * @param {Object|null} packageLock - Parsed lockfile
+   * @param {Object} installedVersions - Installed version per direct dependency
+   * @returns {Object} Resolved version per package name
+   */
+  getResolvedVersions(packageLock, installedVersions) {
+    const resolvedVersions = {};
+
+    const nodes = dependencyTree.buildTree(packageLock);
+    for (const location in nodes || {}) {
+      if (/^node_modules\/(@[^/]+\/)?[^/]+$/.test(location) && nodes[location].version) {
+        resolvedVersions[nodes[location].name] = nodes[location].version;
+      }
+    }
+
+    for (const packageName in installedVersions) {
+      if (installedVersions[packageName]) {
+        resolvedVersions[packageName] = installedVersions[packageName];
+      }
+    }
+
+    return resolvedVersions;
+  },
+
+  /**
+   * Get the peer dependencies a published version declares. Optional peers need no
+   * special handling: like required ones they only conflict when something resolves them.
+   * @param {Object} info - Package information from analyzer.fetchPackageInfos
+   * @param {string} version - Version
+   * @returns {Object} Peer dependency ranges per package name
+   */
+  getPeerDependencies(info, version) {
+    const manifest = info && info.packument && info.packument.versions && info.packument.versions[version];
+    return (manifest && manifest.peerDependencies) || {};
+  },
+
+  /**
+   * Check whether a version satisfies a peer range; versions or ranges that are not
+   * semver (git URLs, workspace: and file: specs) are not checked
+   * @param {string} version - Resolved version
+   * @param {string} range - Peer dependency range
+   * @returns {boolean} True if the version satisfies the range or cannot be checked
+   */
+  satisfies(version, range) {
+    if (!semver.valid(version) || !semver.validRange(range)) {
+      return true;
+    }
+    return semver.satisfies(version, range, { includePrerelease: true });
+  },
+
+  /**
+   * Find the updates in a batch whose peer dependencies conflict with the repository.
+   * An update conflicts when its target version's peer ranges do not allow the resolved
+   * version of a peer, or when a dependency has a peer range that does not allow the
+   * target version. Every check sees the other updates in the batch applied; holding an
+   * update back can create new conflicts, so checks repeat until nothing changes.
+   * @param {Object} updates - Target version per package being updated
+   * @param {Object} resolvedVersions - Resolved version per package from getResolvedVersions
+   * @param {Object} packageInfos - Package information per package from analyzer.fetchPackageInfos
+   * @returns {Object} Conflicts per held update ([{ dependent, peer, range, version, updated }])
+   */
+  findConflicts(updates, resolvedVersions, packageInfos) {
+    const held = {};
+
+    for (;;) {
+      const batchVersions = { ...resolvedVersions };
+      for (const packageName in updates) {
+        if (!held[packageName]) {
+          batchVersions[packageName] = updates[packageName];
+        }
+      }
+      const isUpdated = packageName => Boolean(updates[packageName]) && !held[packageName];
+
+      const found = {};
+      for (const packageName of Object.keys(updates).filter(isUpdated)) {
+        const conflicts = this.checkUpdate(packageName, batchVersions, resolvedVersions, isUpdated, packageInfos);
+        if (conflicts.length > 0) {
+          found[packageName] = conflicts;
+        }
+      }
+
+      if (Object.keys(found).length === 0) {
+        return held;
+      }
+      Object.assign(held, found);
+    }
+  },
+
+  /**
+   * Check one update against the versions the batch resolves to. When both sides of a
+   * conflict are being updated only one is blamed: the dependent if its installed version
+   * accepted the peer's new version (its update narrowed the range), otherwise the peer.
+   * @param {string} packageName - Package being updated
+   * @param {Object} batchVersions - Resolved versions with the batch's updates applied
+   * @param {Object} resolvedVersions - Resolved versions before the batch
+   * @param {Function} isUpdated - Whether a package is updated in the batch
+   * @param {Object} packageInfos - Package information per package
+   * @returns {Array} Conflicts ({ dependent, peer, range, version, updated })
+   */
+  checkUpdate(packageName, batchVersions, resolvedVersions, isUpdated, packageInfos) {
+    const conflicts = [];
+    const target = batchVersions[packageName];
+    const blamesDependent = (dependent, peer) => {
+      const range = this.getPeerDependencies(packageInfos[dependent], resolvedVersions[dependent])[peer];
+      return !range || this.satisfies(batchVersions[peer], range);
+    };
+
+    // The target version's own peer requirements
+    const peers = this.getPeerDependencies(packageInfos[packageName], target);
+    for (const peer in peers) {
+      const version = batchVersions[peer];
+      if (version && !this.satisfies(version, peers[peer]) && (!isUpdated(peer) || blamesDependent(packageName, peer))) {
+        conflicts.push({ dependent: `${packageName}@${target}`, peer, range: peers[peer], version, updated: isUpdated(peer) });
+      }
+    }
+
+    // Peer requirements other packages have on this one
+    for (const dependent in packageInfos) {
+      if (dependent === packageName || !batchVersions[dependent]) {
+        continue;
+      }
+      const range = this.getPeerDependencies(packageInfos[dependent], batchVersions[dependent])[packageName];
+      if (range && !this.satisfies(target, range) && (!isUpdated(dependent) || !blamesDependent(dependent, packageName))) {
+        conflicts.push({ dependent: `${dependent}@${batchVersions[dependent]}`, peer: packageName, range, version: target, updated: true });
+      }
+    }
+
+    return conflicts;
+  },
+
+  /**
+   * Describe a peer dependency conflict for reports
+   * @param {Object} conflict - Conflict from findConflicts
+   * @returns {string} Description (e.g. "eslint-plugin-x@5.0.0 requires eslint@^9 but eslint 8.57.0 is installed")
+   */
+  describeConflict(conflict) {
+    return `${conflict.dependent} requires ${conflict.peer}@${conflict.range} but ${conflict.peer} ${conflict.version} ${conflict.updated ? 'would be installed' : 'is installed'}`;
+  }
+};
+
+module.exports = peerDependencies;
@@ -0,0 +1,349 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const semver = require('semver');
+const { minimatch } = require('minimatch');
+const config = require('./config');
+
+const POLICY_FILE_NAMES = ['.package-automator.json', '.package-automator.yaml', '.package-automator.yml'];
+const UPDATE_TYPES = ['prerelease', 'patch', 'minor', 'major'];
+const DEPENDENCY_TYPES = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+const RANGE_LIST_SCHEMA = {
+  anyOf: [
+    { type: 'string', format: 'range' },
+    { type: 'array', items: { type: 'string', format: 'range' } }
+  ]
+};
+
+// Settings that can appear at the top level, per dependency type and per package glob
+const RULE_PROPERTIES = {
+  ignore: { type: 'boolean' },
+  pin: { type: 'string', format: 'range' },
+  allowedUpdateTypes: { type: 'array', items: { enum: UPDATE_TYPES } },
+  securityUpdateTypes: { type: 'array', items: { enum: UPDATE_TYPES } },
+  distTag: { type: 'string' },
+  minimumReleaseAge: { type: 'number', minimum: 0 },
+  allow: RANGE_LIST_SCHEMA,
+  deny: RANGE_LIST_SCHEMA
+};
+
+const RULE_SCHEMA = {
+  type: 'object',
+  properties: RULE_PROPERTIES
+};
+
+const POLICY_SCHEMA = {
+  type: 'object',
+  properties: {
+    $schema: { type: 'string' },
+    allowedUpdateTypes: RULE_PROPERTIES.allowedUpdateTypes,
+    securityUpdateTypes: RULE_PROPERTIES.securityUpdateTypes,
+    minimumReleaseAge: RULE_PROPERTIES.minimumReleaseAge,
+    allow: RULE_PROPERTIES.allow,
+    deny: RULE_PROPERTIES.deny,
+    ignore: { type: 'array', items: { type: 'string' } },
+    pin: { type: 'object', additionalProperties: { type: 'string', format: 'range' } },
+    dependencyTypes: {
+      type: 'object',
+      properties: Object.fromEntries(DEPENDENCY_TYPES.map(type => [type, RULE_SCHEMA]))
+    },
+    packages: { type: 'object', additionalProperties: RULE_SCHEMA },
+    verify: {
+      type: 'object',
+      properties: {
+        npm: { type: 'array', items: { type: 'string' } },
+        go: { type: 'array', items: { type: 'string' } },
+        timeout: { type: 'number' }
+      }
+    }
+  }
+};
+
+const DEFAULT_POLICY = {
+  allowedUpdateTypes: ['patch'],
+  // Updates that fix a known vulnerability may go further than allowedUpdateTypes
+  securityUpdateTypes: ['patch', 'minor']
+};
+
+/**
+ * Update policy module
+ */
+const policy = {
+  UPDATE_TYPES,
+
+  /**
+   * Load the global policy file and the repository's override file
+   * @param {string} repoPath - Repository path
+   * @returns {Promise<Object>} Policy with layers ordered from lowest to highest precedence
+   */
+  async loadPolicy(repoPath) {
+    const layers = [{ source: 'default', policy: DEFAULT_POLICY }];
+    const loadedPaths = new Set();
+
+    const globalPolicyPath = config.policyPath || await this.findPolicyFile(process.cwd());
+    const repoPolicyPath = repoPath ? await this.findPolicyFile(repoPath) : null;
+
+    for (const policyPath of [globalPolicyPath, repoPolicyPath]) {
+      if (!policyPath || loadedPaths.has(path.resolve(policyPath))) {
+        continue;
+      }
+      loadedPaths.add(path.resolve(policyPath));
+      layers.push({ source: policyPath, policy: await this.readPolicyFile(policyPath) });
+    }
+
+    return { layers };
+  },
+
+  /**
+   * Find a policy file in a directory
+   * @param {string} dir - Directory to look in
+   * @returns {Promise<string|null>} Path to the policy file
+   */
+  async findPolicyFile(dir) {
+    for (const fileName of POLICY_FILE_NAMES) {
+      const policyPath = path.join(dir, fileName);
+      if (await fs.pathExists(policyPath)) {
+        return policyPath;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Read, parse and validate a policy file (JSON or YAML)
+   * @param {string} policyPath - Path to policy file
+   * @returns {Promise<Object>} Parsed policy
+   */
+  async readPolicyFile(policyPath) {
+    let parsed;
+    try {
+      const content = await fs.readFile(policyPath, 'utf8');
+      parsed = /\.ya?ml$/.test(policyPath) ? yaml.load(content) : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Failed to read policy file at ${policyPath}: ${error.message}`);
+    }
+
+    const errors = this.validate(parsed === undefined ? {} : parsed);
+    if (errors.length > 0) {
+      throw new Error(`Invalid policy file at ${policyPath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    return parsed || {};
+  },
+
+  /**
+   * Validate a parsed policy against the policy schema
+   * @param {Object} value - Parsed policy
+   * @returns {Array<string>} Validation error messages
+   */
+  validate(value) {
+    const errors = [];
+    this.validateValue(POLICY_SCHEMA, value, '', errors);
+    return errors;
+  },
+
+  /**
+   * Validate a value against a schema node, collecting error messages
+   * @param {Object} schema - Schema node
+   * @param {*} value - Value to validate
+   * @param {string} location - Location of the value, for messages
+   * @param {Array<string>} errors - Collected error messages
+   */
+  validateValue(schema, value, location, errors) {
+    const name = location || 'policy';
+
+    if (schema.anyOf) {
+      const matches = schema.anyOf.some(option => {
+        const optionErrors = [];
+        this.validateValue(option, value, location, optionErrors);
+        return optionErrors.length === 0;
+      });
+      if (!matches) {
+        errors.push(`${name}: must be a version range or a list of version ranges`);
+      }
+      return;
+    }
+
+    if (schema.enum) {
+      if (!schema.enum.includes(value)) {
+        errors.push(`${name}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+      }
+      return;
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (actualType !== schema.type) {
+      errors.push(`${name}: must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type} (got ${actualType})`);
+      return;
+    }
+
+    if (schema.minimum !== undefined && !(value >= schema.minimum)) {
+      errors.push(`${name}: must be at least ${schema.minimum} (got ${value})`);
+    }
+
+    if (schema.format === 'range' && !semver.validRange(value)) {
+      errors.push(`${name}: "${value}" is not a valid semver version or range`);
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      value.forEach((item, index) => this.validateValue(schema.items, item, `${name}[${index}]`, errors));
+    }
+
+    if (schema.type === 'object') {
+      for (const key of Object.keys(value)) {
+        if (schema.properties && schema.properties[key]) {
+          this.validateValue(schema.properties[key], value[key], location ? `${location}.${key}` : key, errors);
+        } else if (schema.additionalProperties) {
+          this.validateValue(schema.additionalProperties, value[key], `${location}["${key}"]`, errors);
+        } else {
+          const allowed = Object.keys(schema.properties || {}).join(', ');
+          errors.push(`${location ? `${location}.${key}` : key}: unknown setting (allowed: ${allowed})`);
+        }
+      }
+    }
+  },
+
+  /**
+   * Resolve the effective settings for a package.
+   * Later layers override earlier ones; within a layer, top-level settings are
+   * overridden by dependency type settings, which are overridden by package globs.
+   * @param {Object} loadedPolicy - Policy from loadPolicy
+   * @param {string} packageName - Package name
+   * @param {string} dependencyType - dependencies, devDependencies or optionalDependencies
+   * @returns {Object} Effective settings with the rule that decided each one
+   */
+  resolve(loadedPolicy, packageName, dependencyType) {
+    const resolved = {
+      ignore: false,
+      pin: null,
+      allowedUpdateTypes: [],
+      securityUpdateTypes: [],
+      distTag: 'latest',
+      minimumReleaseAge: 0,
+      allow: null,
+      deny: null,
+      rules: {}
+    };
+
+    const apply = (rule, ruleName, source, nested = false) => {
+      for (const key of Object.keys(RULE_PROPERTIES)) {
+        if (rule[key] !== undefined) {
+          const name = nested ? `${ruleName}.${key}` : ruleName;
+          resolved[key] = rule[key];
+          resolved.rules[key] = source === 'default' ? `default ${name}` : `${name} (${source})`;
+        }
+      }
+    };
+
+    const layers = loadedPolicy ? loadedPolicy.layers : [{ source: 'default', policy: DEFAULT_POLICY }];
+
+    for (const { source, policy: layer } of layers) {
+      for (const key of ['allowedUpdateTypes', 'securityUpdateTypes', 'minimumReleaseAge', 'allow', 'deny']) {
+        if (layer[key] !== undefined) {
+          apply({ [key]: layer[key] }, key, source);
+        }
+      }
+
+      for (const pattern of layer.ignore || []) {
+        if (minimatch(packageName, pattern)) {
+          apply({ ignore: true }, `ignore["${pattern}"]`, source);
+        }
+      }
+
+      for (const pattern in layer.pin || {}) {
+        if (minimatch(packageName, pattern)) {
+          apply({ pin: layer.pin[pattern] }, `pin["${pattern}"]`, source);
+        }
+      }
+
+      if (dependencyType && layer.dependencyTypes && layer.dependencyTypes[dependencyType]) {
+        apply(layer.dependencyTypes[dependencyType], `dependencyTypes.${dependencyType}`, source, true);
+      }
+
+      for (const pattern in layer.packages || {}) {
+        if (minimatch(packageName, pattern)) {
+          apply(layer.packages[pattern], `packages["${pattern}"]`, source, true);
+        }
+      }
+    }
+
+    return resolved;
+  },
+
+  /**
+   * Get the verification commands for a repository type; the most specific layer wins
+   * @param {Object} loadedPolicy - Policy from loadPolicy
+   * @param {string} repositoryType - npm or go
+   * @returns {Object} Verification settings ({ commands, timeout } with timeout in seconds)
+   */
+  getVerification(loadedPolicy, repositoryType) {
+    const verification = { commands: [], timeout: 600 };
+
+    for (const { policy: layer } of (loadedPolicy ? loadedPolicy.layers : [])) {
+      if (!layer.verify) {
+        continue;
+      }
+      if (layer.verify[repositoryType]) {
+        verification.commands = layer.verify[repositoryType];
+      }
+      if (layer.verify.timeout !== undefined) {
+        verification.timeout = layer.verify.timeout;
+      }
+    }
+
+    return verification;
+  },
+
+  /**
+   * Check whether a version is permitted by the allow and deny ranges
+   * @param {Object} resolved - Settings from resolve
+   * @param {string} version - Candidate version
+   * @returns {boolean} True if the version is permitted
+   */
+  isVersionAllowed(resolved, version) {
+    return this.getRejectingRule(resolved, version) === null;
+  },
+
+  /**
+   * Get the rule that rejects a version, if any
+   * @param {Object} resolved - Settings from resolve
+   * @param {string} version - Candidate version
+   * @returns {string|null} Name of the allow or deny rule rejecting the version
+   */
+  getRejectingRule(resolved, version) {
+    if (!semver.valid(version)) {
+      return null;
+    }
+
+    const allow = [].concat(resolved.allow || []);
+    const deny = [].concat(resolved.deny || []);
+
+    if (allow.length > 0 && !allow.some(range => semver.satisfies(version, range))) {
+      return resolved.rules.allow;
+    }
+
+    if (deny.some(range => semver.satisfies(version, range))) {
+      return resolved.rules.deny;
+    }
+
+    return null;
+  },
+
+  /**
+   * Get the newest version permitted by the allow and deny ranges
+   * @param {Object} resolved - Settings from resolve
+   * @param {Array} versions - Published versions
+   * @returns {string|null} Newest permitted stable version
+   */
+  getNewestAllowedVersion(resolved, versions) {
+    const allowed = (versions || [])
+      .filter(version => semver.valid(version) && !semver.prerelease(version))
+      .filter(version => this.isVersionAllowed(resolved, version));
+
+    return allowed.length > 0 ? semver.rsort(allowed)[0] : null;
+  }
+};
+
+module.exports = policy;
@@ -0,0 +1,229 @@
+const axios = require('axios');
+const config = require('./config');
+const documentGenerator = require('./document');
+const logger = require('./logger');
+
+/**
+ * Pull request (GitHub) and merge request (GitLab) module
+ */
+const pullRequest = {
+  /**
+   * Parse a git remote URL into its host and repository path
+   * @param {string} remoteUrl - Remote URL (https, ssh or scp-like)
+   * @returns {Object|null} Remote information ({ host, path }), or null if the URL is not recognized
+   */
+  parseRemoteUrl(remoteUrl) {
+    const url = (remoteUrl || '').trim();
+
+    // scp-like syntax: git@github.com:owner/repo.git
+    const scpMatch = url.match(/^(?:[^@/]+@)?([^:/]+):(?!\/)(.+?)(?:\.git)?\/?$/);
+    if (scpMatch) {
+      return { host: scpMatch[1], path: scpMatch[2] };
+    }
+
+    try {
+      const parsed = new URL(url);
+      const repoPath = parsed.pathname.replace(/^\/+/, '').replace(/\.git\/?$/, '').replace(/\/+$/, '');
+      return parsed.hostname && repoPath ? { host: parsed.hostname, path: repoPath } : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Work out which provider and repository to open the request against
+   * @param {string} remoteUrl - Remote URL of the repository
+   * @returns {Object} Target ({ provider, repository })
+   */
+  getTarget(remoteUrl) {
+    const remote = this.parseRemoteUrl(remoteUrl);
+    const repository = config.prRepository || (remote && remote.path);
+    if (!repository) {
+      throw new Error(`Cannot determine the hosted repository from remote "${remoteUrl}"; set PR_REPOSITORY`);
+    }
+
+    let provider = config.prProvider;
+    if (!provider) {
+      provider = remote && remote.host.includes('gitlab') ? 'gitlab' : 'github';
+    }
+    if (!['github', 'gitlab'].includes(provider)) {
+      throw new Error(`Unknown pull request provider "${provider}" (expected github or gitlab)`);
+    }
+
+    return { provider, repository };
+  },
+
+  /**
+   * Build the title of the request from the commits on the update branch
+   * @param {Object} repoReport - Repository report
+   * @returns {string} Title
+   */
+  getTitle(repoReport) {
+    const commits = repoReport.git.commits;
+    if (commits.length === 1) {
+      return commits[0].message.split('\n')[0];
+    }
+
+    const packageCount = new Set(commits.flatMap(commit => commit.packages)).size;
+    return `chore(deps): update ${packageCount} dependencies`;
+  },
+
+  /**
+   * Open a pull/merge request for a repository's update branch, or update the
+   * one already open for that branch
+   * @param {Object} repoReport - Repository report (with git results)
+   * @param {string} remoteUrl - Remote URL of the repository
+   * @returns {Promise<Object>} Request details ({ provider, number, url, created, draft })
+   */
+  async openPullRequest(repoReport, remoteUrl) {
+    try {
+      const { provider, repository } = this.getTarget(remoteUrl);
+      const request = {
+        title: this.getTitle(repoReport),
+        body: documentGenerator.generatePullRequestBody(repoReport),
+        head: repoReport.git.branch,
+        base: config.prBaseBranch || repoReport.git.baseBranch,
+        labels: config.prLabels,
+        reviewers: config.prReviewers,
+        draft: config.prDraft
+      };
+
+      return provider === 'gitlab'
+        ? await this.openGitLabMergeRequest(repository, request)
+        : await this.openGitHubPullRequest(repository, request);
+    } catch (error) {
+      const detail = error.response && error.response.data && error.response.data.message;
+      throw new Error(`Failed to open pull request: ${detail ? `${error.message} (${JSON.stringify(detail)})` : error.message}`);
+    }
+  },
+
+  /**
+   * Open or update a GitHub pull request
+   * @param {string} repository - Repository as owner/name
+   * @param {Object} request - Request details ({ title, body, head, base, labels, reviewers, draft })
+   * @returns {Promise<Object>} Request details
+   */
+  async openGitHubPullRequest(repository, request) {
+    const client = axios.create({
+      baseURL: config.githubApiUrl.replace(/\/+$/, ''),
+      timeout: config.httpTimeout * 1000,
+      headers: {
+        Accept: 'application/vnd.github+json',
+        ...(config.githubToken ? { Authorization: `Bearer ${config.githubToken}` } : {})
+      }
+    });
+    const owner = repository.split('/')[0];
+
+    // Look up by head branch only, so a changed base branch retargets the open pull request
+    const { data: existing } = await client.get(`/repos/${repository}/pulls`, {
+      params: { head: `${owner}:${request.head}`, state: 'open' }
+    });
+
+    let pull;
+    let created = false;
+    if (existing.length > 0) {
+      logger.log(`Updating pull request #${existing[0].number} in ${repository}...`);
+      ({ data: pull } = await client.patch(`/repos/${repository}/pulls/${existing[0].number}`, {
+        title: request.title,
+        body: request.body,
+        ...(existing[0].base.ref !== request.base ? { base: request.base } : {})
+      }));
+    } else {
+      logger.log(`Opening pull request in ${repository}...`);
+      ({ data: pull } = await client.post(`/repos/${repository}/pulls`, {
+        title: request.title,
+        body: request.body,
+        head: request.head,
+        base: request.base,
+        draft: request.draft
+      }));
+      created = true;
+    }
+
+    if (request.labels.length > 0) {
+      await client.post(`/repos/${repository}/issues/${pull.number}/labels`, { labels: request.labels });
+    }
+
+    if (request.reviewers.length > 0) {
+      await client.post(`/repos/${repository}/pulls/${pull.number}/requested_reviewers`, {
+        reviewers: request.reviewers
+      });
+    }
+
+    return {
+      provider: 'github',
+      number: pull.number,
+      url: pull.html_url,
+      created,
+      draft: Boolean(pull.draft)
+    };
+  },
+
+  /**
+   * Open or update a GitLab merge request
+   * @param {string} repository - Project path (group/name)
+   * @param {Object} request - Request details ({ title, body, head, base, labels, reviewers, draft })
+   * @returns {Promise<Object>} Request details
+   */
+  async openGitLabMergeRequest(repository, request) {
+    const client = axios.create({
+      baseURL: config.gitlabApiUrl.replace(/\/+$/, ''),
+      timeout: config.httpTimeout * 1000,
+      headers: config.gitlabToken ? { 'PRIVATE-TOKEN': config.gitlabToken } : {}
+    });
+    const projectPath = `/projects/${encodeURIComponent(repository)}`;
+
+    // GitLab assigns reviewers by user id
+    const reviewerIds = [];
+    for (const username of request.reviewers) {
+      const { data: users } = await client.get('/users', { params: { username } });
+      if (users.length === 0) {
+        logger.warn(`GitLab user ${username} not found; not requesting a review`);
+        continue;
+      }
+      reviewerIds.push(users[0].id);
+    }
+
+    // Look up by source branch only, so a changed target branch retargets the open merge request
+    const { data: existing } = await client.get(`${projectPath}/merge_requests`, {
+      params: { source_branch: request.head, state: 'opened' }
+    });
+
+    const fields = {
+      title: request.draft ? `Draft: ${request.title}` : request.title,
+      description: request.body,
+      ...(request.labels.length > 0 ? { labels: request.labels.join(',') } : {}),
+      ...(reviewerIds.length > 0 ? { reviewer_ids: reviewerIds } : {})
+    };
+
+    let mergeRequest;
+    let created = false;
+    if (existing.length > 0) {
+      logger.log(`Updating merge request !${existing[0].iid} in ${repository}...`);
+      // Keep the existing draft state rather than flipping it on every run
+      fields.title = existing[0].draft ? `Draft: ${request.title}` : request.title;
+      if (existing[0].target_branch !== request.base) {
+        fields.target_branch = request.base;
+      }
+      ({ data: mergeRequest } = await client.put(`${projectPath}/merge_requests/${existing[0].iid}`, fields));
+    } else {
+      logger.log(`Opening merge request in ${repository}...`);
+      ({ data: mergeRequest } = await client.post(`${projectPath}/merge_requests`, {
+        ...fields,
+        source_branch: request.head,
+        target_branch: request.base
+      }));
+      created = true;
+    }
+
+    return {
+      provider: 'gitlab',
+      number: mergeRequest.iid,
+      url: mergeRequest.web_url,
+      created,
+      draft: Boolean(mergeRequest.draft)
+    };
+  }
+};
+
+module.exports = pullRequest;
@@ -0,0 +1,224 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const axios = require('axios');
+const config = require('./config');
+const cache = require('./cache');
+const logger = require('./logger');
+
+/**
+ * npm registry client module
+ */
+const registry = {
+  /**
+   * Load registry settings for a repository from the user and project .npmrc files.
+   * Project settings take precedence over user settings.
+   * @param {string} repoPath - Repository path
+   * @returns {Promise<Object>} Registry configuration
+   */
+  async loadConfig(repoPath) {
+    const userNpmrcPath = config.userNpmrcPath || path.join(os.homedir(), '.npmrc');
+    const projectNpmrcPath = repoPath ? path.join(repoPath, '.npmrc') : null;
+
+    const settings = {
+      ...(await this.readNpmrc(userNpmrcPath)),
+      ...(projectNpmrcPath ? await this.readNpmrc(projectNpmrcPath) : {})
+    };
+
+    // An explicitly configured registry (e.g. a local stand-in) wins over .npmrc
+    const defaultRegistry = config.registry || settings.registry || 'https://registry.npmjs.org/';
+
+    return {
+      registry: this.normalizeRegistryUrl(defaultRegistry),
+      settings
+    };
+  },
+
+  /**
+   * Read and parse an .npmrc file
+   * @param {string} npmrcPath - Path to .npmrc file
+   * @returns {Promise<Object>} Parsed key/value settings (empty if the file is missing)
+   */
+  async readNpmrc(npmrcPath) {
+    if (!npmrcPath || !(await fs.pathExists(npmrcPath))) {
+      return {};
+    }
+
+    try {
+      const content = await fs.readFile(npmrcPath, 'utf8');
+      return this.parseNpmrc(content);
+    } catch (error) {
+      logger.warn(`Warning: Failed to read .npmrc at ${npmrcPath}: ${error.message}`);
+      return {};
+    }
+  },
+
+  /**
+   * Parse .npmrc content (ini format with ${ENV} substitution)
+   * @param {string} content - .npmrc content
+   * @returns {Object} Parsed key/value settings
+   */
+  parseNpmrc(content) {
+    const settings = {};
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#') || line.startsWith(';')) {
+        continue;
+      }
+
+      const separatorIndex = line.indexOf('=');
+      if (separatorIndex === -1) {
+        continue;
+      }
+
+      const key = line.slice(0, separatorIndex).trim();
+      let value = line.slice(separatorIndex + 1).trim();
+
+      // Strip surrounding quotes
+      if (/^(["']).*\1$/.test(value)) {
+        value = value.slice(1, -1);
+      }
+
+      // Substitute environment variables
+      value = value.replace(/\$\{([^}]+)\}/g, (match, name) => process.env[name] || '');
+
+      settings[key] = value;
+    }
+
+    return settings;
+  },
+
+  /**
+   * Ensure a registry URL ends with a single trailing slash
+   * @param {string} registryUrl - Registry URL
+   * @returns {string} Normalized registry URL
+   */
+  normalizeRegistryUrl(registryUrl) {
+    return registryUrl.replace(/\/+$/, '') + '/';
+  },
+
+  /**
+   * Get the registry URL that serves a package, honoring @scope:registry settings
+   * @param {string} packageName - Package name
+   * @param {Object} registryConfig - Configuration from loadConfig
+   * @returns {string} Registry URL
+   */
+  getRegistryUrl(packageName, registryConfig) {
+    if (packageName.startsWith('@')) {
+      const scope = packageName.split('/')[0];
+      const scopedRegistry = registryConfig.settings[`${scope}:registry`];
+      if (scopedRegistry) {
+        return this.normalizeRegistryUrl(scopedRegistry);
+      }
+    }
+
+    return registryConfig.registry;
+  },
+
+  /**
+   * Encode a package name for use in a registry URL (@scope/name -> @scope%2fname)
+   * @param {string} packageName - Package name
+   * @returns {string} Encoded package name
+   */
+  encodePackageName(packageName) {
+    if (packageName.startsWith('@')) {
+      const [scope, name] = packageName.split('/');
+      return `${scope}%2f${encodeURIComponent(name)}`;
+    }
+
+    return encodeURIComponent(packageName);
+  },
+
+  /**
+   * Get the authorization header for a registry, matching the most specific
+   * "//host/path/:" prefix in the .npmrc settings
+   * @param {string} registryUrl - Registry URL
+   * @param {Object} registryConfig - Configuration from loadConfig
+   * @returns {string|null} Authorization header value
+   */
+  getAuthorization(registryUrl, registryConfig) {
+    const { settings } = registryConfig;
+    const url = new URL(registryUrl);
+    const segments = url.pathname.split('/').filter(Boolean);
+
+    // Walk from the full registry path up to the host
+    for (let i = segments.length; i >= 0; i--) {
+      const pathPart = segments.slice(0, i).map(segment => `${segment}/`).join('');
+      const prefix = `//${url.host}/${pathPart}:`;
+
+      if (settings[`${prefix}_authToken`]) {
+        return `Bearer ${settings[`${prefix}_authToken`]}`;
+      }
+
+      if (settings[`${prefix}_auth`]) {
+        return `Basic ${settings[`${prefix}_auth`]}`;
+      }
+
+      if (settings[`${prefix}username`] && settings[`${prefix}_password`]) {
+        const password = Buffer.from(settings[`${prefix}_password`], 'base64').toString('utf8');
+        const credentials = Buffer.from(`${settings[`${prefix}username`]}:${password}`).toString('base64');
+        return `Basic ${credentials}`;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Fetch the full package document (packument) from the registry, going
+   * through the metadata cache and revalidating stale entries with their ETag
+   * @param {string} packageName - Package name
+   * @param {Object} registryConfig - Configuration from loadConfig
+   * @returns {Promise<Object>} Object with packument, source ('network', 'cache' or 'revalidated') and stale flag
+   */
+  async fetchPackument(packageName, registryConfig) {
+    const registryUrl = this.getRegistryUrl(packageName, registryConfig);
+    const url = `${registryUrl}${this.encodePackageName(packageName)}`;
+    const entry = config.cacheEnabled || config.offline ? await cache.get(registryUrl, packageName) : null;
+
+    // Offline mode answers from the cache only
+    if (config.offline) {
+      if (!entry) {
+        throw new Error(`No cached metadata for ${packageName} (offline mode)`);
+      }
+      return { packument: entry.data, source: 'cache', stale: !cache.isFresh(entry) };
+    }
+
+    if (entry && cache.isFresh(entry)) {
+      return { packument: entry.data, source: 'cache', stale: false };
+    }
+
+    const headers = {
+      Accept: 'application/json'
+    };
+
+    const authorization = this.getAuthorization(registryUrl, registryConfig);
+    if (authorization) {
+      headers.Authorization = authorization;
+    }
+
+    if (entry && entry.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+
+    const response = await axios.get(url, {
+      headers,
+      timeout: config.httpTimeout * 1000,
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+
+    if (response.status === 304 && entry) {
+      await cache.touch(registryUrl, packageName, entry);
+      return { packument: entry.data, source: 'revalidated', stale: false };
+    }
+
+    if (config.cacheEnabled) {
+      await cache.set(registryUrl, packageName, response.data, response.headers.etag || null);
+    }
+
+    return { packument: response.data, source: 'network', stale: false };
+  }
+};
+
+module.exports = registry;
@@ -0,0 +1,443 @@
+const zlib = require('zlib');
+const axios = require('axios');
+const semver = require('semver');
+const config = require('./config');
+const registry = require('./registry');
+const pullRequest = require('./pull-request');
+const logger = require('./logger');
+
+// Changelog files looked for at the root of a package tarball
+const CHANGELOG_PATTERN = /^[^/]+\/(changelog|changes|history|releases)(\.md|\.markdown|\.txt)?$/i;
+
+// Version at the start of a heading: "## [1.2.3](...)", "# v1.2.3 / 2024-01-01", "1.2.3 (2024-01-01)"
+const HEADING_VERSION_PATTERN = /^\W*v?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)\b/;
+
+// Release notes kept per update, newest first, and the length kept per version
+const MAX_ENTRIES = 20;
+const MAX_ENTRY_LENGTH = 5000;
+
+// Limits on reading a tarball for its changelog: the download, the unpacked archive read
+// before giving up, and the part of the changelog kept
+const MAX_TARBALL_SIZE = 25 * 1024 * 1024;
+const MAX_UNPACKED_SIZE = 100 * 1024 * 1024;
+const MAX_CHANGELOG_SIZE = 1024 * 1024;
+
+/**
+ * Release notes collection for manual updates, from the changelog in an npm package's
+ * tarball or from GitHub/GitLab releases of its repository
+ */
+const releaseNotes = {
+  /**
+   * Collect the release notes between two versions of an npm package: the tarball's
+   * changelog first, then the releases of its repository
+   * @param {string} packageName - Package name
+   * @param {string} from - Installed version
+   * @param {string} to - Version the update moves to
+   * @param {Object} packument - Package document from the registry
+   * @param {Object} registryConfig - Registry configuration from registry.loadConfig
+   * @returns {Promise<Object|null>} Release notes ({ source, url, entries, truncated }), or null if none were found
+   */
+  async collectNpm(packageName, from, to, packument, registryConfig) {
+    const manifest = (packument.versions && packument.versions[to]) || {};
+
+    const tarballUrl = manifest.dist && manifest.dist.tarball;
+    if (tarballUrl) {
+      const changelog = await this.fetchChangelog(tarballUrl, registryConfig);
+      if (changelog) {
+        const entries = this.parseChangelog(changelog.content, from, to);
+        if (entries.length > 0) {
+          return this.createNotes(changelog.fileName, null, entries);
+        }
+      }
+    }
+
+    const repository = this.parseRepository(manifest.repository || packument.repository);
+    if (!repository) {
+      return null;
+    }
+    return this.collectReleases(repository, [`${packageName}@`], from, to);
+  },
+
+  /**
+   * Collect the release notes between two versions of a Go module from the releases of
+   * its GitHub or GitLab repository
+   * @param {string} modulePath - Module path
+   * @param {string} from - Installed version (without the v prefix)
+   * @param {string} to - Version the update moves to (without the v prefix)
+   * @returns {Promise<Object|null>} Release notes, or null if none were found
+   */
+  async collectGo(modulePath, from, to) {
+    const segments = modulePath.replace(/\/v\d+$/, '').split('/');
+    const host = segments[0];
+    if (!['github.com', 'gitlab.com'].includes(host) || segments.length < 3) {
+      return null;
+    }
+
+    // Modules in a subdirectory of a GitHub repository tag their releases "subdir/vX.Y.Z"
+    const repoPath = host === 'github.com' ? segments.slice(1, 3).join('/') : segments.slice(1).join('/');
+    const subdirectory = host === 'github.com' ? segments.slice(3).join('/') : '';
+    return this.collectReleases(
+      { host, path: repoPath },
+      subdirectory ? [`${subdirectory}/`] : [],
+      from,
+      to
+    );
+  },
+
+  /**
+   * Collect the release notes between two versions from a repository's releases
+   * (github.com through GITHUB_API_URL, gitlab.com through GITLAB_API_URL)
+   * @param {Object} repository - Repository ({ host, path })
+   * @param {Array<string>} tagPrefixes - Tag prefixes naming this package's releases (besides none)
+   * @param {string} from - Installed version
+   * @param {string} to - Version the update moves to
+   * @returns {Promise<Object|null>} Release notes, or null if none were found
+   */
+  async collectReleases(repository, tagPrefixes, from, to) {
+    let releases;
+    if (repository.host === 'github.com') {
+      releases = await this.fetchGitHubReleases(repository.path);
+    } else if (repository.host === 'gitlab.com') {
+      releases = await this.fetchGitLabReleases(repository.path);
+    } else {
+      return null;
+    }
+
+    const entries = [];
+    for (const release of releases) {
+      // Tags are "v1.2.3", "1.2.3" or, in monorepos, "name@1.2.3" and "subdir/v1.2.3"
+      const match = release.tag.match(/^(.*?)v?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)$/);
+      if (!match || (match[1] && !tagPrefixes.includes(match[1]))) {
+        continue;
+      }
+      if (this.isInUpdate(match[2], from, to)) {
+        entries.push({ version: match[2], title: release.title, body: release.body, url: release.url });
+      }
+    }
+
+    if (entries.length === 0) {
+      return null;
+    }
+    const source = repository.host === 'github.com' ? 'GitHub releases' : 'GitLab releases';
+    return this.createNotes(source, `https://${repository.host}/${repository.path}/releases`, entries);
+  },
+
+  /**
+   * Fetch the releases of a GitHub repository (the most recent 100)
+   * @param {string} repoPath - Repository path (owner/name)
+   * @returns {Promise<Array>} Releases ({ tag, title, body, url })
+   */
+  async fetchGitHubReleases(repoPath) {
+    try {
+      const response = await axios.get(`${config.githubApiUrl.replace(/\/+$/, '')}/repos/${repoPath}/releases`, {
+        params: { per_page: 100 },
+        timeout: config.httpTimeout * 1000,
+        headers: {
+          Accept: 'application/vnd.github+json',
+          ...(config.githubToken ? { Authorization: `Bearer ${config.githubToken}` } : {})
+        }
+      });
+      return response.data
+        .filter(release => !release.draft)
+        .map(release => ({ tag: release.tag_name, title: release.name || '', body: release.body || '', url: release.html_url }));
+    } catch (error) {
+      throw new Error(`Failed to fetch GitHub releases of ${repoPath}: ${error.message}`);
+    }
+  },
+
+  /**
+   * Fetch the releases of a GitLab project (the most recent 100)
+   * @param {string} projectPath - Project path (group/name)
+   * @returns {Promise<Array>} Releases ({ tag, title, body, url })
+   */
+  async fetchGitLabReleases(projectPath) {
+    try {
+      const response = await axios.get(`${config.gitlabApiUrl.replace(/\/+$/, '')}/projects/${encodeURIComponent(projectPath)}/releases`, {
+        params: { per_page: 100 },
+        timeout: config.httpTimeout * 1000,
+        headers: config.gitlabToken ? { 'PRIVATE-TOKEN': config.gitlabToken } : {}
+      });
+      return response.data.map(release => ({
+        tag: release.tag_name,
+        title: release.name || '',
+        body: release.description || '',
+        url: release._links && release._links.self ? release._links.self : null
+      }));
+    } catch (error) {
+      throw new Error(`Failed to fetch GitLab releases of ${projectPath}: ${error.message}`);
+    }
+  },
+
+  /**
+   * Download a package tarball and read its changelog. The tarball is streamed and unpacked only
+   * as far as the changelog; tarballs over MAX_TARBALL_SIZE are skipped.
+   * @param {string} tarballUrl - Tarball URL (dist.tarball)
+   * @param {Object} registryConfig - Registry configuration, for the tarball's credentials
+   * @returns {Promise<Object|null>} Changelog ({ fileName, content }), or null if the package has none
+   */
+  async fetchChangelog(tarballUrl, registryConfig) {
+    let response;
+    try {
+      const authorization = registry.getAuthorization(tarballUrl, registryConfig);
+      response = await axios.get(tarballUrl, {
+        responseType: 'stream',
+        maxContentLength: MAX_TARBALL_SIZE,
+        timeout: config.httpTimeout * 1000,
+        headers: authorization ? { Authorization: authorization } : {}
+      });
+    } catch (error) {
+      throw new Error(`Failed to download ${tarballUrl}: ${error.message}`);
+    }
+
+    const tarball = response.data;
+    const skipLargeTarball = () => {
+      logger.warn(`Warning: Not reading the changelog in ${tarballUrl}: the tarball is over ${MAX_TARBALL_SIZE / 1024 / 1024} MB`);
+      return null;
+    };
+    if (parseInt(response.headers['content-length'] || '0', 10) > MAX_TARBALL_SIZE) {
+      tarball.destroy();
+      return skipLargeTarball();
+    }
+
+    // Without a Content-Length, count the bytes as they arrive
+    const archive = zlib.createGunzip();
+    let downloaded = 0;
+    tarball.on('data', chunk => {
+      downloaded += chunk.length;
+      if (downloaded > MAX_TARBALL_SIZE) {
+        archive.destroy();
+      }
+    });
+    tarball.on('error', error => archive.destroy(error));
+    tarball.pipe(archive);
+
+    let file;
+    try {
+      file = await this.findTarEntry(archive, name => CHANGELOG_PATTERN.test(name));
+    } catch (error) {
+      throw new Error(`Failed to read ${tarballUrl}: ${error.message}`);
+    } finally {
+      tarball.destroy();
+    }
+    if (!file && downloaded > MAX_TARBALL_SIZE) {
+      return skipLargeTarball();
+    }
+
+    return file ? { fileName: file.name.split('/').pop(), content: file.content.toString('utf8') } : null;
+  },
+
+  /**
+   * Find a file in a tar stream, reading only as far as the file. Reading stops at the end of the
+   * archive (or when the stream is destroyed), after the first MAX_CHANGELOG_SIZE bytes of the file,
+   * or after MAX_UNPACKED_SIZE bytes.
+   * @param {stream.Readable} archive - Uncompressed tar archive
+   * @param {Function} matches - Called with each file name; returns true for the wanted file
+   * @returns {Promise<Object|null>} File ({ name, content }), or null if no file matches
+   */
+  findTarEntry(archive, matches) {
+    return new Promise((resolve, reject) => {
+      const readString = (header, start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+      let buffered = Buffer.alloc(0);
+      let unpacked = 0;
+      let longName = null;
+      let entry = null;
+      let done = false;
+
+      const finish = (error, file) => {
+        if (!done) {
+          done = true;
+          archive.destroy();
+          if (error) {
+            reject(error);
+          } else {
+            resolve(file);
+          }
+        }
+      };
+
+      const read = () => {
+        while (!done) {
+          if (!entry) {
+            if (buffered.length < 512) {
+              return;
+            }
+            const header = buffered.subarray(0, 512);
+            buffered = buffered.subarray(512);
+            if (header[0] === 0) {
+              finish(null, null);
+              return;
+            }
+
+            const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+            const type = String.fromCharCode(header[156] || 48);
+            const prefix = readString(header, 345, 155);
+            const name = longName || (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+
+            // Long names come in a GNU "L" entry or a pax "x" header before the file itself
+            const isLongName = type === 'L' || type === 'x';
+            if (!isLongName) {
+              longName = null;
+            }
+            const wanted = isLongName || (['0', '\0'].includes(type) && matches(name));
+            entry = {
+              name,
+              type,
+              size,
+              length: Math.ceil(size / 512) * 512,
+              read: 0,
+              chunks: wanted ? [] : null,
+              kept: 0,
+              limit: isLongName ? size : Math.min(size, MAX_CHANGELOG_SIZE)
+            };
+          }
+
+          // Keep the data of wanted entries, skip the rest
+          const take = Math.min(entry.length - entry.read, buffered.length);
+          if (entry.chunks && entry.kept < entry.limit) {
+            const data = buffered.subarray(0, Math.min(take, entry.limit - entry.kept));
+            entry.chunks.push(data);
+            entry.kept += data.length;
+          }
+          entry.read += take;
+          buffered = buffered.subarray(take);
+
+          if (entry.chunks && !['L', 'x'].includes(entry.type) && entry.kept >= entry.limit) {
+            finish(null, { name: entry.name, content: Buffer.concat(entry.chunks) });
+            return;
+          }
+          if (entry.read < entry.length) {
+            return;
+          }
+
+          if (entry.type === 'L') {
+            longName = Buffer.concat(entry.chunks).toString('utf8').replace(/\0.*$/s, '');
+          } else if (entry.type === 'x') {
+            const pathRecord = Buffer.concat(entry.chunks).toString('utf8').match(/^\d+ path=(.*)$/m);
+            longName = pathRecord ? pathRecord[1] : longName;
+          }
+          entry = null;
+        }
+      };
+
+      archive.on('data', chunk => {
+        unpacked += chunk.length;
+        buffered = buffered.length > 0 ? Buffer.concat([buffered, chunk]) : chunk;
+        read();
+        if (!done && unpacked > MAX_UNPACKED_SIZE) {
+          finish(null, null);
+        }
+      });
+      archive.on('end', () => finish(null, null));
+      archive.on('close', () => finish(null, null));
+      archive.on('error', error => finish(error));
+    });
+  },
+
+  /**
+   * Cut a changelog down to the versions an update brings in. Each version's section runs
+   * from its heading (ATX "## 1.2.3" or setext "1.2.3\n=====") to the next heading of the same level.
+   * @param {string} content - Changelog content
+   * @param {string} from - Installed version
+   * @param {string} to - Version the update moves to
+   * @returns {Array} Entries ({ version, body }) for the versions after from up to to
+   */
+  parseChangelog(content, from, to) {
+    const lines = content.split(/\r?\n/);
+    const headings = [];
+    for (let i = 0; i < lines.length; i++) {
+      const atx = lines[i].match(/^(#{1,6})\s+(.*)$/);
+      const setext = !atx && lines[i].trim() && /^(=+|-+)\s*$/.test(lines[i + 1] || '');
+      const text = atx ? atx[2] : setext ? lines[i] : null;
+      if (text === null) {
+        continue;
+      }
+      const level = atx ? atx[1].length : lines[i + 1].startsWith('=') ? 1 : 2;
+      const version = text.match(HEADING_VERSION_PATTERN);
+      headings.push({ line: i, level, version: version ? version[1] : null, bodyStart: setext ? i + 2 : i + 1 });
+    }
+
+    // Versions are headings at the level of the first versioned heading
+    const versionHeading = headings.find(heading => heading.version);
+    if (!versionHeading) {
+      return [];
+    }
+
+    const entries = [];
+    headings.forEach((heading, index) => {
+      if (heading.level !== versionHeading.level || !heading.version || !this.isInUpdate(heading.version, from, to)) {
+        return;
+      }
+      const next = headings.slice(index + 1).find(candidate => candidate.level <= heading.level);
+      const end = next ? next.line : lines.length;
+      entries.push({ version: heading.version, body: lines.slice(heading.bodyStart, end).join('\n').trim() });
+    });
+
+    return entries;
+  },
+
+  /**
+   * Check whether a version is one an update brings in (after from, up to and including to)
+   * @param {string} version - Version
+   * @param {string} from - Installed version
+   * @param {string} to - Version the update moves to
+   * @returns {boolean} True if the version is in the update
+   */
+  isInUpdate(version, from, to) {
+    return Boolean(semver.valid(version) && semver.valid(from) && semver.valid(to) &&
+      semver.gt(version, from) && semver.lte(version, to));
+  },
+
+  /**
+   * Parse the repository field of package.json into a host and repository path
+   * @param {string|Object} repository - Repository field ("github:owner/name", "owner/name",
+   *   "git+https://github.com/owner/name.git" or { url })
+   * @returns {Object|null} Repository ({ host, path }), or null if it is not recognized
+   */
+  parseRepository(repository) {
+    const value = typeof repository === 'object' && repository !== null ? repository.url : repository;
+    if (typeof value !== 'string' || !value.trim()) {
+      return null;
+    }
+
+    const shorthand = value.match(/^(?:(github|gitlab|bitbucket):)?([\w.-]+\/[\w.-]+)$/);
+    if (shorthand) {
+      return { host: `${shorthand[1] || 'github'}.${shorthand[1] === 'bitbucket' ? 'org' : 'com'}`, path: shorthand[2] };
+    }
+
+    const remote = pullRequest.parseRemoteUrl(value.replace(/^git\+/, ''));
+    if (!remote) {
+      return null;
+    }
+
+    // Drop web paths such as /tree/main/packages/name
+    const repoPath = remote.host === 'github.com'
+      ? remote.path.split('/').slice(0, 2).join('/')
+      : remote.path.split('/-/')[0];
+    return { host: remote.host, path: repoPath };
+  },
+
+  /**
+   * Build the release notes result, newest version first and limited in size
+   * @param {string} source - Where the notes came from (changelog file name or "GitHub releases")
+   * @param {string|null} url - Web page with the notes
+   * @param {Array} entries - Entries ({ version, title, body, url })
+   * @returns {Object} Release notes ({ source, url, entries, truncated })
+   */
+  createNotes(source, url, entries) {
+    const sorted = entries
+      .sort((a, b) => semver.rcompare(a.version, b.version))
+      .map(entry => ({
+        ...entry,
+        body: entry.body.length > MAX_ENTRY_LENGTH ? `${entry.body.slice(0, MAX_ENTRY_LENGTH)}\n…` : entry.body
+      }));
+
+    return {
+      source,
+      url,
+      entries: sorted.slice(0, MAX_ENTRIES),
+      truncated: sorted.length > MAX_ENTRIES
+    };
+  }
+};
+
+module.exports = releaseNotes;
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const config = require('./config');
+const workspace = require('./workspace');
 
 /**
  * Report generator module
@@ -16,29 +17,156 @@ const reporter = {
   generateRepositoryReport(repository, comparisonResults, updateResults = null) {
     const autoUpdatePackages = {};
     const manualUpdatePackages = {};
+    const heldPackages = {};
     const currentPackages = {};
+    const stalePackages = [];
+    const vulnerablePackages = {};
+    const unmaintainedPackages = {};
     
     // Categorize packages
     for (const packageName in comparisonResults) {
       const result = comparisonResults[packageName];
       
+      if (result.stale) {
+        stalePackages.push(packageName);
+      }
+      
+      // Newer major versions of Go modules live at a different module path,
+      // so they are always a manual change
+      if (result.newerMajor) {
+        manualUpdatePackages[result.newerMajor.path] = {
+          from: result.installed,
+          wanted: null,
+          to: result.newerMajor.version,
+          updateType: 'major',
+          inRange: false,
+          rule: null
+        };
+      }
+      
       if (result.updateType === 'current') {
         currentPackages[packageName] = {
           version: result.installed
         };
+        if (result.rule) {
+          currentPackages[packageName].rule = result.rule;
+        }
+      } else if (result.held) {
+        heldPackages[packageName] = {
+          from: result.installed,
+          to: result.target || result.latest,
+          updateType: result.updateType,
+          reason: result.heldReason,
+          rule: result.rule || null
+        };
+        if (result.peerConflicts) {
+          heldPackages[packageName].peerConflicts = result.peerConflicts;
+        }
       } else if (result.canAutoUpdate) {
         autoUpdatePackages[packageName] = {
           from: result.installed,
-          to: result.latest,
-          updateType: result.updateType
+          wanted: result.wanted || null,
+          to: result.target || result.latest,
+          updateType: result.updateType,
+          inRange: result.inRange !== undefined ? result.inRange : null,
+          rule: result.rule || null
         };
-      } else if (result.updateType === 'minor' || result.updateType === 'major') {
+      } else if (['prerelease', 'patch', 'minor', 'major'].includes(result.updateType)) {
         manualUpdatePackages[packageName] = {
           from: result.installed,
-          to: result.latest,
-          updateType: result.updateType
+          wanted: result.wanted || null,
+          to: result.target || result.latest,
+          updateType: result.updateType,
+          inRange: result.inRange !== undefined ? result.inRange : null,
+          rule: result.rule || null
         };
       }
+      
+      // The rest of an update left over after an in-range update is listed as a manual update too
+      if (result.manualUpdate) {
+        manualUpdatePackages[packageName] = {
+          from: result.installed,
+          wanted: result.wanted || null,
+          to: result.manualUpdate.target,
+          updateType: result.manualUpdate.updateType,
+          inRange: result.manualUpdate.inRange,
+          rule: result.manualUpdate.rule || null
+        };
+      }
+      
+      // Note the newest release when the update stops short of it (policy, Go patch releases);
+      // the notes below describe the manual update when there is one
+      const entry = result.manualUpdate
+        ? manualUpdatePackages[packageName]
+        : autoUpdatePackages[packageName] || manualUpdatePackages[packageName];
+      if (entry && result.latest && entry.to !== result.latest) {
+        entry.latest = result.latest;
+      }
+      
+      // Note prerelease targets (never applied to stable dependencies)
+      if (entry && result.prerelease) {
+        entry.prerelease = true;
+      }
+      
+      // Note followed dist-tags and versions skipped for the repository's Node version or
+      // for being too recent
+      const reportedEntry = entry || currentPackages[packageName] || heldPackages[packageName];
+      if (reportedEntry && result.distTag && result.distTag !== 'latest') {
+        reportedEntry.distTag = result.distTag;
+      }
+      if (reportedEntry && result.engineSkipped) {
+        reportedEntry.engineSkipped = result.engineSkipped;
+      }
+      if (reportedEntry && result.releaseAgeSkipped) {
+        reportedEntry.releaseAgeSkipped = result.releaseAgeSkipped;
+      }
+      
+      // Record known vulnerabilities and whether the update fixes them
+      if (result.vulnerabilities) {
+        vulnerablePackages[packageName] = {
+          installed: result.installed,
+          severity: result.severity,
+          fixedIn: result.fixedIn,
+          vulnerabilities: result.vulnerabilities
+        };
+      }
+      if (result.securityFix && autoUpdatePackages[packageName]) {
+        autoUpdatePackages[packageName].securityFix = true;
+      }
+      
+      // Record deprecated packages and packages with no recent publish
+      if (result.deprecated || result.latestDeprecated || result.abandoned) {
+        unmaintainedPackages[packageName] = {
+          installed: result.installed,
+          latest: result.latest,
+          deprecated: result.deprecated || null,
+          latestDeprecated: result.latestDeprecated || null,
+          lastPublished: result.lastPublished || null,
+          abandoned: Boolean(result.abandoned)
+        };
+      }
+    }
+    
+    // Updates reverted by verification are held back with the failing command
+    const verification = updateResults ? updateResults.verification : null;
+    if (verification) {
+      for (const packageName of Object.keys(autoUpdatePackages)) {
+        const reverted = verification.revertedPackages[packageName];
+        if (!reverted && !verification.baselineFailed) {
+          continue;
+        }
+        const pkg = autoUpdatePackages[packageName];
+        heldPackages[packageName] = {
+          from: pkg.from,
+          to: pkg.to,
+          updateType: pkg.updateType,
+          reason: reverted
+            ? `reverted: \`${reverted.command}\` failed`
+            : `reverted: \`${verification.failedCommand}\` fails even without updates`,
+          rule: null
+        };
+        delete autoUpdatePackages[packageName];
+      }
     }
     
     // Create repository report
@@ -50,23 +178,59 @@ const reporter = {
       autoUpdateCount: Object.keys(autoUpdatePackages).length,
       manualUpdateCount: Object.keys(manualUpdatePackages).length,
       currentCount: Object.keys(currentPackages).length,
+      heldCount: Object.keys(heldPackages).length,
+      staleCount: stalePackages.length,
+      vulnerableCount: Object.keys(vulnerablePackages).length,
+      unmaintainedCount: Object.keys(unmaintainedPackages).length,
       autoUpdated: updateResults ? updateResults.updated : false,
       autoUpdatePackages,
       manualUpdatePackages,
-      currentPackages
+      heldPackages,
+      currentPackages,
+      stalePackages,
+      vulnerablePackages,
+      unmaintainedPackages
     };
     
+    if (repository.packageManager) {
+      repoReport.packageManager = repository.packageManager.name;
+    }
+    
+    if (verification) {
+      repoReport.verification = verification;
+    }
+    
+    // Add each workspace package's own dependencies
+    if (repository.workspace) {
+      repoReport.workspace = this.getWorkspaceReport(repository, comparisonResults, repoReport);
+    }
+    
+    // Add the update branch and commits
+    if (updateResults && updateResults.git) {
+      repoReport.git = updateResults.git;
+    }
+    
+    // Add the planned changes of a dry run
+    if (updateResults && updateResults.dryRun) {
+      repoReport.dryRun = true;
+      repoReport.wouldUpdate = updateResults.updatedDependencies;
+      repoReport.diff = updateResults.diff || '';
+    }
+    
     // Add update results if available
     if (updateResults && updateResults.updated) {
       if (repository.type === 'npm') {
         repoReport.updateResults = {
           packageLockUpdated: updateResults.packageLockUpdated,
-          updatedDependencies: updateResults.updatedDependencies
+          updatedDependencies: updateResults.updatedDependencies,
+          skippedDependencies: updateResults.skippedDependencies || {}
         };
       } else if (repository.type === 'go') {
         repoReport.updateResults = {
           goModUpdated: updateResults.goModUpdated,
-          goModTidied: updateResults.goModTidied
+          goModTidied: updateResults.goModTidied,
+          goModDownloaded: updateResults.goModDownloaded,
+          updatedDependencies: updateResults.updatedDependencies
         };
       }
     }
@@ -74,6 +238,46 @@ const reporter = {
     return repoReport;
   },
   
+  /**
+   * Break a workspace's results down by the root and member packages that declare each dependency
+   * @param {Object} repository - Repository object with workspace information
+   * @param {Object} comparisonResults - Version comparison results (with declarations)
+   * @param {Object} repoReport - Repository report with categorized packages
+   * @returns {Object} Workspace report ({ source, members: [{ name, path, dependencies }] })
+   */
+  getWorkspaceReport(repository, comparisonResults, repoReport) {
+    const categories = {
+      autoUpdate: repoReport.autoUpdatePackages,
+      manualUpdate: repoReport.manualUpdatePackages,
+      held: repoReport.heldPackages,
+      current: repoReport.currentPackages
+    };
+    
+    const members = workspace.getManifests(repository).map(manifest => ({
+      name: manifest.name,
+      path: manifest.member,
+      dependencies: {}
+    }));
+    
+    for (const packageName in comparisonResults) {
+      const status = Object.keys(categories).find(category => categories[category][packageName]) || 'unknown';
+      for (const declaration of comparisonResults[packageName].declarations || []) {
+        const member = members.find(candidate => candidate.path === declaration.member);
+        member.dependencies[packageName] = {
+          range: declaration.range,
+          installed: declaration.installed,
+          dependencyType: declaration.dependencyType,
+          status
+        };
+      }
+    }
+    
+    return {
+      source: repository.workspace.source,
+      members
+    };
+  },
+  
   /**
    * Generate a consolidated report for all repositories
    * @param {Array} repositoryReports - Array of repository reports
@@ -85,23 +289,38 @@ const reporter = {
     let totalAutoUpdated = 0;
     let totalManualUpdateNeeded = 0;
     let totalCurrent = 0;
+    let totalHeld = 0;
+    let totalStale = 0;
+    let totalVulnerable = 0;
+    let totalUnmaintained = 0;
     
     repositoryReports.forEach(report => {
       totalPackages += report.packageCount;
       totalAutoUpdated += report.autoUpdateCount;
       totalManualUpdateNeeded += report.manualUpdateCount;
       totalCurrent += report.currentCount;
+      totalHeld += report.heldCount || 0;
+      totalStale += report.staleCount || 0;
+      totalVulnerable += report.vulnerableCount || 0;
+      totalUnmaintained += report.unmaintainedCount || 0;
     });
     
     // Create consolidated report
     const report = {
       timestamp: new Date().toISOString(),
+      offline: config.offline,
+      vulnerabilityScan: config.vulnerabilityScan,
+      dryRun: config.dryRun,
       summary: {
         repositoryCount: repositoryReports.length,
         totalPackages,
         totalAutoUpdated,
         totalManualUpdateNeeded,
-        totalCurrent
+        totalCurrent,
+        totalHeld,
+        totalStale,
+        totalVulnerable,
+        totalUnmaintained
       },
       repositories: repositoryReports
     };
@@ -109,6 +328,26 @@ const reporter = {
     return report;
   },
   
+  /**
+   * Write the planned changes of a dry run as a unified diff file
+   * @param {Object} repoReport - Repository report
+   * @returns {Promise<string|null>} Path to the diff file (null if there is nothing to write)
+   */
+  async writeDiff(repoReport) {
+    if (!config.diffDir || !repoReport.diff) {
+      return null;
+    }
+    
+    try {
+      const diffPath = path.join(config.diffDir, `${repoReport.name}.diff`);
+      await fs.ensureDir(config.diffDir);
+      await fs.writeFile(diffPath, repoReport.diff);
+      return diffPath;
+    } catch (error) {
+      throw new Error(`Failed to write diff: ${error.message}`);
+    }
+  },
+  
   /**
    * Write report to file
    * @param {Object} report - Consolidated report
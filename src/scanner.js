@@ -1,7 +1,10 @@
 const fs = require('fs-extra');
 const path = require('path');
-const glob = require('glob');
+const { glob } = require('glob');
 const config = require('./config');
+const workspace = require('./workspace');
+const packageManager = require('./package-manager');
+const logger = require('./logger');
 
 /**
  * Repository scanner module
@@ -17,19 +20,21 @@ const scanner = {
     // If specific repo paths are provided
     if (config.repoPaths && config.repoPaths.length > 0) {
       for (const repoPath of config.repoPaths) {
-        const normalizedPath = path.normalize(repoPath);
+        let normalizedPath = path.normalize(repoPath);
         const packageJsonPath = path.normalize(path.join(normalizedPath, 'package.json'));
-        const packageLockPath = path.normalize(path.join(normalizedPath, 'package-lock.json'));
         const goModPath = path.normalize(path.join(normalizedPath, 'go.mod'));
         
         // Check for package.json
         if (await fs.pathExists(packageJsonPath)) {
-          repositories.push({
-            path: normalizedPath,
-            type: 'npm',
-            packageJsonPath,
-            packageLockPath: await fs.pathExists(packageLockPath) ? packageLockPath : null
-          });
+          // Workspace members are processed with their root, which owns the lockfile
+          const rootPath = await workspace.findRoot(normalizedPath);
+          if (rootPath) {
+            logger.log(`${normalizedPath} is a member of the workspace at ${rootPath}; processing the workspace`);
+            normalizedPath = path.normalize(rootPath);
+          }
+          if (!repositories.some(repo => repo.path === normalizedPath)) {
+            repositories.push(await this.createNpmRepository(normalizedPath));
+          }
         }
         // Check for go.mod
         else if (await fs.pathExists(goModPath)) {
@@ -45,19 +50,22 @@ const scanner = {
     else if (config.baseDir) {
       const normalizedBaseDir = path.normalize(config.baseDir);
       
-      // Find package.json files
+      // Find package.json files, shallowest first so workspace roots claim their members
       const packageJsonPaths = await this.findFiles(normalizedBaseDir, '**/package.json');
-      for (const packageJsonPath of packageJsonPaths) {
-        const normalizedPackageJsonPath = path.normalize(packageJsonPath);
-        const repoPath = path.dirname(normalizedPackageJsonPath);
-        const packageLockPath = path.normalize(path.join(repoPath, 'package-lock.json'));
+      const repoPaths = packageJsonPaths
+        .map(packageJsonPath => path.dirname(path.normalize(packageJsonPath)))
+        .sort((a, b) => a.split(path.sep).length - b.split(path.sep).length || a.localeCompare(b));
+      const memberPaths = new Set();
+      for (const repoPath of repoPaths) {
+        if (memberPaths.has(repoPath)) {
+          continue;
+        }
         
-        repositories.push({
-          path: repoPath,
-          type: 'npm',
-          packageJsonPath: normalizedPackageJsonPath,
-          packageLockPath: await fs.pathExists(packageLockPath) ? packageLockPath : null
-        });
+        const repository = await this.createNpmRepository(repoPath);
+        if (repository.workspace) {
+          repository.workspace.members.forEach(member => memberPaths.add(member.path));
+        }
+        repositories.push(repository);
       }
       
       // Find go.mod files
@@ -66,8 +74,8 @@ const scanner = {
         const normalizedGoModPath = path.normalize(goModPath);
         const repoPath = path.dirname(normalizedGoModPath);
         
-        // Skip if already added as npm repository
-        if (!repositories.some(repo => repo.path === repoPath)) {
+        // Skip if already added as npm repository or workspace member
+        if (!repositories.some(repo => repo.path === repoPath) && !memberPaths.has(repoPath)) {
           repositories.push({
             path: repoPath,
             type: 'go',
@@ -80,6 +88,32 @@ const scanner = {
     return repositories;
   },
   
+  /**
+   * Create the repository object for an npm project, with its package manager and lockfile
+   * and its workspace members if it is a workspace root
+   * @param {string} repoPath - Project directory
+   * @returns {Promise<Object>} Repository object (packageLockPath is whichever lockfile the package manager uses)
+   */
+  async createNpmRepository(repoPath) {
+    const packageJsonPath = path.normalize(path.join(repoPath, 'package.json'));
+    const packageJson = await fs.readJson(packageJsonPath).catch(() => ({}));
+    const manager = await packageManager.detect(repoPath, packageJson);
+    const repository = {
+      path: repoPath,
+      type: 'npm',
+      packageJsonPath,
+      packageLockPath: manager.lockfilePath,
+      packageManager: manager,
+      workspace: await workspace.load(repoPath)
+    };
+    
+    if (repository.workspace) {
+      logger.log(`Workspace at ${repoPath} (${repository.workspace.source}) with ${repository.workspace.members.length} members`);
+    }
+    
+    return repository;
+  },
+  
   /**
    * Find files matching a pattern in a directory (recursively)
    * @param {string} baseDir - Base directory to scan
@@ -87,20 +121,14 @@ const scanner = {
    * @returns {Promise<Array>} Array of file paths
    */
   async findFiles(baseDir, pattern) {
-    return new Promise((resolve, reject) => {
-      glob(pattern, {
-        cwd: baseDir,
-        absolute: true,
-        ignore: ['**/node_modules/**', '**/vendor/**']
-      }, (err, files) => {
-        if (err) {
-          reject(err);
-        } else {
-          // Normalize all paths
-          resolve(files.map(file => path.normalize(file)));
-        }
-      });
+    const files = await glob(pattern, {
+      cwd: baseDir,
+      absolute: true,
+      ignore: ['**/node_modules/**', '**/vendor/**']
     });
+    
+    // Normalize all paths
+    return files.map(file => path.normalize(file));
   }
 };
 
@@ -3,77 +3,50 @@ const path = require('path');
 const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
+const policy = require('./policy');
+const patch = require('./patch');
+const manifest = require('./manifest');
+const workspace = require('./workspace');
+const peerDependencies = require('./peer-dependencies');
+const packageManager = require('./package-manager');
+const lockfile = require('./lockfile');
+const config = require('./config');
+const logger = require('./logger');
 
 /**
  * Package updater module
  */
 const updater = {
   /**
-   * Update packages in package.json
+   * Update packages in package.json, changing only the version strings so the
+   * file's formatting and each range's operator are preserved
    * @param {string} packageJsonPath - Path to package.json
    * @param {Object} packagesToUpdate - Packages to update with their versions
+   * @param {Object} options - Update options
+   * @param {boolean} options.dryRun - Compute the new content without writing it
    * @returns {Promise<Object>} Updated package.json content
    */
-  async updatePackageJson(packageJsonPath, packagesToUpdate) {
+  async updatePackageJson(packageJsonPath, packagesToUpdate, options = {}) {
     try {
-      // Read and parse package.json
       const content = await fs.readFile(packageJsonPath, 'utf8');
-      const packageJson = JSON.parse(content);
       
-      // Track which dependencies were updated
-      const updatedDependencies = {};
-      
-      // Update dependencies
-      if (packageJson.dependencies) {
-        for (const packageName in packagesToUpdate) {
-          if (packageJson.dependencies[packageName]) {
-            const newVersion = packagesToUpdate[packageName];
-            packageJson.dependencies[packageName] = `^${newVersion}`;
-            updatedDependencies[packageName] = {
-              type: 'dependencies',
-              from: packageJson.dependencies[packageName],
-              to: `^${newVersion}`
-            };
-          }
-        }
-      }
-      
-      // Update devDependencies
-      if (packageJson.devDependencies) {
-        for (const packageName in packagesToUpdate) {
-          if (packageJson.devDependencies[packageName]) {
-            const newVersion = packagesToUpdate[packageName];
-            packageJson.devDependencies[packageName] = `^${newVersion}`;
-            updatedDependencies[packageName] = {
-              type: 'devDependencies',
-              from: packageJson.devDependencies[packageName],
-              to: `^${newVersion}`
-            };
-          }
-        }
-      }
-      
-      // Update optionalDependencies
-      if (packageJson.optionalDependencies) {
-        for (const packageName in packagesToUpdate) {
-          if (packageJson.optionalDependencies[packageName]) {
-            const newVersion = packagesToUpdate[packageName];
-            packageJson.optionalDependencies[packageName] = `^${newVersion}`;
-            updatedDependencies[packageName] = {
-              type: 'optionalDependencies',
-              from: packageJson.optionalDependencies[packageName],
-              to: `^${newVersion}`
-            };
-          }
-        }
-      }
+      const {
+        content: updatedContent,
+        updatedDependencies,
+        skippedDependencies
+      } = manifest.updateDependencyVersions(content, packagesToUpdate, { savePrefix: config.savePrefix });
       
       // Write updated package.json
-      await fs.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+      if (!options.dryRun && updatedContent !== content) {
+        await fs.writeFile(packageJsonPath, updatedContent);
+      }
       
       return {
-        packageJson,
-        updatedDependencies
+        packageJson: JSON.parse(updatedContent),
+        updatedDependencies,
+        skippedDependencies,
+        originalContent: content,
+        updatedContent
       };
     } catch (error) {
       throw new Error(`Failed to update package.json at ${packageJsonPath}: ${error.message}`);
@@ -81,70 +54,280 @@ const updater = {
   },
   
   /**
-   * Run npm install to update package-lock.json
+   * Get the manifests to update in a repository: its package.json, plus each member's in a workspace
+   * @param {Object} repository - Repository object
+   * @returns {Array} Manifests ({ member, packageJsonPath })
+   */
+  getManifests(repository) {
+    if (!repository.workspace) {
+      return [{ member: '.', packageJsonPath: repository.packageJsonPath }];
+    }
+    return workspace.getManifests(repository);
+  },
+  
+  /**
+   * Run the package manager's install to update the lockfile
+   * @param {string} repoPath - Repository path
+   * @param {Object} manager - Package manager from packageManager.detect (npm when omitted)
+   * @returns {Promise<boolean>} Success status
+   */
+  async updatePackageLock(repoPath, manager = { name: 'npm' }) {
+    return this.runCommand(repoPath, packageManager.getInstallCommand(manager));
+  },
+  
+  /**
+   * Run a package manager command
    * @param {string} repoPath - Repository path
-   * @returns {Promise<void>}
+   * @param {string} command - Command
+   * @returns {Promise<boolean>} Success status
    */
-  async updatePackageLock(repoPath) {
+  async runCommand(repoPath, command) {
     try {
-      console.log(`Running npm install in ${repoPath}...`);
-      const { stdout, stderr } = await execPromise('npm install', { cwd: repoPath });
+      logger.log(`Running ${command} in ${repoPath}...`);
+      const { stderr } = await execPromise(command, { cwd: repoPath });
       
       if (stderr && !stderr.includes('npm notice')) {
-        console.warn(`Warning during npm install: ${stderr}`);
+        logger.warn(`Warning during ${command}: ${stderr}`);
       }
       
       return true;
     } catch (error) {
-      console.error(`Error running npm install in ${repoPath}: ${error.message}`);
+      logger.error(`Error running ${command} in ${repoPath}: ${error.message}`);
       return false;
     }
   },
   
+  /**
+   * Get the ranges the manifests declare for packages
+   * @param {Array} packageJsons - Parsed manifests
+   * @param {Array} packageNames - Packages to look up
+   * @returns {Object} Distinct declared ranges by package
+   */
+  getDeclaredRanges(packageJsons, packageNames) {
+    const ranges = {};
+    for (const packageName of packageNames) {
+      const declared = packageJsons.flatMap(packageJson =>
+        ['dependencies', 'devDependencies', 'optionalDependencies']
+          .map(section => (packageJson[section] || {})[packageName])
+          .filter(range => typeof range === 'string'));
+      ranges[packageName] = [...new Set(declared)];
+    }
+    return ranges;
+  },
+  
+  /**
+   * Move packages to exact versions in the lockfile, keeping the ranges package.json declares,
+   * so the lockfile ends up at the versions in the report rather than the newest the ranges allow
+   * @param {Object} repository - Repository object
+   * @param {Object} versions - Target versions by package
+   * @returns {Promise<boolean>} Success status
+   */
+  async installExactVersions(repository, versions) {
+    const manager = repository.packageManager || { name: 'npm' };
+    const manifestContents = {};
+    for (const manifestInfo of this.getManifests(repository)) {
+      manifestContents[manifestInfo.packageJsonPath] = await fs.readFile(manifestInfo.packageJsonPath, 'utf8');
+    }
+    const ranges = this.getDeclaredRanges(Object.values(manifestContents).map(content => JSON.parse(content)), Object.keys(versions));
+    const commands = packageManager.getExactInstallCommands(manager, versions, {
+      workspaces: Boolean(repository.workspace),
+      ranges
+    });
+    
+    try {
+      for (const command of commands) {
+        if (!await this.runCommand(repository.path, command)) {
+          return false;
+        }
+      }
+    } finally {
+      // npm, pnpm and yarn classic also wrote the exact versions to package.json
+      for (const packageJsonPath in manifestContents) {
+        if (await fs.readFile(packageJsonPath, 'utf8') !== manifestContents[packageJsonPath]) {
+          await fs.writeFile(packageJsonPath, manifestContents[packageJsonPath]);
+        }
+      }
+    }
+    
+    if (manager.name === 'yarn' && !manager.berry) {
+      try {
+        let content = await fs.readFile(repository.packageLockPath, 'utf8');
+        for (const packageName in versions) {
+          if (ranges[packageName].length > 0) {
+            content = lockfile.retargetYarnLock(content, packageName, versions[packageName], ranges[packageName]);
+          }
+        }
+        await fs.writeFile(repository.packageLockPath, content);
+      } catch (error) {
+        logger.error(`Error updating ${repository.packageLockPath}: ${error.message}`);
+        return false;
+      }
+    }
+    
+    // Bring the lockfile's record of package.json and the installed packages back in line
+    return this.updatePackageLock(repository.path, manager);
+  },
+  
   /**
    * Update packages in a repository
    * @param {Object} repository - Repository object
    * @param {Object} packagesToUpdate - Packages to update with their versions
+   * @param {Object} options - Update options
+   * @param {Object} options.inRangePackages - Packages whose new version satisfies the declared range
+   * @param {Object} options.installedVersions - Installed version per package, recorded as the
+   *   starting point of lockfile-only updates
+   * @param {Object} options.policy - Update policy from policy.loadPolicy
+   * @param {Object} options.dependencyTypes - Dependency type per package
+   * @param {Object} options.packageInfos - Package information per package, to check peer dependencies
+   * @param {Object} options.resolvedVersions - Resolved versions from peerDependencies.getResolvedVersions
+   * @param {boolean} options.dryRun - Plan the changes and produce a diff without touching disk
    * @returns {Promise<Object>} Update results
    */
-  async updatePackages(repository, packagesToUpdate) {
+  async updatePackages(repository, packagesToUpdate, options = {}) {
+    const dryRun = Boolean(options.dryRun);
+    
+    // Never apply updates the policy forbids, whoever asked for them
+    const skippedDependencies = {};
+    if (options.policy) {
+      packagesToUpdate = { ...packagesToUpdate };
+      for (const packageName in packagesToUpdate) {
+        const version = packagesToUpdate[packageName];
+        const dependencyType = (options.dependencyTypes || {})[packageName];
+        const settings = policy.resolve(options.policy, packageName, dependencyType);
+        
+        let reason = null;
+        let rule = null;
+        if (settings.ignore) {
+          reason = 'ignored by policy';
+          rule = settings.rules.ignore;
+        } else if (settings.pin) {
+          reason = `pinned to ${settings.pin}`;
+          rule = settings.rules.pin;
+        } else if (!policy.isVersionAllowed(settings, version)) {
+          reason = `version ${version} not permitted by policy`;
+          rule = policy.getRejectingRule(settings, version);
+        }
+        
+        if (reason) {
+          skippedDependencies[packageName] = { to: version, reason, rule };
+          delete packagesToUpdate[packageName];
+        }
+      }
+    }
+    
+    // Nor updates whose peer dependencies conflict with the rest of the batch
+    if (options.packageInfos && options.resolvedVersions) {
+      const peerConflicts = peerDependencies.findConflicts(packagesToUpdate, options.resolvedVersions, options.packageInfos);
+      packagesToUpdate = { ...packagesToUpdate };
+      for (const packageName in peerConflicts) {
+        skippedDependencies[packageName] = {
+          to: packagesToUpdate[packageName],
+          reason: `peer dependency conflict: ${peerConflicts[packageName].map(conflict => peerDependencies.describeConflict(conflict)).join('; ')}`,
+          rule: null
+        };
+        delete packagesToUpdate[packageName];
+      }
+    }
+    
     const packageCount = Object.keys(packagesToUpdate).length;
     if (packageCount === 0) {
       return {
         repository: repository.path,
         updated: false,
+        dryRun,
         message: 'No packages to update',
-        updatedDependencies: {}
+        updatedDependencies: {},
+        skippedDependencies,
+        diff: ''
       };
     }
     
     try {
-      console.log(`Updating ${packageCount} packages in ${repository.path}...`);
+      logger.log(`${dryRun ? 'Planning updates for' : 'Updating'} ${packageCount} packages in ${repository.path}...`);
+      
+      // In-range updates only change the lockfile; the rest change the declared range.
+      // Without a lockfile an in-range update can only be recorded by raising the range.
+      const inRangePackages = options.inRangePackages || {};
+      const rangeUpdates = {};
+      const lockfileUpdates = {};
+      for (const packageName in packagesToUpdate) {
+        if (inRangePackages[packageName] && repository.packageLockPath) {
+          lockfileUpdates[packageName] = packagesToUpdate[packageName];
+        } else {
+          rangeUpdates[packageName] = packagesToUpdate[packageName];
+        }
+      }
       
-      // Update package.json
-      const { updatedDependencies } = await this.updatePackageJson(
-        repository.packageJsonPath, 
-        packagesToUpdate
-      );
+      // Update package.json (in a workspace, every manifest that declares the package)
+      let updatedDependencies = {};
+      let diff = '';
+      if (Object.keys(rangeUpdates).length > 0) {
+        for (const manifestInfo of this.getManifests(repository)) {
+          const packageJsonResult = await this.updatePackageJson(
+            manifestInfo.packageJsonPath,
+            rangeUpdates,
+            { dryRun }
+          );
+          for (const packageName in packageJsonResult.updatedDependencies) {
+            const updated = packageJsonResult.updatedDependencies[packageName];
+            if (!repository.workspace) {
+              updatedDependencies[packageName] = updated;
+            } else if (updatedDependencies[packageName]) {
+              updatedDependencies[packageName].members.push(manifestInfo.member);
+            } else {
+              updatedDependencies[packageName] = { ...updated, members: [manifestInfo.member] };
+            }
+          }
+          Object.assign(skippedDependencies, packageJsonResult.skippedDependencies);
+          diff += patch.createFilePatch(
+            repository.path,
+            manifestInfo.packageJsonPath,
+            packageJsonResult.originalContent,
+            packageJsonResult.updatedContent
+          );
+        }
+      }
       
-      // Update package-lock.json if it exists
+      // Move the lockfile to exactly the target versions (a dry run cannot predict the lockfile)
       let packageLockUpdated = false;
       if (repository.packageLockPath) {
-        packageLockUpdated = await this.updatePackageLock(repository.path);
+        const lockfilePackageNames = Object.keys(lockfileUpdates);
+        
+        if (!dryRun) {
+          const versions = {};
+          for (const packageName of [...Object.keys(updatedDependencies), ...lockfilePackageNames]) {
+            versions[packageName] = packagesToUpdate[packageName];
+          }
+          packageLockUpdated = Object.keys(versions).length === 0 || await this.installExactVersions(repository, versions);
+        }
+        
+        for (const packageName of lockfilePackageNames) {
+          updatedDependencies[packageName] = {
+            type: 'lockfile',
+            from: (options.installedVersions || {})[packageName] || null,
+            to: lockfileUpdates[packageName]
+          };
+        }
       }
       
       return {
         repository: repository.path,
-        updated: true,
+        updated: !dryRun,
+        dryRun,
         packageLockUpdated,
-        updatedDependencies
+        updatedDependencies,
+        skippedDependencies,
+        diff
       };
     } catch (error) {
       return {
         repository: repository.path,
         updated: false,
+        dryRun,
         error: error.message,
-        updatedDependencies: {}
+        updatedDependencies: {},
+        skippedDependencies,
+        diff: ''
       };
     }
   }
@@ -0,0 +1,219 @@
+const fs = require('fs-extra');
+const { exec } = require('child_process');
+const logger = require('./logger');
+
+// Keep the end of long command output, where failures are usually reported
+const MAX_OUTPUT_LENGTH = 8000;
+
+/**
+ * Post-update verification module
+ */
+const verifier = {
+  /**
+   * Apply updates and verify the repository still passes the configured commands.
+   * When verification fails, the updated packages are bisected to find the
+   * update(s) that broke it; only those are reverted and the rest are kept.
+   * @param {Object} options - Verification options
+   * @param {Object} options.repository - Repository object
+   * @param {Array} options.names - Names of the packages (or modules) to update
+   * @param {Function} options.apply - Applies updates for a subset of names and resolves to update results
+   * @param {Array} options.files - Files the updates change (restored before each attempt)
+   * @param {Function} options.install - Brings installed dependencies in line with the files before verifying (optional)
+   * @param {Array} options.commands - Verification commands
+   * @param {number} options.timeout - Timeout per command in seconds
+   * @returns {Promise<Object>} Update results of the updates that were kept, with a verification summary
+   */
+  async updateWithVerification({ repository, names, apply, files, install, commands, timeout }) {
+    if (!commands || commands.length === 0) {
+      return apply(names);
+    }
+
+    const snapshot = await this.snapshotFiles(files);
+    const applySubset = async subset => {
+      await this.restoreFiles(snapshot);
+      return subset.length > 0 ? apply(subset) : null;
+    };
+    const verify = async () => {
+      if (install) {
+        await install();
+      }
+      return this.runCommands(repository.path, commands, timeout);
+    };
+
+    let updateResults = await apply(names);
+    if (!updateResults || !updateResults.updated) {
+      return updateResults;
+    }
+
+    logger.log(`Verifying updates in ${repository.path}...`);
+    let check = await verify();
+    const verification = {
+      commands,
+      passed: check.passed,
+      baselineFailed: false,
+      revertedPackages: {}
+    };
+
+    if (check.passed) {
+      updateResults.verification = verification;
+      return updateResults;
+    }
+
+    // Make sure the repository passed before the updates, otherwise nothing can be blamed
+    await this.restoreFiles(snapshot);
+    const baseline = await verify();
+    if (!baseline.passed) {
+      logger.warn(`Verification fails without any updates in ${repository.path}; reverting all updates`);
+      verification.baselineFailed = true;
+      verification.failedCommand = baseline.failedCommand;
+      verification.output = baseline.output;
+      return this.revertedResults(updateResults, names, verification);
+    }
+
+    let remaining = [...names];
+    while (remaining.length > 0) {
+      // Binary search for the shortest prefix of the remaining updates that fails
+      let passing = 0;
+      let failing = remaining.length;
+      let failure = check;
+      while (failing - passing > 1) {
+        const middle = Math.floor((passing + failing) / 2);
+        await applySubset(remaining.slice(0, middle));
+        const result = await verify();
+        if (result.passed) {
+          passing = middle;
+        } else {
+          failing = middle;
+          failure = result;
+        }
+      }
+
+      const culprit = remaining[failing - 1];
+      logger.warn(`Update of ${culprit} breaks verification (${failure.failedCommand}); reverting it`);
+      verification.revertedPackages[culprit] = {
+        command: failure.failedCommand,
+        output: failure.output
+      };
+      remaining = remaining.filter(name => name !== culprit);
+
+      // Re-apply what is left and check it again, since several updates may be at fault
+      updateResults = await applySubset(remaining);
+      if (remaining.length === 0) {
+        if (install) {
+          await install();
+        }
+        break;
+      }
+      check = await verify();
+      if (check.passed) {
+        break;
+      }
+    }
+
+    verification.passed = remaining.length > 0;
+    if (!updateResults) {
+      return this.revertedResults(null, names, verification, repository);
+    }
+
+    updateResults.verification = verification;
+    return updateResults;
+  },
+
+  /**
+   * Build update results for a repository where every update was reverted
+   * @param {Object|null} updateResults - Results of the last update attempt
+   * @param {Array} names - Names of the reverted updates
+   * @param {Object} verification - Verification summary
+   * @param {Object} repository - Repository object
+   * @returns {Object} Update results
+   */
+  revertedResults(updateResults, names, verification, repository = null) {
+    return {
+      ...(updateResults || { repository: repository && repository.path }),
+      updated: false,
+      updatedDependencies: {},
+      error: verification.baselineFailed
+        ? 'Verification fails even without updates; all updates were reverted'
+        : `All updates were reverted: ${names.join(', ')} broke verification`,
+      verification
+    };
+  },
+
+  /**
+   * Run verification commands in order, stopping at the first failure
+   * @param {string} repoPath - Repository path
+   * @param {Array} commands - Commands to run
+   * @param {number} timeout - Timeout per command in seconds
+   * @returns {Promise<Object>} Result ({ passed, failedCommand, output })
+   */
+  async runCommands(repoPath, commands, timeout) {
+    for (const command of commands) {
+      const result = await this.runCommand(repoPath, command, timeout);
+      if (!result.passed) {
+        return {
+          passed: false,
+          failedCommand: command,
+          output: result.output
+        };
+      }
+    }
+
+    return { passed: true, failedCommand: null, output: '' };
+  },
+
+  /**
+   * Run a single command and capture its combined output
+   * @param {string} repoPath - Repository path
+   * @param {string} command - Command to run
+   * @param {number} timeout - Timeout in seconds
+   * @returns {Promise<Object>} Result ({ passed, output })
+   */
+  runCommand(repoPath, command, timeout) {
+    return new Promise(resolve => {
+      exec(command, {
+        cwd: repoPath,
+        timeout: timeout * 1000,
+        maxBuffer: 64 * 1024 * 1024
+      }, (error, stdout, stderr) => {
+        let output = `${stdout}${stderr}`;
+        if (error && error.killed) {
+          output += `\nCommand timed out after ${timeout}s`;
+        }
+        if (output.length > MAX_OUTPUT_LENGTH) {
+          output = `...${output.slice(-MAX_OUTPUT_LENGTH)}`;
+        }
+        resolve({ passed: !error, output });
+      });
+    });
+  },
+
+  /**
+   * Save the contents of files so they can be restored later
+   * @param {Array} files - File paths (null entries are ignored)
+   * @returns {Promise<Object>} Snapshot of file contents (null for missing files)
+   */
+  async snapshotFiles(files) {
+    const snapshot = {};
+    for (const filePath of files.filter(Boolean)) {
+      snapshot[filePath] = await fs.pathExists(filePath) ? await fs.readFile(filePath) : null;
+    }
+    return snapshot;
+  },
+
+  /**
+   * Restore files from a snapshot
+   * @param {Object} snapshot - Snapshot from snapshotFiles
+   * @returns {Promise<void>}
+   */
+  async restoreFiles(snapshot) {
+    for (const filePath in snapshot) {
+      if (snapshot[filePath] === null) {
+        await fs.remove(filePath);
+      } else {
+        await fs.writeFile(filePath, snapshot[filePath]);
+      }
+    }
+  }
+};
+
+module.exports = verifier;
@@ -0,0 +1,364 @@
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const semver = require('semver');
+const { glob } = require('glob');
+const config = require('./config');
+const cache = require('./cache');
+const logger = require('./logger');
+
+const SEVERITY_ORDER = ['unknown', 'low', 'moderate', 'high', 'critical'];
+
+// CVSS v3 base metric weights
+const CVSS_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  PR: { N: 0.85, L: 0.62, H: 0.27 },
+  PR_CHANGED: { N: 0.85, L: 0.68, H: 0.5 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 }
+};
+
+// Advisories loaded from local OSV dumps, keyed by directory and ecosystem
+const localIndexes = new Map();
+
+/**
+ * Vulnerability scanning against OSV advisories (https://ossf.github.io/osv-schema/),
+ * queried from an OSV API endpoint or read from a local OSV dump directory
+ */
+const vulnerabilities = {
+  /**
+   * Find the advisories affecting the installed versions of a set of packages
+   * @param {string} ecosystem - OSV ecosystem ("npm" or "Go")
+   * @param {Object} installedVersions - Installed version per package name
+   * @returns {Promise<Object>} Scan result ({ vulnerabilities, severity, fixedIn }) for each
+   *   vulnerable package; fixedIn is the lowest version that fixes every advisory, or null
+   */
+  async scan(ecosystem, installedVersions) {
+    const names = Object.keys(installedVersions).filter(name => installedVersions[name]);
+    const advisories = config.osvDir
+      ? await this.queryLocal(ecosystem, names)
+      : await this.queryApi(ecosystem, names, installedVersions);
+
+    const results = {};
+    for (const name of names) {
+      const matches = (advisories[name] || [])
+        .map(advisory => this.match(advisory, ecosystem, name, installedVersions[name]))
+        .filter(Boolean);
+      if (matches.length === 0) {
+        continue;
+      }
+
+      const unfixed = matches.some(vulnerability => !vulnerability.fixed);
+      results[name] = {
+        vulnerabilities: matches,
+        severity: matches.reduce((highest, vulnerability) => this.getHigherSeverity(highest, vulnerability.severity), 'unknown'),
+        fixedIn: unfixed ? null : semver.rsort(matches.map(vulnerability => vulnerability.fixed))[0]
+      };
+    }
+
+    return results;
+  },
+
+  /**
+   * Query the OSV API for each package's installed version, through the metadata cache
+   * @param {string} ecosystem - OSV ecosystem
+   * @param {Array<string>} names - Package names
+   * @param {Object} installedVersions - Installed version per package name
+   * @returns {Promise<Object>} Advisories per package name
+   */
+  async queryApi(ecosystem, names, installedVersions) {
+    const advisories = {};
+
+    // Process in batches like registry lookups
+    const batchSize = 10;
+    for (let i = 0; i < names.length; i += batchSize) {
+      const batch = names.slice(i, i + batchSize);
+      const results = await Promise.allSettled(
+        batch.map(name => this.fetchAdvisories(ecosystem, name, installedVersions[name]))
+      );
+
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          advisories[batch[index]] = result.value;
+        } else {
+          logger.warn(`Warning: Failed to check ${batch[index]} for vulnerabilities: ${result.reason.message}`);
+        }
+      });
+    }
+
+    return advisories;
+  },
+
+  /**
+   * Fetch the advisories affecting one package version from the OSV API
+   * @param {string} ecosystem - OSV ecosystem
+   * @param {string} name - Package name
+   * @param {string} version - Installed version
+   * @returns {Promise<Array>} OSV advisories
+   */
+  async fetchAdvisories(ecosystem, name, version) {
+    const osvUrl = config.osvUrl.replace(/\/+$/, '');
+    const cacheKey = `${ecosystem}/${name}@${version}`;
+    const entry = config.cacheEnabled || config.offline ? await cache.get(osvUrl, cacheKey) : null;
+
+    // Offline mode answers from the cache only
+    if (config.offline) {
+      if (!entry) {
+        throw new Error('no cached advisories (offline mode; set OSV_DIR to scan a local OSV dump)');
+      }
+      return entry.data;
+    }
+
+    if (entry && cache.isFresh(entry)) {
+      return entry.data;
+    }
+
+    const advisories = [];
+    let pageToken = null;
+    do {
+      const response = await axios.post(`${osvUrl}/v1/query`, {
+        package: { name, ecosystem },
+        version,
+        ...(pageToken ? { page_token: pageToken } : {})
+      }, { timeout: config.httpTimeout * 1000 });
+      advisories.push(...(response.data.vulns || []));
+      pageToken = response.data.next_page_token || null;
+    } while (pageToken);
+
+    if (config.cacheEnabled) {
+      await cache.set(osvUrl, cacheKey, advisories);
+    }
+
+    return advisories;
+  },
+
+  /**
+   * Look up advisories in a local OSV dump: the JSON files from an ecosystem's all.zip,
+   * either in an ecosystem subdirectory (OSV_DIR/npm, OSV_DIR/Go) or directly in OSV_DIR
+   * @param {string} ecosystem - OSV ecosystem
+   * @param {Array<string>} names - Package names
+   * @returns {Promise<Object>} Advisories per package name
+   */
+  async queryLocal(ecosystem, names) {
+    const index = await this.loadLocalIndex(config.osvDir, ecosystem);
+    return Object.fromEntries(names.map(name => [name, index.get(name) || []]));
+  },
+
+  /**
+   * Read a local OSV dump and index its advisories by package name (once per run)
+   * @param {string} osvDir - Dump directory
+   * @param {string} ecosystem - OSV ecosystem
+   * @returns {Promise<Map>} Advisories per package name
+   */
+  async loadLocalIndex(osvDir, ecosystem) {
+    const key = `${path.resolve(osvDir)}\0${ecosystem}`;
+    if (localIndexes.has(key)) {
+      return localIndexes.get(key);
+    }
+
+    const ecosystemDir = path.join(osvDir, ecosystem);
+    const dumpDir = await fs.pathExists(ecosystemDir) ? ecosystemDir : osvDir;
+    const files = await glob('**/*.json', { cwd: dumpDir, absolute: true });
+    logger.log(`Reading ${files.length} OSV advisories from ${dumpDir}...`);
+
+    const index = new Map();
+    for (const file of files) {
+      let advisory;
+      try {
+        advisory = await fs.readJson(file);
+      } catch (error) {
+        logger.warn(`Warning: Skipping unreadable OSV advisory ${file}: ${error.message}`);
+        continue;
+      }
+
+      const names = new Set((advisory.affected || [])
+        .filter(affected => affected.package && affected.package.ecosystem === ecosystem)
+        .map(affected => affected.package.name));
+      for (const name of names) {
+        if (!index.has(name)) {
+          index.set(name, []);
+        }
+        index.get(name).push(advisory);
+      }
+    }
+
+    localIndexes.set(key, index);
+    return index;
+  },
+
+  /**
+   * Check an advisory against an installed version
+   * @param {Object} advisory - OSV advisory
+   * @param {string} ecosystem - OSV ecosystem
+   * @param {string} name - Package name
+   * @param {string} version - Installed version
+   * @returns {Object|null} Vulnerability ({ id, aliases, summary, severity, fixed, url }),
+   *   or null if the version is not affected; fixed is null when no fixed version is known
+   */
+  match(advisory, ecosystem, name, version) {
+    if (advisory.withdrawn) {
+      return null;
+    }
+
+    let affected = false;
+    const fixedVersions = [];
+    for (const entry of advisory.affected || []) {
+      if (!entry.package || entry.package.ecosystem !== ecosystem || entry.package.name !== name) {
+        continue;
+      }
+
+      if ((entry.versions || []).includes(version)) {
+        affected = true;
+      }
+      for (const range of entry.ranges || []) {
+        if (['SEMVER', 'ECOSYSTEM'].includes(range.type) && this.isInRange(version, range.events || [])) {
+          affected = true;
+          fixedVersions.push(...this.getFixedVersions(version, range.events || []));
+        }
+      }
+    }
+
+    if (!affected) {
+      return null;
+    }
+
+    return {
+      id: advisory.id,
+      aliases: advisory.aliases || [],
+      summary: advisory.summary || (advisory.details || '').split('\n')[0],
+      severity: this.getSeverity(advisory, ecosystem, name),
+      fixed: fixedVersions.length > 0 ? semver.sort(fixedVersions)[0] : null,
+      url: `https://osv.dev/vulnerability/${advisory.id}`
+    };
+  },
+
+  /**
+   * Evaluate OSV range events for a version: introduced opens an affected span,
+   * fixed and last_affected close it
+   * @param {string} version - Installed version
+   * @param {Array} events - Range events
+   * @returns {boolean} True if the version is affected
+   */
+  isInRange(version, events) {
+    if (!semver.valid(version)) {
+      return false;
+    }
+
+    const sorted = events
+      .map(event => {
+        const [type] = Object.keys(event);
+        return { type, version: event[type] };
+      })
+      .filter(event => event.version === '0' || semver.valid(event.version))
+      .sort((a, b) => (a.version === '0' ? -1 : b.version === '0' ? 1 : semver.compare(a.version, b.version)));
+
+    let affected = false;
+    for (const event of sorted) {
+      if (event.type === 'introduced' && (event.version === '0' || semver.gte(version, event.version))) {
+        affected = true;
+      } else if (event.type === 'fixed' && semver.gte(version, event.version)) {
+        affected = false;
+      } else if (event.type === 'last_affected' && semver.gt(version, event.version)) {
+        affected = false;
+      } else if (event.type === 'limit' && semver.gte(version, event.version)) {
+        affected = false;
+      }
+    }
+
+    return affected;
+  },
+
+  /**
+   * Get the fixed versions of a range that are newer than the installed version
+   * @param {string} version - Installed version
+   * @param {Array} events - Range events
+   * @returns {Array<string>} Fixed versions
+   */
+  getFixedVersions(version, events) {
+    return events
+      .filter(event => event.fixed && semver.valid(event.fixed) && semver.gt(event.fixed, version))
+      .map(event => event.fixed);
+  },
+
+  /**
+   * Get an advisory's severity: the database's own rating (GitHub advisories), else the
+   * rating of its CVSS v3 base score
+   * @param {Object} advisory - OSV advisory
+   * @param {string} ecosystem - OSV ecosystem
+   * @param {string} name - Package name
+   * @returns {string} Severity (low, moderate, high, critical or unknown)
+   */
+  getSeverity(advisory, ecosystem, name) {
+    const affected = (advisory.affected || []).find(entry =>
+      entry.package && entry.package.ecosystem === ecosystem && entry.package.name === name);
+    const rated = (advisory.database_specific && advisory.database_specific.severity) ||
+      (affected && affected.ecosystem_specific && affected.ecosystem_specific.severity);
+    if (typeof rated === 'string') {
+      const severity = rated.toLowerCase() === 'medium' ? 'moderate' : rated.toLowerCase();
+      if (SEVERITY_ORDER.includes(severity)) {
+        return severity;
+      }
+    }
+
+    const cvss = [...(advisory.severity || []), ...((affected && affected.severity) || [])]
+      .find(entry => entry.type === 'CVSS_V3');
+    const score = cvss ? this.getCvssScore(cvss.score) : null;
+    if (score === null) {
+      return 'unknown';
+    }
+    if (score >= 9) {
+      return 'critical';
+    }
+    if (score >= 7) {
+      return 'high';
+    }
+    return score >= 4 ? 'moderate' : 'low';
+  },
+
+  /**
+   * Compute the base score of a CVSS v3 vector
+   * @param {string} vector - Vector such as "CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H"
+   * @returns {number|null} Base score, or null if the vector is incomplete
+   */
+  getCvssScore(vector) {
+    const metrics = Object.fromEntries((vector || '').split('/').map(part => part.split(':')));
+    const changed = metrics.S === 'C';
+    const weights = {
+      AV: CVSS_WEIGHTS.AV[metrics.AV],
+      AC: CVSS_WEIGHTS.AC[metrics.AC],
+      PR: (changed ? CVSS_WEIGHTS.PR_CHANGED : CVSS_WEIGHTS.PR)[metrics.PR],
+      UI: CVSS_WEIGHTS.UI[metrics.UI],
+      C: CVSS_WEIGHTS.CIA[metrics.C],
+      I: CVSS_WEIGHTS.CIA[metrics.I],
+      A: CVSS_WEIGHTS.CIA[metrics.A]
+    };
+    if (Object.values(weights).some(weight => weight === undefined) || !['U', 'C'].includes(metrics.S)) {
+      return null;
+    }
+
+    const roundUp = value => Math.ceil(Math.round(value * 100000) / 10000) / 10;
+    const impactSubScore = 1 - (1 - weights.C) * (1 - weights.I) * (1 - weights.A);
+    const impact = changed
+      ? 7.52 * (impactSubScore - 0.029) - 3.25 * Math.pow(impactSubScore - 0.02, 15)
+      : 6.42 * impactSubScore;
+    const exploitability = 8.22 * weights.AV * weights.AC * weights.PR * weights.UI;
+    if (impact <= 0) {
+      return 0;
+    }
+
+    return roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+  },
+
+  /**
+   * Get the higher of two severities
+   * @param {string} a - First severity
+   * @param {string} b - Second severity
+   * @returns {string} Higher severity
+   */
+  getHigherSeverity(a, b) {
+    return SEVERITY_ORDER.indexOf(b) > SEVERITY_ORDER.indexOf(a) ? b : a;
+  }
+};
+
+module.exports = vulnerabilities;
@@ -0,0 +1,245 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { glob } = require('glob');
+const yaml = require('js-yaml');
+const semver = require('semver');
+const config = require('./config');
+const analyzer = require('./analyzer');
+const comparator = require('./comparator');
+
+// Member path used for the workspace root's own manifest
+const ROOT_MEMBER = '.';
+
+/**
+ * Workspace (monorepo) module for npm/yarn workspaces, pnpm-workspace.yaml and lerna.json
+ */
+const workspace = {
+  /**
+   * Read the workspace member patterns declared in a directory
+   * @param {string} rootPath - Directory that may be a workspace root
+   * @returns {Promise<Object|null>} Workspace declaration ({ source, patterns }), or null if there is none
+   */
+  async detect(rootPath) {
+    try {
+      const packageJsonPath = path.join(rootPath, 'package.json');
+      if (await fs.pathExists(packageJsonPath)) {
+        const packageJson = await fs.readJson(packageJsonPath);
+        // "workspaces": [...] (npm, yarn) or "workspaces": { "packages": [...] } (yarn)
+        const patterns = Array.isArray(packageJson.workspaces)
+          ? packageJson.workspaces
+          : packageJson.workspaces && packageJson.workspaces.packages;
+        if (Array.isArray(patterns) && patterns.length > 0) {
+          return { source: 'package.json', patterns };
+        }
+      }
+
+      const pnpmWorkspacePath = path.join(rootPath, 'pnpm-workspace.yaml');
+      if (await fs.pathExists(pnpmWorkspacePath)) {
+        const pnpmWorkspace = yaml.load(await fs.readFile(pnpmWorkspacePath, 'utf8')) || {};
+        if (Array.isArray(pnpmWorkspace.packages) && pnpmWorkspace.packages.length > 0) {
+          return { source: 'pnpm-workspace.yaml', patterns: pnpmWorkspace.packages };
+        }
+      }
+
+      const lernaPath = path.join(rootPath, 'lerna.json');
+      if (await fs.pathExists(lernaPath)) {
+        const lerna = await fs.readJson(lernaPath);
+        return { source: 'lerna.json', patterns: lerna.packages || ['packages/*'] };
+      }
+
+      return null;
+    } catch (error) {
+      throw new Error(`Failed to read workspace configuration in ${rootPath}: ${error.message}`);
+    }
+  },
+
+  /**
+   * Find the member packages matching a workspace's patterns ("!pattern" excludes)
+   * @param {string} rootPath - Workspace root
+   * @param {Array<string>} patterns - Member patterns
+   * @returns {Promise<Array>} Members ({ name, path, relativePath, packageJsonPath }), sorted by path
+   */
+  async findMembers(rootPath, patterns) {
+    const toGlob = pattern => `${pattern.replace(/^\.\//, '').replace(/\/+$/, '')}/package.json`;
+    const include = patterns.filter(pattern => !pattern.startsWith('!')).map(toGlob);
+    const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => toGlob(pattern.slice(1)));
+
+    const packageJsonPaths = await glob(include, {
+      cwd: rootPath,
+      absolute: true,
+      ignore: ['**/node_modules/**', ...exclude]
+    });
+
+    const members = [];
+    for (const packageJsonPath of packageJsonPaths.map(file => path.normalize(file))) {
+      const memberPath = path.dirname(packageJsonPath);
+      if (memberPath === path.normalize(rootPath)) {
+        continue;
+      }
+
+      const packageJson = await fs.readJson(packageJsonPath);
+      const relativePath = path.relative(rootPath, memberPath).split(path.sep).join('/');
+      members.push({
+        name: packageJson.name || relativePath,
+        path: memberPath,
+        relativePath,
+        packageJsonPath
+      });
+    }
+
+    return members.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  },
+
+  /**
+   * Load the workspace rooted at a directory
+   * @param {string} rootPath - Directory that may be a workspace root
+   * @returns {Promise<Object|null>} Workspace ({ source, patterns, name, members }), or null if there is none
+   */
+  async load(rootPath) {
+    const declaration = await this.detect(rootPath);
+    if (!declaration) {
+      return null;
+    }
+
+    const packageJsonPath = path.join(rootPath, 'package.json');
+    const packageJson = await fs.pathExists(packageJsonPath) ? await fs.readJson(packageJsonPath) : {};
+
+    return {
+      ...declaration,
+      name: packageJson.name || path.basename(rootPath),
+      members: await this.findMembers(rootPath, declaration.patterns)
+    };
+  },
+
+  /**
+   * Find the workspace root a directory belongs to as a member. The search stops at the
+   * repository boundary (the first directory with a .git entry) and at BASE_DIR when set.
+   * @param {string} dirPath - Directory
+   * @returns {Promise<string|null>} Workspace root, or null if the directory is not a member
+   */
+  async findRoot(dirPath) {
+    const memberPath = path.resolve(dirPath);
+    if (await this.isSearchBoundary(memberPath)) {
+      return null;
+    }
+    let candidate = path.dirname(memberPath);
+
+    while (candidate !== path.dirname(candidate)) {
+      const loaded = await this.load(candidate);
+      if (loaded && loaded.members.some(member => path.resolve(member.path) === memberPath)) {
+        return candidate;
+      }
+      if (await this.isSearchBoundary(candidate)) {
+        break;
+      }
+      candidate = path.dirname(candidate);
+    }
+
+    return null;
+  },
+
+  /**
+   * Check whether the search for a workspace root stops at a directory
+   * @param {string} dirPath - Absolute directory path
+   * @returns {Promise<boolean>} True at a repository root or at BASE_DIR
+   */
+  async isSearchBoundary(dirPath) {
+    if (config.baseDir && path.resolve(config.baseDir) === dirPath) {
+      return true;
+    }
+    return fs.pathExists(path.join(dirPath, '.git'));
+  },
+
+  /**
+   * Get the manifests of a workspace unit: the root's followed by each member's
+   * @param {Object} repository - Repository object with workspace information
+   * @returns {Array} Manifests ({ member, name, packageJsonPath })
+   */
+  getManifests(repository) {
+    return [
+      { member: ROOT_MEMBER, name: repository.workspace.name, packageJsonPath: repository.packageJsonPath },
+      ...repository.workspace.members.map(member => ({
+        member: member.relativePath,
+        name: member.name,
+        packageJsonPath: member.packageJsonPath
+      }))
+    ];
+  },
+
+  /**
+   * Collect the dependencies of every manifest in a workspace against the shared lockfile.
+   * Dependencies on other members of the workspace are local and left out.
+   * @param {Object} repository - Repository object with workspace information
+   * @param {Object|null} packageLock - Parsed root package-lock.json
+   * @returns {Promise<Object>} Merged dependencies ({ dependencies, dependencyTypes, installedVersions, declarations })
+   */
+  async collectDependencies(repository, packageLock) {
+    const memberNames = new Set(repository.workspace.members.map(member => member.name));
+    const dependencies = {};
+    const dependencyTypes = {};
+    const installedVersions = {};
+    const declarations = {};
+
+    for (const manifest of this.getManifests(repository)) {
+      const packageJson = await analyzer.readPackageJson(manifest.packageJsonPath);
+      const memberDependencies = analyzer.extractDependencies(packageJson);
+      const memberTypes = analyzer.getDependencyTypes(packageJson);
+
+      for (const name of Object.keys(memberDependencies)) {
+        const range = memberDependencies[name];
+        if (memberNames.has(name) || /^(workspace|file|link):/.test(range)) {
+          delete memberDependencies[name];
+        }
+      }
+
+      const memberInstalled = analyzer.getInstalledVersions(
+        packageLock,
+        memberDependencies,
+        manifest.member === ROOT_MEMBER ? '' : manifest.member
+      );
+
+      for (const name in memberDependencies) {
+        declarations[name] = declarations[name] || [];
+        declarations[name].push({
+          member: manifest.member,
+          range: memberDependencies[name],
+          installed: memberInstalled[name],
+          dependencyType: memberTypes[name]
+        });
+
+        // Compare against the oldest installed copy so every member reaches the target
+        const installed = memberInstalled[name];
+        if (
+          !(name in installedVersions) ||
+          (semver.valid(installed) && semver.valid(installedVersions[name]) && semver.lt(installed, installedVersions[name]))
+        ) {
+          installedVersions[name] = memberInstalled[name];
+          dependencies[name] = memberDependencies[name];
+          dependencyTypes[name] = memberTypes[name];
+        }
+      }
+    }
+
+    return { dependencies, dependencyTypes, installedVersions, declarations };
+  },
+
+  /**
+   * Attach each package's declarations to its comparison result. A target only counts as
+   * in range when every member's declared range allows it.
+   * @param {Object} comparisonResults - Comparison results keyed by package name
+   * @param {Object} declarations - Declarations from collectDependencies
+   */
+  annotateResults(comparisonResults, declarations) {
+    for (const name in comparisonResults) {
+      const result = comparisonResults[name];
+      result.declarations = declarations[name] || [];
+
+      if (result.target && result.declarations.length > 1) {
+        const inRange = result.declarations.map(declaration => comparator.isInRange(result.target, declaration.range));
+        result.inRange = inRange.includes(null) ? null : inRange.every(Boolean);
+      }
+    }
+  }
+};
+
+module.exports = workspace;
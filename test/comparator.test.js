@@ -0,0 +1,159 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const comparator = require('../src/comparator');
+
+const VERSIONS = ['1.0.0', '1.0.1', '1.0.2', '1.0.3'];
+
+/**
+ * Build a loaded policy with a single policy file layer
+ * @param {Object} settings - Policy file contents
+ * @returns {Object} Policy in the shape policy.loadPolicy returns
+ */
+function withPolicy(settings) {
+  return { layers: [{ source: '.package-automator.json', policy: { allowedUpdateTypes: ['patch'], ...settings } }] };
+}
+
+/**
+ * Compare one package installed at 1.0.0 whose latest release is 1.0.3
+ * @param {Object} options - Extra compareVersions options
+ * @returns {Object} Comparison result for the package
+ */
+function compareOne(options = {}) {
+  const results = comparator.compareVersions({ demo: '1.0.0' }, { demo: '1.0.3' }, {
+    ranges: { demo: '^1.0.0' },
+    availableVersions: { demo: VERSIONS },
+    ...options
+  });
+  return results.demo;
+}
+
+test('compareVersions takes the latest version when nothing holds it back', () => {
+  const result = compareOne({ policy: withPolicy({}) });
+
+  assert.equal(result.target, '1.0.3');
+  assert.equal(result.updateType, 'patch');
+  assert.equal(result.canAutoUpdate, true);
+  assert.equal(result.inRange, true);
+});
+
+test('compareVersions falls back to the newest version the deny rule permits', () => {
+  const result = compareOne({ policy: withPolicy({ deny: '>=1.0.3' }) });
+
+  assert.equal(result.latest, '1.0.3');
+  assert.equal(result.target, '1.0.2');
+  assert.equal(result.canAutoUpdate, true);
+  assert.equal(result.rule, 'deny (.package-automator.json)');
+});
+
+test('compareVersions steps back past versions that drop the target Node version', () => {
+  const result = compareOne({
+    policy: withPolicy({}),
+    nodeTarget: { version: '16.20.0', source: '.nvmrc' },
+    nodeEngines: { demo: { '1.0.3': '>=18', '1.0.2': '>=18', '1.0.1': '>=14' } }
+  });
+
+  assert.equal(result.target, '1.0.1');
+  assert.deepEqual(result.engineSkipped, {
+    version: '1.0.3',
+    node: '>=18',
+    reason: '1.0.3 requires Node >=18 (.nvmrc targets 16.20.0)'
+  });
+});
+
+test('compareVersions falls back to an old enough release under minimumReleaseAge', () => {
+  const result = compareOne({
+    policy: withPolicy({ minimumReleaseAge: 3 }),
+    releaseTimes: { demo: { '1.0.3': '2026-01-09T12:00:00.000Z', '1.0.2': '2025-12-01T00:00:00.000Z' } },
+    now: new Date('2026-01-10T18:00:00.000Z')
+  });
+
+  assert.equal(result.target, '1.0.2');
+  assert.equal(result.canAutoUpdate, true);
+  assert.equal(result.releaseAgeSkipped.reason, '1.0.3 published 1 day ago');
+  assert.equal(result.rule, 'minimumReleaseAge (.package-automator.json)');
+});
+
+test('compareVersions holds an update when no release is old enough', () => {
+  const result = compareOne({
+    policy: withPolicy({ minimumReleaseAge: 3 }),
+    releaseTimes: { demo: { '1.0.3': '2026-01-10T12:00:00.000Z', '1.0.2': '2026-01-09T00:00:00.000Z' } },
+    now: new Date('2026-01-10T18:00:00.000Z')
+  });
+
+  assert.equal(result.target, '1.0.3');
+  assert.equal(result.canAutoUpdate, false);
+  assert.equal(result.held, true);
+  assert.equal(result.heldReason, 'published today');
+});
+
+test('compareVersions holds pinned packages at the newest version the pin allows', () => {
+  const result = compareOne({ policy: withPolicy({ pin: { demo: '<1.0.3' } }) });
+
+  assert.equal(result.target, '1.0.2');
+  assert.equal(result.canAutoUpdate, false);
+  assert.equal(result.held, true);
+  assert.equal(result.heldReason, 'pinned to <1.0.3');
+  assert.equal(result.rule, 'pin["demo"] (.package-automator.json)');
+});
+
+test('compareVersions reports ignored packages without comparing them', () => {
+  const result = compareOne({ policy: withPolicy({ ignore: ['de*'] }) });
+
+  assert.equal(result.updateType, 'ignored');
+  assert.equal(result.target, null);
+  assert.equal(result.canAutoUpdate, false);
+  assert.equal(result.heldReason, 'ignored by policy');
+});
+
+test('compareVersions marks packages without a latest version as unknown', () => {
+  const results = comparator.compareVersions({ demo: '1.0.0' }, {}, { policy: withPolicy({}) });
+
+  assert.equal(results.demo.updateType, 'unknown');
+  assert.equal(results.demo.canAutoUpdate, false);
+});
+
+test('compareVersions offers the newest in-range version when the range change is not allowed', () => {
+  const results = comparator.compareVersions({ demo: '1.0.0' }, { demo: '2.0.0' }, {
+    ranges: { demo: '^1.0.0' },
+    availableVersions: { demo: ['1.0.0', '1.0.1', '1.1.0', '2.0.0'] },
+    policy: withPolicy({ allowedUpdateTypes: ['patch', 'minor'] })
+  });
+
+  assert.equal(results.demo.target, '1.1.0');
+  assert.equal(results.demo.updateType, 'minor');
+  assert.equal(results.demo.inRange, true);
+  assert.equal(results.demo.canAutoUpdate, true);
+  assert.deepEqual(results.demo.manualUpdate, {
+    target: '2.0.0',
+    updateType: 'major',
+    inRange: false,
+    rule: 'allowedUpdateTypes (.package-automator.json)'
+  });
+});
+
+test('compareVersions offers the newest allowed in-range version when the in-range update type is not allowed', () => {
+  const results = comparator.compareVersions({ debug: '4.1.0' }, { debug: '4.4.3' }, {
+    ranges: { debug: '^4.1.0' },
+    availableVersions: { debug: ['4.1.0', '4.1.1', '4.2.0', '4.4.3', '5.0.0'] },
+    policy: withPolicy({})
+  });
+
+  assert.equal(results.debug.target, '4.1.1');
+  assert.equal(results.debug.updateType, 'patch');
+  assert.equal(results.debug.inRange, true);
+  assert.equal(results.debug.canAutoUpdate, true);
+  assert.deepEqual(results.debug.manualUpdate, {
+    target: '4.4.3',
+    updateType: 'minor',
+    inRange: true,
+    rule: 'allowedUpdateTypes (.package-automator.json)'
+  });
+  assert.deepEqual(comparator.getManualUpdatePackages(results).debug, {
+    installed: '4.1.0',
+    wanted: '4.4.3',
+    latest: '4.4.3',
+    updateType: 'minor',
+    inRange: true,
+    rule: 'allowedUpdateTypes (.package-automator.json)'
+  });
+});
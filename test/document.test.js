@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const documentGenerator = require('../src/document');
+
+test('codeSpan keeps third-party markup literal on one line', () => {
+  assert.equal(documentGenerator.codeSpan('<img src=x onerror=alert(1)> @team'), '`<img src=x onerror=alert(1)> @team`');
+  assert.equal(documentGenerator.codeSpan('uses ``double`` ticks\nand lines'), '```uses ``double`` ticks and lines```');
+  assert.equal(documentGenerator.codeSpan('`edge`'), '`` `edge` ``');
+  assert.equal(documentGenerator.codeSpan('  '), '');
+});
+
+test('generateMarkdownVulnerabilities shows advisory summaries as code', () => {
+  const markdown = documentGenerator.generateMarkdownVulnerabilities({
+    vulnerablePackages: {
+      lodash: {
+        installed: '4.17.20',
+        vulnerabilities: [{
+          id: 'GHSA-1234',
+          url: 'https://osv.dev/vulnerability/GHSA-1234',
+          severity: 'high',
+          fixed: '4.17.21',
+          summary: 'Prototype pollution in <b>zipObjectDeep</b> | [click](https://evil.example)'
+        }]
+      }
+    }
+  });
+
+  assert.match(markdown, /\| `Prototype pollution in <b>zipObjectDeep<\/b> \\\| \[click\]\(https:\/\/evil\.example\)` \|\n$/);
+});
+
+test('generateMarkdownUnmaintained shows deprecation messages as code', () => {
+  const markdown = documentGenerator.generateMarkdownUnmaintained({
+    unmaintainedPackages: {
+      request: {
+        installed: '2.88.2',
+        latest: '2.88.2',
+        lastPublished: '2020-02-11T16:35:27.000Z',
+        deprecated: 'request has been deprecated, see <a href="https://evil.example">here</a>',
+        latestDeprecated: null,
+        abandoned: true
+      }
+    }
+  });
+
+  assert.match(markdown, /\| Deprecated: `request has been deprecated, see <a href="https:\/\/evil\.example">here<\/a>`<br>No release since 2020-02-11 \|\n$/);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const git = require('../src/git');
+
+/**
+ * Create a repository with one commit holding package.json and a README, then run a function
+ * @param {Function} fn - Receives the repository path
+ * @returns {Promise<void>}
+ */
+async function withRepository(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pa-git-'));
+  try {
+    await git.run(dir, ['init', '--quiet', '--initial-branch=main']);
+    await git.run(dir, ['config', 'user.name', 'Test']);
+    await git.run(dir, ['config', 'user.email', 'test@example.com']);
+    await fs.writeFile(path.join(dir, 'package.json'), '{}\n');
+    await fs.writeFile(path.join(dir, 'README.md'), '# demo\n');
+    await git.run(dir, ['add', '--all']);
+    await git.run(dir, ['commit', '--quiet', '-m', 'Initial commit']);
+    await fn(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('prepareBranch refuses a dirty work tree without force', async () => {
+  await withRepository(async dir => {
+    await fs.writeFile(path.join(dir, 'README.md'), '# changed\n');
+
+    await assert.rejects(git.prepareBranch(dir, 'deps/patch'), /has uncommitted changes; commit or stash them, or use --force$/);
+  });
+});
+
+test('prepareBranch with force allows changes to files the update does not commit', async () => {
+  await withRepository(async dir => {
+    await fs.writeFile(path.join(dir, 'README.md'), '# changed\n');
+    const files = [path.join(dir, 'package.json'), path.join(dir, 'package-lock.json'), null];
+
+    const result = await git.prepareBranch(dir, 'deps/patch', { force: true, files });
+
+    assert.deepEqual(result, { branch: 'deps/patch', baseBranch: 'main' });
+    assert.equal(await fs.readFile(path.join(dir, 'README.md'), 'utf8'), '# changed\n');
+  });
+});
+
+test('prepareBranch refuses changes to the files the update commits even with force', async () => {
+  await withRepository(async dir => {
+    await fs.writeFile(path.join(dir, 'package.json'), '{ "private": true }\n');
+    await fs.writeFile(path.join(dir, 'package-lock.json'), '{}\n');
+    const files = [path.join(dir, 'package.json'), path.join(dir, 'package-lock.json')];
+
+    await assert.rejects(
+      git.prepareBranch(dir, 'deps/patch', { force: true, files }),
+      /has uncommitted changes to package\.json, package-lock\.json, which the update would commit; commit or stash them first$/
+    );
+    assert.equal(await git.run(dir, ['rev-parse', '--abbrev-ref', 'HEAD']), 'main');
+  });
+});
@@ -0,0 +1,153 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const goModFile = require('../src/go-mod-file');
+const goAnalyzer = require('../src/go-analyzer');
+const config = require('../src/config');
+const context = require('../src/context');
+
+/**
+ * Run a function with settings for one test, collecting warnings
+ * @param {Array} warnings - Receives the warnings logged
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} The function's result
+ */
+function withSettings(warnings, fn) {
+  const logger = { log() {}, warn: message => warnings.push(message), error() {} };
+  return context.run({ settings: config.create({ cacheEnabled: false }), logger }, fn);
+}
+
+const GO_MOD = `// Service module
+module "example.com/service"
+
+go 1.22.1
+
+toolchain go1.22.4
+
+godebug default=go1.21
+
+require (
+	// HTTP router
+	github.com/gin-gonic/gin v1.9.1
+	golang.org/x/text v0.14.0 // indirect
+)
+
+require github.com/google/uuid v1.6.0
+
+exclude github.com/gin-gonic/gin v1.9.0
+
+replace (
+	example.com/old => ../old
+	golang.org/x/net v0.19.0 => golang.org/x/net v0.20.0
+)
+
+// Published with a broken build
+retract [v1.0.0, v1.0.2]
+retract v0.9.0 // accidental tag
+
+tool golang.org/x/tools/cmd/stringer
+`;
+
+test('parse then write reproduces the file byte for byte', () => {
+  assert.equal(goModFile.write(goModFile.parse(GO_MOD)), GO_MOD);
+
+  const crlf = GO_MOD.replace(/\n/g, '\r\n');
+  assert.equal(goModFile.write(goModFile.parse(crlf)), crlf);
+});
+
+test('parse reads every directive', () => {
+  const ast = goModFile.parse(GO_MOD);
+
+  assert.equal(ast.module.path, 'example.com/service');
+  assert.equal(ast.go.version, '1.22.1');
+  assert.equal(ast.toolchain.version, 'go1.22.4');
+  assert.deepEqual(ast.godebug.map(({ key, value }) => ({ key, value })), [{ key: 'default', value: 'go1.21' }]);
+  assert.deepEqual(ast.require.map(({ path, version, indirect }) => ({ path, version, indirect })), [
+    { path: 'github.com/gin-gonic/gin', version: 'v1.9.1', indirect: false },
+    { path: 'golang.org/x/text', version: 'v0.14.0', indirect: true },
+    { path: 'github.com/google/uuid', version: 'v1.6.0', indirect: false }
+  ]);
+  assert.deepEqual(ast.exclude.map(({ path, version }) => ({ path, version })), [
+    { path: 'github.com/gin-gonic/gin', version: 'v1.9.0' }
+  ]);
+  assert.deepEqual(ast.replace.map(({ oldPath, oldVersion, newPath, newVersion }) => ({ oldPath, oldVersion, newPath, newVersion })), [
+    { oldPath: 'example.com/old', oldVersion: null, newPath: '../old', newVersion: null },
+    { oldPath: 'golang.org/x/net', oldVersion: 'v0.19.0', newPath: 'golang.org/x/net', newVersion: 'v0.20.0' }
+  ]);
+  assert.deepEqual(ast.retract.map(({ low, high, rationale }) => ({ low, high, rationale })), [
+    { low: 'v1.0.0', high: 'v1.0.2', rationale: 'Published with a broken build' },
+    { low: 'v0.9.0', high: 'v0.9.0', rationale: 'accidental tag' }
+  ]);
+  assert.deepEqual(ast.require[0].entry.comments.before.map(comment => comment.text), ['// HTTP router']);
+});
+
+test('write applies edits and leaves everything else alone', () => {
+  const ast = goModFile.parse(GO_MOD);
+  const text = ast.require.find(require => require.path === 'golang.org/x/text');
+
+  const updated = goModFile.write(ast, [
+    goModFile.replaceToken(text.versionToken, 'v0.15.0'),
+    goModFile.replaceToken(ast.go.versionToken, '1.22.5'),
+    goModFile.replaceToken(ast.module.pathToken, 'example.com/renamed')
+  ]);
+
+  assert.equal(updated, GO_MOD
+    .replace('golang.org/x/text v0.14.0', 'golang.org/x/text v0.15.0')
+    .replace('go 1.22.1', 'go 1.22.5')
+    .replace('"example.com/service"', '"example.com/renamed"'));
+});
+
+test('parse treats "require ()" on one line as an empty block', () => {
+  const content = 'module example.com/empty\n\nrequire ()\n\ngo 1.22.0\n';
+  const ast = goModFile.parse(content);
+
+  assert.deepEqual(ast.require, []);
+  assert.equal(ast.go.version, '1.22.0');
+  assert.equal(goModFile.write(ast), content);
+});
+
+test('parse skips top-level lines that are not directives and keeps them on write', () => {
+  const content = 'module example.com/a\n\nfoo bar // note\nrequire github.com/a/b v1.0.0\n\n<!-- Made with Bob -->\n';
+  const ast = goModFile.parse(content);
+
+  assert.deepEqual(ast.ignored, [
+    { line: 3, text: 'foo bar' },
+    { line: 6, text: '<!-- Made with Bob -->' }
+  ]);
+  assert.deepEqual(ast.require.map(({ path, version }) => ({ path, version })), [{ path: 'github.com/a/b', version: 'v1.0.0' }]);
+  assert.equal(goModFile.write(ast, [goModFile.replaceToken(ast.require[0].versionToken, 'v1.1.0')]), content.replace('v1.0.0', 'v1.1.0'));
+});
+
+test('parse rejects unparseable lines with their position', () => {
+  assert.throws(() => goModFile.parse('module example.com/a\nrequire (\n\tgithub.com/a/b v1.0.0 )\n)\n'), /^Error: go\.mod:3:24: require: unexpected \)$/);
+  assert.throws(() => goModFile.parse('module example.com/a\nrequire github.com/a/b\n'), /^Error: go\.mod:2:9: require: expected a module path and version$/);
+  assert.throws(() => goModFile.parse('module example.com/a\nrequire (\n\tgithub.com/a/b v1.0.0\n'), /go\.mod:2:1: require block is missing its closing \)/);
+  assert.throws(() => goModFile.parse('module "example.com/a\n'), /go\.mod:1:8: unterminated quoted string/);
+});
+
+test('readGoMod warns about skipped lines with the file and line', async () => {
+  const goModPath = path.join(__dirname, '..', 'test-go-repo', 'go.mod');
+  const warnings = [];
+
+  const goMod = await withSettings(warnings, () => goAnalyzer.readGoMod(goModPath));
+
+  assert.equal(goMod.requires['github.com/gin-gonic/gin'], '1.9.1');
+  assert.deepEqual(warnings, [`Warning: Ignoring ${goModPath}:10, which is not a go.mod directive: <!-- Made with Bob -->`]);
+});
+
+test('readGoMod names the file and line of a syntax error', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pa-gomod-'));
+  try {
+    const goModPath = path.join(dir, 'go.mod');
+    await fs.writeFile(goModPath, 'module example.com/a\n\nrequire github.com/a/b\n');
+
+    await assert.rejects(
+      withSettings([], () => goAnalyzer.readGoMod(goModPath)),
+      { message: `Failed to read go.mod file: ${goModPath}:3:9: require: expected a module path and version` }
+    );
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,223 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const lockfile = require('../src/lockfile');
+
+const YARN_CLASSIC = `# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+# yarn lockfile v1
+
+
+"@babel/code-frame@^7.0.0", "@babel/code-frame@^7.22.13":
+  version "7.23.5"
+  resolved "https://registry.yarnpkg.com/@babel/code-frame/-/code-frame-7.23.5.tgz#6d9f4a7fbf8c"
+  integrity sha512-CODEFRAME
+  dependencies:
+    "@babel/highlight" "^7.23.4"
+
+lodash@^4.0.0, lodash@^4.17.0:
+  version "4.17.20"
+  resolved "https://registry.yarnpkg.com/lodash/-/lodash-4.17.20.tgz#old"
+  integrity sha512-OLD
+
+odd-package@^1.0.0:
+  version "1.2.0"
+  resolved "https://registry.yarnpkg.com/odd-package/-/odd-package-1.2.0.tgz#odd"
+  dependencies:
+    version "9.9.9"
+
+utils@workspace:*:
+  version "0.0.0"
+`;
+
+const YARN_BERRY = `# This file is generated by running "yarn install" inside your project.
+
+__metadata:
+  version: 8
+  cacheKey: 10c0
+
+"@babel/core@npm:^7.0.0, @babel/core@npm:^7.1.0":
+  version: 7.24.0
+  resolution: "@babel/core@npm:7.24.0"
+  checksum: 10c0/abc
+  languageName: node
+  linkType: hard
+
+"app@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "app@workspace:."
+  languageName: unknown
+  linkType: soft
+
+"left-pad@patch:left-pad@npm%3A1.3.0#~/.yarn/patches/left-pad.patch":
+  version: 1.3.0
+  resolution: "left-pad@patch:left-pad@npm%3A1.3.0#~/.yarn/patches/left-pad.patch::version=1.3.0"
+  languageName: node
+  linkType: hard
+
+"left-pad@npm:^1.3.0":
+  version: 1.3.0
+  resolution: "left-pad@npm:1.3.0"
+  languageName: node
+  linkType: hard
+`;
+
+test('parseYarnLock reads yarn classic entries', () => {
+  const lock = lockfile.parse('/repo/yarn.lock', YARN_CLASSIC);
+
+  assert.deepEqual(lock, {
+    lockfileType: 'yarn',
+    berry: false,
+    entries: {
+      '@babel/code-frame@^7.0.0': '7.23.5',
+      '@babel/code-frame@^7.22.13': '7.23.5',
+      'lodash@^4.0.0': '4.17.20',
+      'lodash@^4.17.0': '4.17.20',
+      'odd-package@^1.0.0': '1.2.0'
+    }
+  });
+  assert.equal(lockfile.getInstalledVersion(lock, '@babel/code-frame', '^7.22.13'), '7.23.5');
+  assert.equal(lockfile.getInstalledVersion(lock, 'lodash', '^4.17.0'), '4.17.20');
+  // A range the lockfile does not know falls back to the package's only version
+  assert.equal(lockfile.getInstalledVersion(lock, 'lodash', '~4.17.20'), '4.17.20');
+  assert.equal(lockfile.getInstalledVersion(lock, 'missing', '^1.0.0'), null);
+});
+
+test('parseYarnLock reads yarn berry entries and skips workspaces and patches', () => {
+  const lock = lockfile.parse('/repo/yarn.lock', YARN_BERRY);
+
+  assert.deepEqual(lock, {
+    lockfileType: 'yarn',
+    berry: true,
+    entries: {
+      '@babel/core@^7.0.0': '7.24.0',
+      '@babel/core@^7.1.0': '7.24.0',
+      'left-pad@^1.3.0': '1.3.0'
+    }
+  });
+  assert.equal(lockfile.getInstalledVersion(lock, '@babel/core', 'npm:^7.1.0'), '7.24.0');
+});
+
+test('parsePnpmLock reads importers from lockfile version 9', () => {
+  const lock = lockfile.parse('/repo/pnpm-lock.yaml', `lockfileVersion: '9.0'
+
+importers:
+
+  .:
+    dependencies:
+      react:
+        specifier: ^18.2.0
+        version: 18.2.0
+      react-dom:
+        specifier: ^18.2.0
+        version: 18.2.0(react@18.2.0)
+
+  packages/app:
+    devDependencies:
+      lib:
+        specifier: workspace:*
+        version: link:../lib
+      typescript:
+        specifier: ~5.3.0
+        version: 5.3.3
+`);
+
+  assert.deepEqual(lock, {
+    lockfileType: 'pnpm',
+    importers: {
+      '.': { react: '18.2.0', 'react-dom': '18.2.0' },
+      'packages/app': { typescript: '5.3.3' }
+    }
+  });
+  assert.equal(lockfile.getInstalledVersion(lock, 'typescript', '~5.3.0', 'packages/app'), '5.3.3');
+  assert.equal(lockfile.getInstalledVersion(lock, 'typescript', '~5.3.0'), null);
+});
+
+test('parsePnpmLock reads single-package lockfiles from versions 5 and 6', () => {
+  const version5 = lockfile.parse('/repo/pnpm-lock.yaml', `lockfileVersion: 5.4
+
+specifiers:
+  lodash: ^4.17.0
+  react-dom: ^18.2.0
+
+dependencies:
+  lodash: 4.17.21
+  react-dom: 18.2.0_react@18.2.0
+`);
+  const version6 = lockfile.parse('/repo/pnpm-lock.yaml', `lockfileVersion: '6.0'
+
+devDependencies:
+  lodash:
+    specifier: ^4.17.0
+    version: 4.17.21
+`);
+
+  assert.deepEqual(version5.importers, { '.': { lodash: '4.17.21', 'react-dom': '18.2.0' } });
+  assert.deepEqual(version6.importers, { '.': { lodash: '4.17.21' } });
+});
+
+test('retargetYarnLock keys the new entry by the declared range and keeps ranges other packages need', () => {
+  // yarn add lodash@4.17.21 records the new entry under the exact version
+  const added = YARN_CLASSIC.replace('lodash@^4.0.0, lodash@^4.17.0:', `lodash@4.17.21:
+  version "4.17.21"
+  resolved "https://registry.yarnpkg.com/lodash/-/lodash-4.17.21.tgz#new"
+  integrity sha512-NEW
+
+lodash@^4.0.0, lodash@^4.17.0:`);
+
+  const result = lockfile.retargetYarnLock(added, 'lodash', '4.17.21', ['^4.17.0']);
+
+  assert.equal(result, YARN_CLASSIC.replace('lodash@^4.0.0, lodash@^4.17.0:', `lodash@^4.17.0:
+  version "4.17.21"
+  resolved "https://registry.yarnpkg.com/lodash/-/lodash-4.17.21.tgz#new"
+  integrity sha512-NEW
+
+lodash@^4.0.0:`));
+  const entries = lockfile.parseYarnLock(result).entries;
+  assert.equal(entries['lodash@^4.17.0'], '4.17.21');
+  assert.equal(entries['lodash@^4.0.0'], '4.17.20');
+  assert.equal(entries['lodash@4.17.21'], undefined);
+});
+
+test('retargetYarnLock drops the old entry once no range points at it', () => {
+  const content = [
+    '# yarn lockfile v1',
+    '',
+    '',
+    '"@scope/pkg@1.1.0":',
+    '  version "1.1.0"',
+    '  resolved "https://registry.yarnpkg.com/@scope/pkg/-/pkg-1.1.0.tgz#new"',
+    '  integrity sha512-NEW',
+    '',
+    '"@scope/pkg@^1.0.0", "@scope/pkg@~1.0.0":',
+    '  version "1.0.0"',
+    '  resolved "https://registry.yarnpkg.com/@scope/pkg/-/pkg-1.0.0.tgz#old"',
+    '  integrity sha512-OLD',
+    '',
+    'semver@^7.5.0:',
+    '  version "7.5.4"',
+    ''
+  ].join('\r\n');
+
+  const result = lockfile.retargetYarnLock(content, '@scope/pkg', '1.1.0', ['~1.0.0', '^1.0.0']);
+
+  assert.equal(result, [
+    '# yarn lockfile v1',
+    '',
+    '',
+    '"@scope/pkg@^1.0.0", "@scope/pkg@~1.0.0":',
+    '  version "1.1.0"',
+    '  resolved "https://registry.yarnpkg.com/@scope/pkg/-/pkg-1.1.0.tgz#new"',
+    '  integrity sha512-NEW',
+    '',
+    'semver@^7.5.0:',
+    '  version "7.5.4"',
+    ''
+  ].join('\r\n'));
+});
+
+test('retargetYarnLock keeps an exact declared version and fails without the new entry', () => {
+  const content = 'lodash@4.17.21:\n  version "4.17.21"\n  integrity sha512-NEW\n';
+
+  assert.equal(lockfile.retargetYarnLock(content, 'lodash', '4.17.21', ['4.17.21', '^4.17.0']),
+    'lodash@4.17.21, lodash@^4.17.0:\n  version "4.17.21"\n  integrity sha512-NEW\n');
+  assert.throws(() => lockfile.retargetYarnLock(content, 'lodash', '4.17.22', ['^4.17.0']), /^Error: yarn\.lock has no entry for lodash@4\.17\.22$/);
+});
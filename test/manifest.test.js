@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const manifest = require('../src/manifest');
+
+test('getNewRange keeps the operator of a single comparator', () => {
+  assert.equal(manifest.getNewRange('^1.2.3', '1.4.0'), '^1.4.0');
+  assert.equal(manifest.getNewRange('~1.2.3', '1.2.4'), '~1.2.4');
+  assert.equal(manifest.getNewRange('>=1.0.0', '1.5.0'), '>=1.5.0');
+  assert.equal(manifest.getNewRange('=1.2.3', '1.2.4'), '=1.2.4');
+  assert.equal(manifest.getNewRange('~>1.2.3', '1.2.4'), '~>1.2.4');
+  assert.equal(manifest.getNewRange('^1.2', '1.3.0'), '^1.3.0');
+});
+
+test('getNewRange keeps exact pins exact', () => {
+  assert.equal(manifest.getNewRange('1.2.3', '1.2.4'), '1.2.4');
+  assert.equal(manifest.getNewRange('v1.2.3', '1.2.4'), '1.2.4');
+  assert.equal(manifest.getNewRange('1.2.3-beta.1', '1.2.3'), '1.2.3');
+  assert.equal(manifest.getNewRange(' 1.2.3 ', '1.2.4'), '1.2.4');
+});
+
+test('getNewRange keeps the shape of x-ranges', () => {
+  assert.equal(manifest.getNewRange('1.x', '2.1.0'), '2.x');
+  assert.equal(manifest.getNewRange('1.2.x', '1.3.0'), '1.3.x');
+  assert.equal(manifest.getNewRange('1.2.*', '1.2.9'), '1.2.*');
+});
+
+test('getNewRange falls back to a caret range for compound ranges', () => {
+  assert.equal(manifest.getNewRange('1.0.0 - 2.0.0', '2.1.0'), '^2.1.0');
+  assert.equal(manifest.getNewRange('^1.0.0 || ^2.0.0', '3.0.0'), '^3.0.0');
+  assert.equal(manifest.getNewRange('>=1.0.0 <2.0.0', '2.0.1'), '^2.0.1');
+});
+
+test('getNewRange applies the save prefix instead of the operator', () => {
+  assert.equal(manifest.getNewRange('~1.2.3', '1.2.4', '^'), '^1.2.4');
+  assert.equal(manifest.getNewRange('^1.2.3', '1.2.4', ''), '1.2.4');
+  assert.equal(manifest.getNewRange('1.x', '1.4.0', '~'), '~1.4.0');
+});
+
+test('getNewRange returns null for declarations that are not semver ranges', () => {
+  assert.equal(manifest.getNewRange('latest', '1.0.0'), null);
+  assert.equal(manifest.getNewRange('file:../local', '1.0.0'), null);
+  assert.equal(manifest.getNewRange('git+https://example.com/repo.git', '1.0.0'), null);
+});
+
+test('updateDependencyVersions edits only the version strings', () => {
+  const content = '{\r\n    "dependencies": {\r\n        "a": "~1.0.0",\r\n        "b": "git+https://example.com/b.git"\r\n    },\r\n    "devDependencies": { "c": "1.0.0" }\r\n}';
+
+  const result = manifest.updateDependencyVersions(content, { a: '1.0.1', b: '2.0.0', c: '1.0.2' });
+
+  assert.equal(result.content, content.replace('~1.0.0', '~1.0.1').replace('"1.0.0"', '"1.0.2"'));
+  assert.deepEqual(result.updatedDependencies, {
+    a: { type: 'dependencies', from: '~1.0.0', to: '~1.0.1' },
+    c: { type: 'devDependencies', from: '1.0.0', to: '1.0.2' }
+  });
+  assert.deepEqual(Object.keys(result.skippedDependencies), ['b']);
+});
@@ -0,0 +1,196 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const policy = require('../src/policy');
+const config = require('../src/config');
+const context = require('../src/context');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+/**
+ * Run a function with settings for one test
+ * @param {Object} overrides - Settings to override
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} The function's result
+ */
+function withSettings(overrides, fn) {
+  return context.run({ settings: config.create({ cacheEnabled: false, ...overrides }), logger: quiet }, fn);
+}
+
+/**
+ * Create a temporary directory for one test and remove it afterwards
+ * @param {Function} fn - Receives the directory path
+ * @returns {Promise<*>} The function's result
+ */
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pa-policy-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+/**
+ * Write a policy file and read it back through readPolicyFile
+ * @param {string} fileName - Policy file name
+ * @param {string} content - File contents
+ * @returns {Promise<Object>} Parsed policy
+ */
+function readPolicy(fileName, content) {
+  return withTempDir(async dir => {
+    const policyPath = path.join(dir, fileName);
+    await fs.writeFile(policyPath, content);
+    return policy.readPolicyFile(policyPath);
+  });
+}
+
+test('validate accepts every documented setting', () => {
+  assert.deepEqual(policy.validate({
+    $schema: './policy.schema.json',
+    allowedUpdateTypes: ['patch', 'minor'],
+    securityUpdateTypes: ['patch', 'minor', 'major'],
+    minimumReleaseAge: 3,
+    allow: '>=1.0.0',
+    deny: ['1.2.3', '>=2.0.0'],
+    ignore: ['@types/*'],
+    pin: { react: '18.x' },
+    dependencyTypes: { devDependencies: { allowedUpdateTypes: ['minor'], minimumReleaseAge: 0 } },
+    packages: { 'eslint*': { ignore: true, distTag: 'next', pin: '^8.0.0' } },
+    verify: { npm: ['npm test'], go: ['go test ./...'], timeout: 120 }
+  }), []);
+});
+
+test('validate rejects unknown settings at every level', () => {
+  assert.deepEqual(policy.validate({
+    allowUpdateTypes: ['patch'],
+    dependencyTypes: { peerDependencies: {} },
+    packages: { lodash: { pinned: '4.x' } },
+    verify: { yarn: ['yarn test'] }
+  }), [
+    'allowUpdateTypes: unknown setting (allowed: $schema, allowedUpdateTypes, securityUpdateTypes, minimumReleaseAge, allow, deny, ignore, pin, dependencyTypes, packages, verify)',
+    'dependencyTypes.peerDependencies: unknown setting (allowed: dependencies, devDependencies, optionalDependencies)',
+    'packages["lodash"].pinned: unknown setting (allowed: ignore, pin, allowedUpdateTypes, securityUpdateTypes, distTag, minimumReleaseAge, allow, deny)',
+    'verify.yarn: unknown setting (allowed: npm, go, timeout)'
+  ]);
+});
+
+test('validate rejects values of the wrong type', () => {
+  assert.deepEqual(policy.validate({
+    allowedUpdateTypes: 'patch',
+    securityUpdateTypes: ['patch', 'huge'],
+    deny: [42],
+    ignore: 'lodash',
+    pin: { react: 18 },
+    packages: { lodash: { ignore: 'yes' } },
+    verify: { npm: 'npm test' }
+  }), [
+    'allowedUpdateTypes: must be an array (got string)',
+    'securityUpdateTypes[1]: must be one of prerelease, patch, minor, major (got "huge")',
+    'deny: must be a version range or a list of version ranges',
+    'ignore: must be an array (got string)',
+    'pin["react"]: must be a string (got number)',
+    'packages["lodash"].ignore: must be a boolean (got string)',
+    'verify.npm: must be an array (got string)'
+  ]);
+  assert.deepEqual(policy.validate([]), ['policy: must be an object (got array)']);
+  assert.deepEqual(policy.validate({ pin: { react: 'eighteen' } }), ['pin["react"]: "eighteen" is not a valid semver version or range']);
+});
+
+test('validate rejects a bad minimumReleaseAge', () => {
+  assert.deepEqual(policy.validate({ minimumReleaseAge: -1 }), ['minimumReleaseAge: must be at least 0 (got -1)']);
+  assert.deepEqual(policy.validate({ minimumReleaseAge: '3 days' }), ['minimumReleaseAge: must be a number (got string)']);
+  assert.deepEqual(policy.validate({ minimumReleaseAge: null }), ['minimumReleaseAge: must be a number (got null)']);
+  assert.deepEqual(
+    policy.validate({ packages: { lodash: { minimumReleaseAge: -2 } } }),
+    ['packages["lodash"].minimumReleaseAge: must be at least 0 (got -2)']
+  );
+});
+
+test('readPolicyFile reports every problem with the file path', async () => {
+  await assert.rejects(
+    readPolicy('.package-automator.yaml', 'minimumReleaseAge: -1\nallowedUpdateTypes: [patch, tiny]\n'),
+    error => {
+      assert.match(error.message, /^Invalid policy file at .*\.package-automator\.yaml:\n/);
+      assert.match(error.message, /\n {2}- minimumReleaseAge: must be at least 0 \(got -1\)\n/);
+      assert.match(error.message, /\n {2}- allowedUpdateTypes\[1\]: must be one of prerelease, patch, minor, major \(got "tiny"\)$/);
+      return true;
+    }
+  );
+  await assert.rejects(readPolicy('.package-automator.json', '{ "allowedUpdateTypes": '), /^Error: Failed to read policy file at .*\.package-automator\.json: /);
+});
+
+test('readPolicyFile treats an empty YAML file as an empty policy', async () => {
+  assert.deepEqual(await readPolicy('.package-automator.yml', ''), {});
+  assert.deepEqual(await readPolicy('.package-automator.yml', 'allowedUpdateTypes:\n  - minor\n'), { allowedUpdateTypes: ['minor'] });
+});
+
+test('loadPolicy layers the default, the POLICY_PATH file and the repository override', async () => {
+  await withTempDir(async dir => {
+    const globalPath = path.join(dir, 'global.yaml');
+    const repoPath = path.join(dir, 'repo');
+    await fs.writeFile(globalPath, 'allowedUpdateTypes: [patch, minor]\nminimumReleaseAge: 7\npackages:\n  react:\n    pin: 18.x\n');
+    await fs.outputJson(path.join(repoPath, '.package-automator.json'), {
+      minimumReleaseAge: 2,
+      dependencyTypes: { devDependencies: { allowedUpdateTypes: ['major'] } },
+      verify: { npm: ['npm test'] }
+    });
+
+    const previous = process.env.POLICY_PATH;
+    process.env.POLICY_PATH = globalPath;
+    let loaded;
+    try {
+      loaded = await withSettings({}, () => policy.loadPolicy(repoPath));
+    } finally {
+      if (previous === undefined) {
+        delete process.env.POLICY_PATH;
+      } else {
+        process.env.POLICY_PATH = previous;
+      }
+    }
+
+    assert.deepEqual(loaded.layers.map(layer => layer.source), ['default', globalPath, path.join(repoPath, '.package-automator.json')]);
+
+    const lodash = policy.resolve(loaded, 'lodash', 'dependencies');
+    assert.deepEqual(lodash.allowedUpdateTypes, ['patch', 'minor']);
+    assert.equal(lodash.rules.allowedUpdateTypes, `allowedUpdateTypes (${globalPath})`);
+    assert.deepEqual(lodash.securityUpdateTypes, ['patch', 'minor']);
+    assert.equal(lodash.rules.securityUpdateTypes, 'default securityUpdateTypes');
+    assert.equal(lodash.minimumReleaseAge, 2);
+    assert.equal(lodash.rules.minimumReleaseAge, `minimumReleaseAge (${path.join(repoPath, '.package-automator.json')})`);
+
+    // A more specific rule in a lower layer still applies to what the higher layer leaves alone
+    const react = policy.resolve(loaded, 'react', 'devDependencies');
+    assert.deepEqual(react.allowedUpdateTypes, ['major']);
+    assert.equal(react.rules.allowedUpdateTypes, `dependencyTypes.devDependencies.allowedUpdateTypes (${path.join(repoPath, '.package-automator.json')})`);
+    assert.equal(react.pin, '18.x');
+    assert.equal(react.rules.pin, `packages["react"].pin (${globalPath})`);
+
+    assert.deepEqual(policy.getVerification(loaded, 'npm'), { commands: ['npm test'], timeout: 600 });
+  });
+});
+
+test('loadPolicy reads the global file from the working directory without POLICY_PATH', async () => {
+  await withTempDir(async dir => {
+    const repoPath = path.join(dir, 'repo');
+    await fs.outputFile(path.join(dir, '.package-automator.yml'), 'allowedUpdateTypes: [minor]\n');
+    await fs.ensureDir(repoPath);
+
+    const cwd = process.cwd();
+    process.chdir(dir);
+    try {
+      const loaded = await withSettings({ policyPath: null }, () => policy.loadPolicy(repoPath));
+
+      assert.deepEqual(loaded.layers.map(layer => layer.source), ['default', path.join(dir, '.package-automator.yml')]);
+      assert.deepEqual(policy.resolve(loaded, 'lodash').allowedUpdateTypes, ['minor']);
+
+      // A repository in the working directory reads the same file only once
+      const same = await withSettings({ policyPath: null }, () => policy.loadPolicy(dir));
+      assert.equal(same.layers.length, 2);
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+});
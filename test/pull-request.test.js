@@ -0,0 +1,242 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const pullRequest = require('../src/pull-request');
+const config = require('../src/config');
+const context = require('../src/context');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+const REPORT = {
+  name: 'service',
+  git: {
+    branch: 'package-automator/updates',
+    baseBranch: 'main',
+    commits: [{ message: 'chore(deps): update lodash to 4.17.21\n\nDetails', packages: ['lodash'] }]
+  },
+  autoUpdatePackages: { lodash: { from: '4.17.20', to: '4.17.21', updateType: 'patch' } },
+  vulnerablePackages: {}
+};
+
+/**
+ * Run a function with settings for one test
+ * @param {Object} overrides - Settings
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} The function's result
+ */
+function withSettings(overrides, fn) {
+  return context.run({ settings: config.create({ cacheEnabled: false, ...overrides }), logger: quiet }, fn);
+}
+
+/**
+ * Start a local API server that answers from a route table and records every request
+ * @param {Object} routes - Response bodies keyed by "METHOD /path" (query string excluded)
+ * @returns {Promise<Object>} Server details ({ url, requests, close })
+ */
+async function startApi(routes) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      const url = new URL(request.url, 'http://localhost');
+      const route = `${request.method} ${url.pathname}`;
+      requests.push({
+        route,
+        query: Object.fromEntries(url.searchParams),
+        headers: request.headers,
+        body: body ? JSON.parse(body) : null
+      });
+
+      response.setHeader('Content-Type', 'application/json');
+      if (!(route in routes)) {
+        response.statusCode = 404;
+        response.end(JSON.stringify({ message: 'Not Found' }));
+        return;
+      }
+      response.statusCode = routes[route].status || 200;
+      response.end(JSON.stringify(routes[route].body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('getTarget reads the provider and repository from the remote URL', async () => {
+  await withSettings({}, () => {
+    assert.deepEqual(pullRequest.getTarget('git@github.com:acme/service.git'), { provider: 'github', repository: 'acme/service' });
+    assert.deepEqual(pullRequest.getTarget('https://gitlab.example.com/group/sub/service.git'), { provider: 'gitlab', repository: 'group/sub/service' });
+    assert.throws(() => pullRequest.getTarget('/srv/git/service'), /set PR_REPOSITORY/);
+  });
+
+  await withSettings({ prProvider: 'gitlab', prRepository: 'group/service' }, () => {
+    assert.deepEqual(pullRequest.getTarget('git@github.com:acme/service.git'), { provider: 'gitlab', repository: 'group/service' });
+  });
+});
+
+test('openPullRequest opens a GitHub pull request with labels and reviewers', async () => {
+  const api = await startApi({
+    'GET /repos/acme/service/pulls': { body: [] },
+    'POST /repos/acme/service/pulls': { status: 201, body: { number: 7, html_url: 'https://github.com/acme/service/pull/7', draft: true } },
+    'POST /repos/acme/service/issues/7/labels': { body: [] },
+    'POST /repos/acme/service/pulls/7/requested_reviewers': { status: 201, body: {} }
+  });
+
+  try {
+    const result = await withSettings({
+      githubApiUrl: `${api.url}/`,
+      githubToken: 'gh-token',
+      prLabels: ['dependencies'],
+      prReviewers: ['octocat'],
+      prDraft: true
+    }, () => pullRequest.openPullRequest(REPORT, 'https://github.com/acme/service.git'));
+
+    assert.deepEqual(result, { provider: 'github', number: 7, url: 'https://github.com/acme/service/pull/7', created: true, draft: true });
+    assert.deepEqual(api.requests.map(request => request.route), [
+      'GET /repos/acme/service/pulls',
+      'POST /repos/acme/service/pulls',
+      'POST /repos/acme/service/issues/7/labels',
+      'POST /repos/acme/service/pulls/7/requested_reviewers'
+    ]);
+    assert.deepEqual(api.requests[0].query, { head: 'acme:package-automator/updates', state: 'open' });
+    assert.equal(api.requests[0].headers.authorization, 'Bearer gh-token');
+
+    const created = api.requests[1].body;
+    assert.equal(created.title, 'chore(deps): update lodash to 4.17.21');
+    assert.equal(created.head, 'package-automator/updates');
+    assert.equal(created.base, 'main');
+    assert.equal(created.draft, true);
+    assert.match(created.body, /\| lodash \| 4\.17\.20 \| 4\.17\.21 \| patch \|/);
+    assert.deepEqual(api.requests[2].body, { labels: ['dependencies'] });
+    assert.deepEqual(api.requests[3].body, { reviewers: ['octocat'] });
+  } finally {
+    await api.close();
+  }
+});
+
+test('openPullRequest updates the GitHub pull request already open for the branch', async () => {
+  const api = await startApi({
+    'GET /repos/acme/service/pulls': { body: [{ number: 3, base: { ref: 'main' } }] },
+    'PATCH /repos/acme/service/pulls/3': { body: { number: 3, html_url: 'https://github.com/acme/service/pull/3', draft: false } }
+  });
+
+  try {
+    const result = await withSettings({ githubApiUrl: api.url }, () =>
+      pullRequest.openPullRequest(REPORT, 'git@github.com:acme/service.git'));
+
+    assert.deepEqual(result, { provider: 'github', number: 3, url: 'https://github.com/acme/service/pull/3', created: false, draft: false });
+    assert.equal(api.requests[0].headers.authorization, undefined);
+    assert.deepEqual(Object.keys(api.requests[1].body), ['title', 'body']);
+  } finally {
+    await api.close();
+  }
+});
+
+test('openPullRequest moves the open GitHub pull request to a changed base branch', async () => {
+  const api = await startApi({
+    'GET /repos/acme/service/pulls': { body: [{ number: 3, base: { ref: 'main' } }] },
+    'PATCH /repos/acme/service/pulls/3': { body: { number: 3, html_url: 'https://github.com/acme/service/pull/3', draft: false } }
+  });
+
+  try {
+    const result = await withSettings({ githubApiUrl: api.url, prBaseBranch: 'develop' }, () =>
+      pullRequest.openPullRequest(REPORT, 'git@github.com:acme/service.git'));
+
+    assert.equal(result.created, false);
+    assert.deepEqual(api.requests.map(request => request.route), ['GET /repos/acme/service/pulls', 'PATCH /repos/acme/service/pulls/3']);
+    assert.deepEqual(api.requests[0].query, { head: 'acme:package-automator/updates', state: 'open' });
+    assert.equal(api.requests[1].body.base, 'develop');
+  } finally {
+    await api.close();
+  }
+});
+
+test('openPullRequest opens a GitLab merge request with reviewer ids', async () => {
+  const api = await startApi({
+    'GET /users': { body: [{ id: 42 }] },
+    'GET /projects/group%2Fservice/merge_requests': { body: [] },
+    'POST /projects/group%2Fservice/merge_requests': { status: 201, body: { iid: 5, web_url: 'https://gitlab.com/group/service/-/merge_requests/5', draft: true } }
+  });
+
+  try {
+    const result = await withSettings({
+      gitlabApiUrl: api.url,
+      gitlabToken: 'gl-token',
+      prLabels: ['dependencies', 'automated'],
+      prReviewers: ['maintainer'],
+      prDraft: true
+    }, () => pullRequest.openPullRequest(REPORT, 'git@gitlab.com:group/service.git'));
+
+    assert.deepEqual(result, { provider: 'gitlab', number: 5, url: 'https://gitlab.com/group/service/-/merge_requests/5', created: true, draft: true });
+    assert.deepEqual(api.requests[0].query, { username: 'maintainer' });
+    assert.equal(api.requests[0].headers['private-token'], 'gl-token');
+    assert.deepEqual(api.requests[1].query, { source_branch: 'package-automator/updates', state: 'opened' });
+
+    const created = api.requests[2].body;
+    assert.equal(created.title, 'Draft: chore(deps): update lodash to 4.17.21');
+    assert.equal(created.labels, 'dependencies,automated');
+    assert.deepEqual(created.reviewer_ids, [42]);
+    assert.equal(created.source_branch, 'package-automator/updates');
+    assert.equal(created.target_branch, 'main');
+  } finally {
+    await api.close();
+  }
+});
+
+test('openPullRequest keeps the draft state of an existing GitLab merge request', async () => {
+  const api = await startApi({
+    'GET /projects/group%2Fservice/merge_requests': { body: [{ iid: 9, draft: true, target_branch: 'main' }] },
+    'PUT /projects/group%2Fservice/merge_requests/9': { body: { iid: 9, web_url: 'https://gitlab.com/group/service/-/merge_requests/9', draft: true } }
+  });
+
+  try {
+    const result = await withSettings({ gitlabApiUrl: api.url }, () =>
+      pullRequest.openPullRequest(REPORT, 'https://gitlab.com/group/service.git'));
+
+    assert.equal(result.created, false);
+    assert.equal(api.requests[1].body.title, 'Draft: chore(deps): update lodash to 4.17.21');
+    assert.equal(api.requests[1].body.target_branch, undefined);
+  } finally {
+    await api.close();
+  }
+});
+
+test('openPullRequest moves the open GitLab merge request to a changed target branch', async () => {
+  const api = await startApi({
+    'GET /projects/group%2Fservice/merge_requests': { body: [{ iid: 9, draft: false, target_branch: 'main' }] },
+    'PUT /projects/group%2Fservice/merge_requests/9': { body: { iid: 9, web_url: 'https://gitlab.com/group/service/-/merge_requests/9', draft: false } }
+  });
+
+  try {
+    const result = await withSettings({ gitlabApiUrl: api.url, prBaseBranch: 'develop' }, () =>
+      pullRequest.openPullRequest(REPORT, 'https://gitlab.com/group/service.git'));
+
+    assert.equal(result.created, false);
+    assert.deepEqual(api.requests[0].query, { source_branch: 'package-automator/updates', state: 'opened' });
+    assert.equal(api.requests[1].route, 'PUT /projects/group%2Fservice/merge_requests/9');
+    assert.equal(api.requests[1].body.target_branch, 'develop');
+  } finally {
+    await api.close();
+  }
+});
+
+test('openPullRequest includes the API error message when a request fails', async () => {
+  const api = await startApi({
+    'GET /repos/acme/service/pulls': { body: [] },
+    'POST /repos/acme/service/pulls': { status: 422, body: { message: 'Validation Failed' } }
+  });
+
+  try {
+    await assert.rejects(
+      withSettings({ githubApiUrl: api.url }, () => pullRequest.openPullRequest(REPORT, 'git@github.com:acme/service.git')),
+      /^Error: Failed to open pull request: Request failed with status code 422 \("Validation Failed"\)$/
+    );
+  } finally {
+    await api.close();
+  }
+});
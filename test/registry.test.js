@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const registry = require('../src/registry');
+const config = require('../src/config');
+const context = require('../src/context');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+/**
+ * Run a function with settings for one test
+ * @param {Object} overrides - Settings
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} The function's result
+ */
+function withSettings(overrides, fn) {
+  return context.run({ settings: config.create({ cacheEnabled: false, ...overrides }), logger: quiet }, fn);
+}
+
+test('parseNpmrc reads keys, strips quotes and skips comments', () => {
+  const settings = registry.parseNpmrc([
+    '# comment',
+    '; also a comment',
+    'registry = "https://registry.example.com/"',
+    '@corp:registry=https://npm.corp.example.com/',
+    '//npm.corp.example.com/:_authToken=abc=def',
+    'not a setting'
+  ].join('\r\n'));
+
+  assert.deepEqual(settings, {
+    registry: 'https://registry.example.com/',
+    '@corp:registry': 'https://npm.corp.example.com/',
+    '//npm.corp.example.com/:_authToken': 'abc=def'
+  });
+});
+
+test('parseNpmrc substitutes environment variables', () => {
+  process.env.PA_TEST_TOKEN = 'secret-token';
+  try {
+    const settings = registry.parseNpmrc('//registry.example.com/:_authToken=${PA_TEST_TOKEN}\nmissing=${PA_TEST_MISSING}');
+    assert.equal(settings['//registry.example.com/:_authToken'], 'secret-token');
+    assert.equal(settings.missing, '');
+  } finally {
+    delete process.env.PA_TEST_TOKEN;
+  }
+});
+
+test('loadConfig lets the project .npmrc override the user .npmrc', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pa-npmrc-'));
+  try {
+    await fs.outputFile(path.join(dir, 'user', '.npmrc'), 'registry=https://user.example.com\n@corp:registry=https://corp.example.com/\n');
+    await fs.outputFile(path.join(dir, 'repo', '.npmrc'), 'registry=https://project.example.com//\n');
+
+    const registryConfig = await withSettings({ userNpmrcPath: path.join(dir, 'user', '.npmrc') }, () =>
+      registry.loadConfig(path.join(dir, 'repo')));
+
+    assert.equal(registryConfig.registry, 'https://project.example.com/');
+    assert.equal(registry.getRegistryUrl('@corp/tool', registryConfig), 'https://corp.example.com/');
+    assert.equal(registry.getRegistryUrl('lodash', registryConfig), 'https://project.example.com/');
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('loadConfig prefers the configured registry over .npmrc', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pa-npmrc-'));
+  try {
+    await fs.outputFile(path.join(dir, '.npmrc'), 'registry=https://project.example.com/\n');
+
+    const registryConfig = await withSettings({ registry: 'http://localhost:4873', userNpmrcPath: path.join(dir, 'none') }, () =>
+      registry.loadConfig(dir));
+
+    assert.equal(registryConfig.registry, 'http://localhost:4873/');
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('getAuthorization matches the most specific registry path', () => {
+  const registryConfig = {
+    registry: 'https://registry.example.com/',
+    settings: {
+      '//registry.example.com/:_authToken': 'host-token',
+      '//registry.example.com/npm/private/:_authToken': 'path-token'
+    }
+  };
+
+  assert.equal(registry.getAuthorization('https://registry.example.com/npm/private/', registryConfig), 'Bearer path-token');
+  assert.equal(registry.getAuthorization('https://registry.example.com/npm/public/', registryConfig), 'Bearer host-token');
+  assert.equal(registry.getAuthorization('https://other.example.com/', registryConfig), null);
+});
+
+test('getAuthorization builds basic credentials from _auth and username/_password', () => {
+  const password = Buffer.from('hunter2').toString('base64');
+  const registryConfig = {
+    settings: {
+      '//auth.example.com/:_auth': 'dXNlcjpwYXNz',
+      '//login.example.com/:username': 'alice',
+      '//login.example.com/:_password': password
+    }
+  };
+
+  assert.equal(registry.getAuthorization('https://auth.example.com/', registryConfig), 'Basic dXNlcjpwYXNz');
+  assert.equal(
+    registry.getAuthorization('https://login.example.com/', registryConfig),
+    `Basic ${Buffer.from('alice:hunter2').toString('base64')}`
+  );
+});
+
+test('encodePackageName escapes the scope separator', () => {
+  assert.equal(registry.encodePackageName('@babel/core'), '@babel%2fcore');
+  assert.equal(registry.encodePackageName('lodash'), 'lodash');
+});
+
+test('fetchPackument sends the registry credentials', async () => {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    requests.push({ url: request.url, authorization: request.headers.authorization });
+    response.setHeader('Content-Type', 'application/json');
+    response.end(JSON.stringify({ name: '@corp/tool', 'dist-tags': { latest: '1.0.0' } }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const host = `127.0.0.1:${server.address().port}`;
+    const registryConfig = {
+      registry: `http://${host}/`,
+      settings: { [`//${host}/:_authToken`]: 'local-token' }
+    };
+
+    const result = await withSettings({}, () => registry.fetchPackument('@corp/tool', registryConfig));
+
+    assert.equal(result.source, 'network');
+    assert.equal(result.packument['dist-tags'].latest, '1.0.0');
+    assert.deepEqual(requests, [{ url: '/@corp%2ftool', authorization: 'Bearer local-token' }]);
+  } finally {
+    server.close();
+  }
+});
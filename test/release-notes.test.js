@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+const releaseNotes = require('../src/release-notes');
+const config = require('../src/config');
+const context = require('../src/context');
+
+/**
+ * Run a function with settings for one test, collecting warnings
+ * @param {Array} warnings - Receives the warnings logged
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} The function's result
+ */
+function withSettings(warnings, fn) {
+  const logger = { log() {}, warn: message => warnings.push(message), error() {} };
+  return context.run({ settings: config.create({ cacheEnabled: false }), logger }, fn);
+}
+
+/**
+ * Build a tar entry (ustar header and padded data)
+ * @param {string} name - Entry name
+ * @param {string|Buffer} content - Entry data
+ * @param {string} type - Entry type flag
+ * @returns {Buffer} Entry
+ */
+function tarEntry(name, content, type = '0') {
+  const data = Buffer.from(content);
+  const header = Buffer.alloc(512);
+  header.write(name.slice(0, 99), 0);
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+  header.write('00000000000\0', 136);
+  header.write('        ', 148);
+  header.write(type, 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return Buffer.concat([header, data, Buffer.alloc((512 - (data.length % 512)) % 512)]);
+}
+
+/**
+ * Build a gzipped tarball
+ * @param {Array<Buffer>} entries - Entries from tarEntry
+ * @returns {Buffer} Tarball
+ */
+function tarball(entries) {
+  return zlib.gzipSync(Buffer.concat([...entries, Buffer.alloc(1024)]));
+}
+
+/**
+ * Serve one response body for every request
+ * @param {Buffer} body - Response body
+ * @param {Object} headers - Extra response headers
+ * @returns {Promise<Object>} Server details ({ url, close })
+ */
+async function serve(body, headers = {}) {
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': body.length, ...headers });
+    response.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/demo-1.0.0.tgz`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+test('fetchChangelog reads the changelog from the package root', async () => {
+  const server = await serve(tarball([
+    tarEntry('package/package.json', '{"name":"demo"}'),
+    tarEntry('package/docs/CHANGELOG.md', 'not this one'),
+    tarEntry('package/CHANGELOG.md', '## 1.0.0\n\nFirst release\n')
+  ]));
+
+  try {
+    const changelog = await withSettings([], () => releaseNotes.fetchChangelog(server.url, { settings: {} }));
+
+    assert.deepEqual(changelog, { fileName: 'CHANGELOG.md', content: '## 1.0.0\n\nFirst release\n' });
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetchChangelog reads names from pax headers', async () => {
+  const server = await serve(tarball([
+    tarEntry('package/package.json', '{"name":"demo"}'),
+    tarEntry('PaxHeader/changelog', '29 path=package/CHANGELOG.md\n', 'x'),
+    tarEntry('package/truncated-name', '# Changes\n')
+  ]));
+
+  try {
+    const changelog = await withSettings([], () => releaseNotes.fetchChangelog(server.url, { settings: {} }));
+
+    assert.deepEqual(changelog, { fileName: 'CHANGELOG.md', content: '# Changes\n' });
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetchChangelog returns null when the package has no changelog', async () => {
+  const server = await serve(tarball([
+    tarEntry('package/package.json', '{"name":"demo"}'),
+    tarEntry('package/README.md', '# demo')
+  ]));
+
+  try {
+    assert.equal(await withSettings([], () => releaseNotes.fetchChangelog(server.url, { settings: {} })), null);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetchChangelog keeps only the start of a very large changelog', async () => {
+  const server = await serve(tarball([tarEntry('package/HISTORY.md', 'a'.repeat(3 * 1024 * 1024))]));
+
+  try {
+    const changelog = await withSettings([], () => releaseNotes.fetchChangelog(server.url, { settings: {} }));
+
+    assert.equal(changelog.fileName, 'HISTORY.md');
+    assert.equal(changelog.content.length, 1024 * 1024);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetchChangelog skips tarballs over the size limit', async () => {
+  const server = await serve(Buffer.alloc(0), { 'Content-Length': String(30 * 1024 * 1024) });
+
+  try {
+    const warnings = [];
+    const changelog = await withSettings(warnings, () => releaseNotes.fetchChangelog(server.url, { settings: {} }));
+
+    assert.equal(changelog, null);
+    assert.match(warnings[0], /^Warning: Not reading the changelog in .*: the tarball is over 25 MB$/);
+  } finally {
+    await server.close();
+  }
+});
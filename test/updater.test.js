@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const updater = require('../src/updater');
+const config = require('../src/config');
+const context = require('../src/context');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+test('updatePackages records where lockfile-only and range updates start from', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pa-updater-'));
+  try {
+    const packageJson = '{\n  "dependencies": {\n    "lodash": "^4.17.20",\n    "semver": "~7.5.0"\n  }\n}\n';
+    await fs.writeFile(path.join(dir, 'package.json'), packageJson);
+    await fs.writeFile(path.join(dir, 'package-lock.json'), '{}\n');
+    const repository = {
+      path: dir,
+      packageJsonPath: path.join(dir, 'package.json'),
+      packageLockPath: path.join(dir, 'package-lock.json')
+    };
+
+    const result = await context.run({ settings: config.create({ cacheEnabled: false }), logger: quiet }, () =>
+      updater.updatePackages(repository, { lodash: '4.17.21', semver: '7.6.0' }, {
+        inRangePackages: { lodash: '4.17.21' },
+        installedVersions: { lodash: '4.17.20', semver: '7.5.4' },
+        dryRun: true
+      }));
+
+    assert.deepEqual(result.updatedDependencies, {
+      lodash: { type: 'lockfile', from: '4.17.20', to: '4.17.21' },
+      semver: { type: 'dependencies', from: '~7.5.0', to: '~7.6.0' }
+    });
+    assert.equal(await fs.readFile(repository.packageJsonPath, 'utf8'), packageJson);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const verifier = require('../src/verifier');
+const reporter = require('../src/reporter');
+const config = require('../src/config');
+const context = require('../src/context');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+// Fails when any package named on the command line is in applied.json, or always with --always
+const CHECK_SCRIPT = `const applied = require('./applied.json');
+const args = process.argv.slice(2);
+const broken = args.includes('--always') ? args : applied.filter(name => args.includes(name));
+if (broken.length > 0) {
+  console.error('broken by ' + broken.join(', '));
+  process.exit(1);
+}
+`;
+
+/**
+ * Set up a repository whose updates are recorded in applied.json, then run verification
+ * @param {Array} names - Names of the packages to update
+ * @param {Array} checkArgs - Arguments for the check script
+ * @param {Function} fn - Receives the repository, verification result and applied.json contents
+ * @returns {Promise<void>}
+ */
+async function verify(names, checkArgs, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pa-verifier-'));
+  try {
+    const appliedPath = path.join(dir, 'applied.json');
+    await fs.writeFile(appliedPath, '[]');
+    await fs.writeFile(path.join(dir, 'check.js'), CHECK_SCRIPT);
+    const repository = { path: dir };
+    const command = `"${process.execPath}" check.js ${checkArgs.join(' ')}`;
+
+    const apply = async subset => {
+      await fs.writeJson(appliedPath, subset);
+      return {
+        repository: dir,
+        updated: true,
+        updatedDependencies: Object.fromEntries(subset.map(name => [name, { type: 'dependencies', from: '^1.0.0', to: '^1.1.0' }]))
+      };
+    };
+
+    const result = await context.run({ settings: config.create({ cacheEnabled: false }), logger: quiet }, () =>
+      verifier.updateWithVerification({ repository, names, apply, files: [appliedPath], commands: [command], timeout: 60 }));
+
+    await fn(repository, result, await fs.readJson(appliedPath), command);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+/**
+ * Build comparison results where every package can be updated automatically
+ * @param {Array} names - Package names
+ * @returns {Object} Comparison results keyed by package name
+ */
+function autoUpdates(names) {
+  return Object.fromEntries(names.map(name => [name, {
+    installed: '1.0.0',
+    latest: '1.1.0',
+    target: '1.1.0',
+    updateType: 'minor',
+    canAutoUpdate: true,
+    inRange: true
+  }]));
+}
+
+test('updateWithVerification reverts the one update that breaks verification', async () => {
+  const names = ['alpha', 'beta', 'gamma', 'delta'];
+
+  await verify(names, ['gamma'], (repository, result, applied, command) => {
+    assert.deepEqual(applied, ['alpha', 'beta', 'delta']);
+    assert.equal(result.updated, true);
+    assert.deepEqual(Object.keys(result.updatedDependencies), ['alpha', 'beta', 'delta']);
+    assert.equal(result.verification.passed, true);
+    assert.equal(result.verification.baselineFailed, false);
+    assert.deepEqual(Object.keys(result.verification.revertedPackages), ['gamma']);
+    assert.equal(result.verification.revertedPackages.gamma.command, command);
+    assert.match(result.verification.revertedPackages.gamma.output, /broken by gamma/);
+
+    const report = reporter.generateRepositoryReport(repository, autoUpdates(names), result);
+
+    assert.deepEqual(Object.keys(report.autoUpdatePackages), ['alpha', 'beta', 'delta']);
+    assert.deepEqual(report.heldPackages, {
+      gamma: { from: '1.0.0', to: '1.1.0', updateType: 'minor', reason: `reverted: \`${command}\` failed`, rule: null }
+    });
+  });
+});
+
+test('updateWithVerification reverts every update that breaks verification', async () => {
+  await verify(['alpha', 'beta', 'gamma', 'delta', 'epsilon'], ['beta', 'delta'], (repository, result, applied) => {
+    assert.deepEqual(applied, ['alpha', 'gamma', 'epsilon']);
+    assert.deepEqual(Object.keys(result.updatedDependencies), ['alpha', 'gamma', 'epsilon']);
+    assert.equal(result.verification.passed, true);
+    assert.deepEqual(Object.keys(result.verification.revertedPackages).sort(), ['beta', 'delta']);
+  });
+});
+
+test('updateWithVerification reports failure when every update is reverted', async () => {
+  await verify(['alpha', 'beta'], ['alpha', 'beta'], (repository, result, applied) => {
+    assert.deepEqual(applied, []);
+    assert.equal(result.updated, false);
+    assert.deepEqual(result.updatedDependencies, {});
+    assert.equal(result.error, 'All updates were reverted: alpha, beta broke verification');
+    assert.equal(result.verification.passed, false);
+    assert.deepEqual(Object.keys(result.verification.revertedPackages).sort(), ['alpha', 'beta']);
+  });
+});
+
+test('updateWithVerification reverts everything when verification fails without updates', async () => {
+  const names = ['alpha', 'beta'];
+
+  await verify(names, ['--always'], (repository, result, applied, command) => {
+    assert.deepEqual(applied, []);
+    assert.equal(result.updated, false);
+    assert.deepEqual(result.updatedDependencies, {});
+    assert.equal(result.error, 'Verification fails even without updates; all updates were reverted');
+    assert.equal(result.verification.passed, false);
+    assert.equal(result.verification.baselineFailed, true);
+    assert.equal(result.verification.failedCommand, command);
+    assert.deepEqual(result.verification.revertedPackages, {});
+
+    const report = reporter.generateRepositoryReport(repository, autoUpdates(names), result);
+
+    assert.equal(report.autoUpdated, false);
+    assert.deepEqual(report.autoUpdatePackages, {});
+    assert.deepEqual(Object.keys(report.heldPackages), names);
+    assert.equal(report.heldPackages.alpha.reason, `reverted: \`${command}\` fails even without updates`);
+  });
+});
+
+test('updateWithVerification applies updates without verifying when no commands are configured', async () => {
+  const result = await verifier.updateWithVerification({
+    repository: { path: '/repo' },
+    names: ['alpha'],
+    apply: async names => ({ updated: true, names }),
+    files: [],
+    commands: []
+  });
+
+  assert.deepEqual(result, { updated: true, names: ['alpha'] });
+});
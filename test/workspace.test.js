@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const workspace = require('../src/workspace');
+const analyzer = require('../src/analyzer');
+const config = require('../src/config');
+const context = require('../src/context');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+test('collectDependencies reads member copies from a v2 package-lock.json', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pa-workspace-'));
+  try {
+    await fs.outputJson(path.join(dir, 'package.json'), {
+      name: 'root',
+      workspaces: ['packages/*'],
+      devDependencies: { semver: '^7.5.0' }
+    });
+    await fs.outputJson(path.join(dir, 'packages', 'app', 'package.json'), {
+      name: 'app',
+      dependencies: { lodash: '^4.17.0', semver: '^6.3.0', lib: 'workspace:*' }
+    });
+    await fs.outputJson(path.join(dir, 'packages', 'lib', 'package.json'), {
+      name: 'lib',
+      dependencies: { lodash: '^4.17.0' }
+    });
+
+    // lockfileVersion 2 keeps the v1 "dependencies" section, which only knows the hoisted copies
+    await fs.outputJson(path.join(dir, 'package-lock.json'), {
+      name: 'root',
+      lockfileVersion: 2,
+      packages: {
+        '': { name: 'root', workspaces: ['packages/*'] },
+        'node_modules/lodash': { version: '4.17.21' },
+        'node_modules/semver': { version: '7.5.4' },
+        'packages/app/node_modules/lodash': { version: '4.17.15' },
+        'packages/app/node_modules/semver': { version: '6.3.1' }
+      },
+      dependencies: {
+        lodash: { version: '4.17.21' },
+        semver: { version: '7.5.4' }
+      }
+    });
+
+    const result = await context.run({ settings: config.create({ cacheEnabled: false }), logger: quiet }, async () => {
+      const repository = {
+        path: dir,
+        packageJsonPath: path.join(dir, 'package.json'),
+        packageLockPath: path.join(dir, 'package-lock.json'),
+        workspace: await workspace.load(dir)
+      };
+      return workspace.collectDependencies(repository, await analyzer.readPackageLock(repository.packageLockPath));
+    });
+
+    assert.deepEqual(result.installedVersions, { semver: '6.3.1', lodash: '4.17.15' });
+    assert.deepEqual(
+      result.declarations.lodash.map(({ member, installed }) => ({ member, installed })),
+      [{ member: 'packages/app', installed: '4.17.15' }, { member: 'packages/lib', installed: '4.17.21' }]
+    );
+    assert.deepEqual(
+      result.declarations.semver.map(({ member, installed }) => ({ member, installed })),
+      [{ member: '.', installed: '7.5.4' }, { member: 'packages/app', installed: '6.3.1' }]
+    );
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('getInstalledVersions still reads v1 package-lock.json files', () => {
+  const packageLock = { lockfileVersion: 1, dependencies: { lodash: { version: '4.17.21' } } };
+
+  assert.deepEqual(
+    analyzer.getInstalledVersions(packageLock, { lodash: '^4.17.0', missing: '~1.2.0' }),
+    { lodash: '4.17.21', missing: '1.2.0' }
+  );
+});